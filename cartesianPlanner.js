@@ -0,0 +1,317 @@
+/**
+ * Cartesian Planner Module
+ * Plans straight-line (LIN) and circular (CIRC) TCP paths for the KR4 R600
+ *
+ * The TCP is sampled along the path, every sample is solved with IK seeded by the
+ * previous one, and the resulting joint trajectory is time-stamped for the commanded
+ * TCP speed with acceleration ramps (robotTrajectory.js). Segments where an axis would exceed its maximum speed are slowed down;
+ * a path is rejected as a whole if any sample is unreachable, violates an axis limit,
+ * collides (robotCollision.js), or has to slow down so much that it can only be passing
+ * (close to) a singularity.
+ */
+
+const CartesianPlanner = (function() {
+    const sampleDistance = 2;        // mm between path samples
+    const sampleRotation = 1;        // degrees of tool rotation between path samples
+    const defaultSpeed = 200;        // mm/s TCP speed
+    const defaultAcceleration = 2000; // mm/s² TCP acceleration ($ACC.CP default)
+    const orientationSpeed = 200;    // degrees/s tool rotation ($VEL.ORI1 default)
+    const minDuration = 50;          // ms, also used for zero-length moves
+    const wristSingularityAngle = 5; // |A5| in degrees reported as a wrist singularity
+    const maxSlowdown = 10;          // Path speed may drop to 1/10 of the commanded speed
+
+    // ========================================================================
+    // Vector and Rotation Helpers
+    // ========================================================================
+
+    function subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    function add(a, b) {
+        return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+    }
+
+    function scale(v, s) {
+        return [v[0] * s, v[1] * s, v[2] * s];
+    }
+
+    function dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    function cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    function norm(v) {
+        return Math.hypot(v[0], v[1], v[2]);
+    }
+
+    function multiply(a, b) {
+        return a.map((row, i) => [0, 1, 2].map(j => a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j]));
+    }
+
+    function transpose(m) {
+        return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+    }
+
+    /**
+     * Rotation matrix for a rotation of angle (radians) about a unit axis
+     */
+    function axisAngleToMatrix(axis, angle) {
+        const [x, y, z] = axis;
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const t = 1 - c;
+        return [
+            [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+            [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+            [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+        ];
+    }
+
+    /**
+     * Axis and angle (radians) of a rotation matrix
+     */
+    function matrixToAxisAngle(m) {
+        const angle = Math.acos(Math.max(-1, Math.min(1, (m[0][0] + m[1][1] + m[2][2] - 1) / 2)));
+        if (angle < 1e-9) return { axis: [1, 0, 0], angle: 0 };
+
+        if (Math.PI - angle > 1e-6) {
+            const axis = [m[2][1] - m[1][2], m[0][2] - m[2][0], m[1][0] - m[0][1]];
+            return { axis: scale(axis, 1 / norm(axis)), angle: angle };
+        }
+
+        // Half turn: the axis comes from the diagonal of (R + I) / 2
+        const diagonal = [0, 1, 2].map(i => Math.sqrt(Math.max(0, (m[i][i] + 1) / 2)));
+        const k = diagonal.indexOf(Math.max(...diagonal));
+        const axis = [0, 1, 2].map(i => i === k ? diagonal[k] : (m[i][k] + m[k][i]) / (4 * diagonal[k]));
+        return { axis: scale(axis, 1 / norm(axis)), angle: angle };
+    }
+
+    /**
+     * Interpolator for the tool orientation between two rotation matrices
+     * (rotation about the single axis that takes one to the other)
+     */
+    function orientationInterpolator(from, to) {
+        const delta = matrixToAxisAngle(multiply(transpose(from), to));
+        return {
+            angle: delta.angle * 180 / Math.PI,
+            at: (fraction) => multiply(from, axisAngleToMatrix(delta.axis, delta.angle * fraction))
+        };
+    }
+
+    // ========================================================================
+    // Path Geometry
+    // ========================================================================
+
+    /**
+     * Straight line from start to end
+     */
+    function linePath(start, end) {
+        const delta = subtract(end, start);
+        return {
+            length: norm(delta),
+            at: (fraction) => add(start, scale(delta, fraction))
+        };
+    }
+
+    /**
+     * Circular arc from start through auxiliary to end
+     * @returns {Object} { length, at(fraction) } or { error }
+     */
+    function arcPath(start, auxiliary, end) {
+        const a = subtract(auxiliary, start);
+        const b = subtract(end, start);
+        const normal = cross(a, b);
+        const normalLength = norm(normal);
+
+        if (norm(a) < 1e-3 || norm(b) < 1e-3 || norm(subtract(end, auxiliary)) < 1e-3) {
+            return { error: 'CIRC start, auxiliary and target points must be distinct' };
+        }
+        if (normalLength < 1e-6 * norm(a) * norm(b)) {
+            return { error: 'CIRC start, auxiliary and target points lie on a straight line' };
+        }
+
+        // Circumcenter of the three points
+        const offset = scale(cross(subtract(scale(b, dot(a, a)), scale(a, dot(b, b))), normal), 1 / (2 * normalLength * normalLength));
+        const center = add(start, offset);
+        const radius = norm(offset);
+
+        // In-plane basis: u points at the start, v is 90° ahead in the direction of travel
+        const u = scale(subtract(start, center), 1 / radius);
+        const v = cross(scale(normal, 1 / normalLength), u);
+        const angleOf = (point) => {
+            const p = subtract(point, center);
+            const angle = Math.atan2(dot(p, v), dot(p, u));
+            return angle <= 0 ? angle + 2 * Math.PI : angle;
+        };
+        const sweep = angleOf(end);
+
+        return {
+            length: radius * sweep,
+            radius: radius,
+            center: center,
+            at: (fraction) => {
+                const angle = sweep * fraction;
+                return add(center, add(scale(u, radius * Math.cos(angle)), scale(v, radius * Math.sin(angle))));
+            }
+        };
+    }
+
+    // ========================================================================
+    // Planning
+    // ========================================================================
+
+    function formatPoint(p) {
+        return `X=${p[0].toFixed(1)}, Y=${p[1].toFixed(1)}, Z=${p[2].toFixed(1)}`;
+    }
+
+    /**
+     * Sample a path, solve IK at each sample and time-stamp the result
+     * @param {string} type - 'LIN' or 'CIRC', used in messages
+     * @param {Object} path - { length, at(fraction) } position along the path
+     * @param {Object} orientation - { angle, at(fraction) } tool rotation along the path
+     * @param {Object} start - Joint angles at the start of the path
+     * @param {number} speed - TCP speed in mm/s
+     * @param {number} acceleration - TCP acceleration in mm/s²
+     * @returns {Object} { ok: true, samples, duration, length, slowdown } or { ok: false, error }
+     */
+    function samplePath(type, path, orientation, start, speed, acceleration) {
+        const steps = Math.max(1, Math.ceil(path.length / sampleDistance), Math.ceil(orientation.angle / sampleRotation));
+        const nominalDuration = Math.max(minDuration, path.length / speed * 1000, orientation.angle / orientationSpeed * 1000);
+        const limits = RobotKinematics.getJointLimits();
+        const maxSpeed = RobotKinematics.getAxisMaxSpeed();
+        const axes = Object.keys(maxSpeed);
+        const stepTime = nominalDuration / steps;
+
+        const samples = [{ time: 0, angles: start }];
+        let previous = start;
+        let time = 0;
+        let slowdown = 1;
+
+        for (let i = 1; i <= steps; i++) {
+            const fraction = i / steps;
+            const position = path.at(fraction);
+            const percent = Math.round(fraction * 100);
+            const result = RobotKinematics.solveInverseKinematics(
+                { position: position, rotation: orientation.at(fraction) },
+                { seed: previous, limits: limits }
+            );
+
+            if (!result.ok) {
+                return { ok: false, error: `${type} rejected at ${percent}% of the path (${formatPoint(position)}): ${result.error}` };
+            }
+
+            if (typeof RobotCollision !== 'undefined') {
+                const collision = RobotCollision.checkMove(previous, result.angles);
+                if (!collision.ok) {
+                    return { ok: false, error: `${type} rejected at ${percent}% of the path (${formatPoint(position)}): ${collision.error}` };
+                }
+            }
+
+            // Slow the segment down until every axis is within its maximum speed
+            let segmentTime = stepTime;
+            let limitingAxis = null;
+            axes.forEach(axis => {
+                const required = Math.abs(result.angles[axis] - previous[axis]) / maxSpeed[axis] * 1000;
+                if (required > segmentTime) {
+                    segmentTime = required;
+                    limitingAxis = axis;
+                }
+            });
+
+            // Joint speeds blowing up at constant TCP speed mean the path passes (close to) a singularity
+            if (segmentTime > stepTime * maxSlowdown) {
+                const jointSpeed = Math.abs(result.angles[limitingAxis] - previous[limitingAxis]) / (stepTime / 1000);
+                const reason = Math.abs(result.angles.A5) < wristSingularityAngle || Math.abs(previous.A5) < wristSingularityAngle
+                    ? 'wrist singularity (A5 near 0°)'
+                    : 'singularity';
+                return {
+                    ok: false,
+                    error: `${type} rejected at ${percent}% of the path (${formatPoint(position)}): ${reason}, ` +
+                        `${limitingAxis} would need ${Math.round(jointSpeed)}°/s (max ${maxSpeed[limitingAxis]}°/s)`
+                };
+            }
+
+            slowdown = Math.max(slowdown, segmentTime / stepTime);
+            time += segmentTime;
+            samples.push({ time: time, angles: result.angles });
+            previous = result.angles;
+        }
+
+        const timed = RobotTrajectory.applyProfile(samples, speed / acceleration * 1000);
+        return { ok: true, samples: timed, duration: timed[timed.length - 1].time, length: path.length, slowdown: slowdown };
+    }
+
+    /**
+     * Current TCP frame for the given (or current) joint angles
+     */
+    function startFrame(options) {
+        const angles = options.start || RobotKinematics.getJointAngles();
+        const fk = RobotKinematics.forwardKinematics(angles);
+        return { angles: angles, position: fk.position, rotation: fk.rotation };
+    }
+
+    /**
+     * Plan a straight-line TCP move
+     * @param {Object} target - { position: [x, y, z], rotation: 3x3 matrix } in the robot base frame
+     * @param {Object} options - { speed (mm/s), acceleration (mm/s²), start (joint angles, default: current) }
+     * @returns {Object} { ok: true, samples, duration, length, slowdown } or { ok: false, error }
+     */
+    function planLinear(target, options = {}) {
+        const start = startFrame(options);
+        return samplePath(
+            'LIN',
+            linePath(start.position, target.position),
+            orientationInterpolator(start.rotation, target.rotation),
+            start.angles,
+            options.speed || defaultSpeed,
+            options.acceleration || defaultAcceleration
+        );
+    }
+
+    /**
+     * Plan a circular TCP move through an auxiliary point
+     * The orientation turns from the start to the target orientation, the auxiliary
+     * point only defines the arc.
+     * @param {Array} auxiliary - [x, y, z] point on the arc
+     * @param {Object} target - { position: [x, y, z], rotation: 3x3 matrix } in the robot base frame
+     * @param {Object} options - { speed (mm/s), acceleration (mm/s²), start (joint angles, default: current) }
+     * @returns {Object} { ok: true, samples, duration, length, slowdown } or { ok: false, error }
+     */
+    function planCircular(auxiliary, target, options = {}) {
+        const start = startFrame(options);
+        const arc = arcPath(start.position, auxiliary, target.position);
+        if (arc.error) return { ok: false, error: arc.error };
+
+        return samplePath(
+            'CIRC',
+            arc,
+            orientationInterpolator(start.rotation, target.rotation),
+            start.angles,
+            options.speed || defaultSpeed,
+            options.acceleration || defaultAcceleration
+        );
+    }
+
+    /**
+     * Play a planned path on the robot
+     * @returns {Promise<boolean>} True when the path was completed, false if it was stopped
+     */
+    function execute(plan) {
+        return SliderControlledX3DElement.playTrajectory(plan.samples);
+    }
+
+    // Public API
+    return {
+        planLinear: planLinear,
+        planCircular: planCircular,
+        execute: execute
+    };
+})();
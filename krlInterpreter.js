@@ -0,0 +1,950 @@
+/**
+ * KRL Command Interpreter Module
+ * Parses and executes a subset of KUKA Robot Language on the digital twin
+ *
+ * Supported statements:
+ *   PTP / LIN / PTP_REL / LIN_REL <target>      e.g. PTP {A1 10, A2 -90}
+ *   CIRC <auxiliary point>, <target point>
+ *   PTP HOME / HOME
+ *   WAIT SEC <seconds>
+ *   <variable> = <expression>, including $VEL.CP, $ACC.CP, $VEL_AXIS[n], $ACC_AXIS[n], $OV_PRO,
+ *   $TOOL, $BASE (e.g. $TOOL = TOOL_DATA[1]) and TOOL_DATA[n]/BASE_DATA[n]
+ *
+ * Aggregates are AXIS/E6AXIS ({A1 .., A6 ..}) or POS/E6POS/FRAME ({X .., Y .., Z .., A .., B .., C ..}),
+ * optionally prefixed with their type name ({E6POS: X 100, Z 500}). Missing components are
+ * taken from the current robot position, as on the controller. POS targets are poses of the
+ * active tool ($TOOL) in the active base ($BASE), both kept by robotFrames.js. LIN and CIRC
+ * move the TCP along a straight line / arc at $VEL.CP (cartesianPlanner.js), PTP interpolates
+ * the joints.
+ *
+ * The expression parser and statement executor are shared with the program runner
+ * (krlProgram.js), which supplies the variable scope.
+ */
+
+const KRLInterpreter = (function() {
+    const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+    const posNames = ['X', 'Y', 'Z', 'A', 'B', 'C'];
+    const ignoredNames = ['S', 'T', 'E1', 'E2', 'E3', 'E4', 'E5', 'E6'];
+    const aggregateTypes = ['AXIS', 'E6AXIS', 'POS', 'E6POS', 'FRAME'];
+    const approximationFlags = ['C_PTP', 'C_DIS', 'C_VEL', 'C_ORI'];
+    const keywords = ['AND', 'OR', 'EXOR', 'NOT', 'TRUE', 'FALSE'];
+
+    // Frame tables of $config.dat, kept by robotFrames.js
+    const frameTables = { TOOL_DATA: 'tool', BASE_DATA: 'base' };
+    const frameVars = { $TOOL: 'tool', $BASE: 'base' };
+
+    // Motion system variables with controller-like defaults
+    const motionVars = {
+        velCP: 0.2,                      // $VEL.CP in m/s
+        accCP: 2.0,                      // $ACC.CP in m/s²
+        velAxis: [100, 100, 100, 100, 100, 100],  // $VEL_AXIS[1..6] in %
+        accAxis: [100, 100, 100, 100, 100, 100]   // $ACC_AXIS[1..6] in %
+    };
+
+    // Built-in KRL functions (trigonometry in degrees)
+    const builtinFunctions = {
+        SIN: (x) => Math.sin(x * Math.PI / 180),
+        COS: (x) => Math.cos(x * Math.PI / 180),
+        TAN: (x) => Math.tan(x * Math.PI / 180),
+        ASIN: (x) => Math.asin(x) * 180 / Math.PI,
+        ACOS: (x) => Math.acos(x) * 180 / Math.PI,
+        ATAN2: (y, x) => Math.atan2(y, x) * 180 / Math.PI,
+        SQRT: (x) => Math.sqrt(x),
+        ABS: (x) => Math.abs(x)
+    };
+
+    // Scope for one-line commands: there are no user variables
+    const emptyScope = {
+        get: (name) => { throw new Error(`Variable '${name}' is not declared`); },
+        set: (name) => { throw new Error(`Variable '${name}' is not declared`); }
+    };
+
+    let busy = false;
+
+    /**
+     * Initialize the interpreter and bind the "KRL Command" footer controls
+     */
+    function init() {
+        const input = document.getElementById('command');
+        const executeBtn = document.getElementById('execute');
+        if (!input || !executeBtn) return;
+
+        const run = async () => {
+            const text = input.value.trim();
+            if (!text) return;
+
+            const result = await execute(text);
+            if (!result.ok && result.column) {
+                // Put the cursor on the offending character
+                input.focus();
+                input.setSelectionRange(result.column - 1, result.column);
+            }
+        };
+
+        executeBtn.addEventListener('click', run);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') run();
+        });
+
+        console.log('KRL Interpreter Module initialized');
+    }
+
+    // ========================================================================
+    // Tokenizer
+    // ========================================================================
+
+    function syntaxError(message, column) {
+        const error = new Error(message);
+        error.name = 'KRLSyntaxError';
+        error.column = column;
+        return error;
+    }
+
+    /**
+     * Split a KRL line into tokens with 1-based column positions
+     * Comments (';' to end of line) are dropped, identifiers are upper-cased
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === ';') break;
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            const column = i + 1;
+            const rest = text.slice(i);
+            let match;
+
+            if ((match = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/))) {
+                tokens.push({ type: 'number', value: parseFloat(match[0]), text: match[0], column: column });
+            } else if ((match = rest.match(/^\$?[A-Za-z_][A-Za-z0-9_]*/))) {
+                tokens.push({ type: 'ident', value: match[0].toUpperCase(), text: match[0], column: column });
+            } else if ((match = rest.match(/^#[A-Za-z_][A-Za-z0-9_]*/))) {
+                tokens.push({ type: 'enum', value: match[0].toUpperCase(), text: match[0], column: column });
+            } else if ((match = rest.match(/^"[^"]*"/))) {
+                tokens.push({ type: 'string', value: match[0].slice(1, -1), text: match[0], column: column });
+            } else if ((match = rest.match(/^(==|<>|<=|>=|[{}\[\](),:=.+\-*\/<>])/))) {
+                tokens.push({ type: 'punct', value: match[0], text: match[0], column: column });
+            } else {
+                throw syntaxError(`Unexpected character '${ch}'`, column);
+            }
+
+            i += match[0].length;
+        }
+
+        tokens.push({ type: 'end', value: null, text: 'end of line', column: text.length + 1 });
+        return tokens;
+    }
+
+    // ========================================================================
+    // Parser
+    // ========================================================================
+
+    /**
+     * Create a cursor over a token list with the usual peek/expect helpers
+     */
+    function createCursor(tokens) {
+        let index = 0;
+
+        return {
+            peek: (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)],
+            next: () => tokens[index++],
+            accept: (value) => {
+                if (tokens[index].value === value && tokens[index].type !== 'string') {
+                    index++;
+                    return true;
+                }
+                return false;
+            },
+            expect: (value, description) => {
+                const token = tokens[index];
+                if (token.value !== value || token.type === 'string') {
+                    throw syntaxError(`Expected ${description || `'${value}'`} but found '${token.text}'`, token.column);
+                }
+                index++;
+                return token;
+            },
+            expectIdent: (description) => {
+                const token = tokens[index];
+                if (token.type !== 'ident' || keywords.includes(token.value)) {
+                    throw syntaxError(`Expected ${description} but found '${token.text}'`, token.column);
+                }
+                index++;
+                return token;
+            },
+            expectEnd: () => {
+                const token = tokens[index];
+                if (token.type !== 'end') {
+                    throw syntaxError(`Unexpected '${token.text}'`, token.column);
+                }
+            }
+        };
+    }
+
+    /**
+     * Parse an expression with KRL operator precedence
+     * (NOT/unary minus, * /, + -, comparisons, AND, EXOR, OR)
+     * @param {Object} cursor - Token cursor
+     * @param {string} description - What the caller expects, used in error messages
+     * @returns {Object} Expression node
+     */
+    function parseExpression(cursor, description = 'an expression') {
+        const binaryLevels = [['OR'], ['EXOR'], ['AND'], ['==', '<>', '<', '>', '<=', '>='], ['+', '-'], ['*', '/']];
+
+        function parseLevel(level) {
+            if (level === binaryLevels.length) return parseUnary();
+
+            let left = parseLevel(level + 1);
+            let token = cursor.peek();
+            while (token.type !== 'string' && binaryLevels[level].includes(token.value)) {
+                cursor.next();
+                const right = parseLevel(level + 1);
+                left = { type: 'binary', op: token.value, left: left, right: right, column: token.column };
+                token = cursor.peek();
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            const token = cursor.peek();
+            if (token.type !== 'string' && ['-', '+', 'NOT'].includes(token.value)) {
+                cursor.next();
+                const operand = parseUnary();
+                if (token.value === '-' && operand.type === 'number') {
+                    return { type: 'number', value: -operand.value, column: token.column };
+                }
+                return token.value === '+' ? operand : { type: 'unary', op: token.value, operand: operand, column: token.column };
+            }
+            return parsePostfix();
+        }
+
+        function parsePostfix() {
+            let node = parsePrimary();
+            for (;;) {
+                const token = cursor.peek();
+                if (cursor.accept('.')) {
+                    const member = cursor.expectIdent(`a member name after '.'`);
+                    node = { type: 'member', object: node, member: member.value, column: token.column };
+                } else if (cursor.accept('[')) {
+                    const index = parseExpression(cursor, 'an array index');
+                    cursor.expect(']');
+                    node = { type: 'index', object: node, index: index, column: token.column };
+                } else {
+                    return node;
+                }
+            }
+        }
+
+        function parsePrimary() {
+            const token = cursor.peek();
+
+            switch (token.type) {
+                case 'number':
+                    cursor.next();
+                    return { type: 'number', value: token.value, column: token.column };
+                case 'string':
+                    cursor.next();
+                    return { type: 'string', value: token.value, column: token.column };
+                case 'enum':
+                    cursor.next();
+                    return { type: 'enum', value: token.value, column: token.column };
+                case 'ident':
+                    if (token.value === 'TRUE' || token.value === 'FALSE') {
+                        cursor.next();
+                        return { type: 'bool', value: token.value === 'TRUE', column: token.column };
+                    }
+                    if (keywords.includes(token.value)) break;
+                    cursor.next();
+                    if (cursor.accept('(')) {
+                        const args = [];
+                        if (!cursor.accept(')')) {
+                            do {
+                                args.push(parseExpression(cursor, 'a function argument'));
+                            } while (cursor.accept(','));
+                            cursor.expect(')', "',' or ')'");
+                        }
+                        return { type: 'call', name: token.value, args: args, column: token.column };
+                    }
+                    return { type: 'var', name: token.value, column: token.column };
+                case 'punct':
+                    if (token.value === '(') {
+                        cursor.next();
+                        const inner = parseExpression(cursor);
+                        cursor.expect(')', "')'");
+                        return inner;
+                    }
+                    if (token.value === '{') return parseAggregate(cursor);
+                    break;
+            }
+
+            throw syntaxError(`Expected ${description} but found '${token.text}'`, token.column);
+        }
+
+        return parseLevel(0);
+    }
+
+    /**
+     * Parse an aggregate such as {A1 10, A2 -90} or {E6POS: X 100, Y 0}
+     * @returns {Object} { type: 'aggregate', kind: 'axis'|'pos', fields, column }
+     */
+    function parseAggregate(cursor) {
+        const open = cursor.expect('{', "an aggregate '{...}'");
+        let declaredType = null;
+
+        const first = cursor.peek();
+        if (first.type === 'ident' && aggregateTypes.includes(first.value)) {
+            cursor.next();
+            cursor.expect(':', "':' after aggregate type");
+            declaredType = first.value;
+        }
+
+        const fields = {};
+        let kind = declaredType ? (declaredType.includes('AXIS') ? 'axis' : 'pos') : null;
+
+        do {
+            const nameToken = cursor.peek();
+            if (nameToken.type !== 'ident') {
+                throw syntaxError(`Expected a component name but found '${nameToken.text}'`, nameToken.column);
+            }
+            cursor.next();
+
+            const name = nameToken.value;
+            let componentKind = null;
+            if (axisNames.includes(name)) componentKind = 'axis';
+            else if (posNames.includes(name)) componentKind = 'pos';
+            else if (!ignoredNames.includes(name)) {
+                throw syntaxError(`Unknown aggregate component '${nameToken.text}'`, nameToken.column);
+            }
+
+            if (componentKind) {
+                if (kind && kind !== componentKind) {
+                    throw syntaxError(`Component '${nameToken.text}' does not belong in ${kind === 'axis' ? 'an AXIS' : 'a POS'} aggregate`, nameToken.column);
+                }
+                kind = componentKind;
+                if (fields[name] !== undefined) {
+                    throw syntaxError(`Component '${nameToken.text}' given twice`, nameToken.column);
+                }
+            }
+
+            const value = parseExpression(cursor, `a value for '${nameToken.text}'`);
+            if (componentKind) fields[name] = value;
+        } while (cursor.accept(','));
+
+        cursor.expect('}', "',' or '}'");
+
+        if (!kind) {
+            throw syntaxError('Aggregate has no axis or position components', open.column);
+        }
+        return { type: 'aggregate', kind: kind, fields: fields, column: open.column };
+    }
+
+    /**
+     * Skip optional approximation flags (C_PTP, C_DIS, ...) - motions always stop exactly
+     */
+    function parseApproximation(cursor) {
+        const token = cursor.peek();
+        if (token.type === 'ident' && approximationFlags.includes(token.value)) {
+            cursor.next();
+            return token.value;
+        }
+        return null;
+    }
+
+    /**
+     * Name of the variable at the root of a var/member/index chain
+     */
+    function rootName(node) {
+        while (node.type !== 'var') node = node.object;
+        return node.name;
+    }
+
+    /**
+     * Parse an assignment such as P1.X = 100, COUNT = COUNT + 1 or $VEL_AXIS[1] = 50
+     */
+    function parseAssignment(cursor) {
+        const target = parseExpression(cursor, 'a variable');
+        if (!['var', 'member', 'index'].includes(target.type)) {
+            throw syntaxError('Left side of an assignment must be a variable', target.column);
+        }
+
+        const root = rootName(target);
+        if (root.startsWith('$')) {
+            const writable = (target.type === 'member' && target.object.type === 'var' &&
+                    ['$VEL', '$ACC'].includes(root) && target.member === 'CP') ||
+                (target.type === 'index' && target.object.type === 'var' && ['$VEL_AXIS', '$ACC_AXIS'].includes(root)) ||
+                (target.type === 'var' && (root === '$OV_PRO' || frameVars[root]));
+            if (!writable) {
+                const hint = ['$VEL_AXIS', '$ACC_AXIS'].includes(root) ? `, use ${root}[1..6]` : '';
+                throw syntaxError(`Unsupported system variable assignment '${root}'${hint}`, target.column);
+            }
+        }
+
+        cursor.expect('=', "'='");
+        const value = parseExpression(cursor, 'a value');
+        return { type: 'assign', target: target, value: value };
+    }
+
+    /**
+     * Parse a simple (non-structured) statement from a token cursor
+     * @returns {Object} Statement object
+     * @throws {Error} KRLSyntaxError with a 1-based column property
+     */
+    function parseSimpleStatement(cursor) {
+        const first = cursor.peek();
+        if (first.type !== 'ident') {
+            throw syntaxError(`Expected a statement but found '${first.text}'`, first.column);
+        }
+
+        let statement;
+        switch (first.value) {
+            case 'PTP':
+            case 'LIN':
+            case 'PTP_REL':
+            case 'LIN_REL': {
+                cursor.next();
+                if (first.value === 'PTP' && cursor.accept('HOME')) {
+                    statement = { type: 'home' };
+                    break;
+                }
+                const target = parseExpression(cursor, 'a target point');
+                if (first.value.startsWith('LIN') && target.type === 'aggregate' && target.kind !== 'pos') {
+                    throw syntaxError(`${first.value} needs a POS/E6POS target ({X .., Y .., Z ..})`, target.column);
+                }
+                statement = {
+                    type: first.value.toLowerCase().replace('_rel', ''),
+                    relative: first.value.endsWith('_REL'),
+                    target: target,
+                    approximation: parseApproximation(cursor)
+                };
+                break;
+            }
+
+            case 'CIRC': {
+                cursor.next();
+                const auxiliary = parseExpression(cursor, 'an auxiliary point');
+                cursor.expect(',', "',' between auxiliary and target point");
+                const target = parseExpression(cursor, 'a target point');
+                [auxiliary, target].forEach(point => {
+                    if (point.type === 'aggregate' && point.kind !== 'pos') {
+                        throw syntaxError('CIRC needs POS/E6POS points ({X .., Y .., Z ..})', point.column);
+                    }
+                });
+                statement = { type: 'circ', auxiliary: auxiliary, target: target, approximation: parseApproximation(cursor) };
+                break;
+            }
+
+            case 'HOME':
+                cursor.next();
+                statement = { type: 'home' };
+                break;
+
+            case 'WAIT':
+                cursor.next();
+                cursor.expect('SEC', "'SEC' after WAIT");
+                statement = { type: 'wait', seconds: parseExpression(cursor, 'a time in seconds') };
+                break;
+
+            default: {
+                const next = cursor.peek(1);
+                if (first.value.startsWith('$') || ['=', '.', '['].includes(next.value)) {
+                    statement = parseAssignment(cursor);
+                } else {
+                    throw syntaxError(`Unknown or unsupported statement '${first.text}'`, first.column);
+                }
+            }
+        }
+
+        cursor.expectEnd();
+        return statement;
+    }
+
+    /**
+     * Parse a single KRL statement
+     * @param {string} text - One line of KRL
+     * @returns {Object|null} Statement object, or null for blank/comment lines
+     * @throws {Error} KRLSyntaxError with a 1-based column property
+     */
+    function parseStatement(text) {
+        const cursor = createCursor(tokenize(text));
+        if (cursor.peek().type === 'end') return null;
+        return parseSimpleStatement(cursor);
+    }
+
+    // ========================================================================
+    // Expression Evaluation
+    // ========================================================================
+
+    /**
+     * A frame of robotFrames.js ({ x, .., c }) as a KRL FRAME aggregate
+     */
+    function toFrameValue(frame) {
+        return { X: frame.x, Y: frame.y, Z: frame.z, A: frame.a, B: frame.b, C: frame.c };
+    }
+
+    /**
+     * A FRAME/POS aggregate as a frame of robotFrames.js, missing components taken from current
+     */
+    function fromFrameValue(value, current, what) {
+        if (aggregateKind(value, what) !== 'pos') throw new Error(`${what} must be a FRAME aggregate`);
+        const frame = {};
+        posNames.forEach(name => {
+            const key = name.toLowerCase();
+            frame[key] = value[name] !== undefined ? value[name] : current[key];
+        });
+        return frame;
+    }
+
+    /**
+     * Read a system variable ($POS_ACT, $AXIS_ACT, $TOOL, $BASE, $ACT_TOOL, $ACT_BASE, $NULLFRAME,
+     * $VEL, $ACC, $VEL_AXIS, $ACC_AXIS, $OV_PRO)
+     */
+    function readSystemVar(name) {
+        switch (name) {
+            case '$POS_ACT':
+                return toFrameValue(RobotFrames.getTcpInBase());
+            case '$TOOL':
+            case '$BASE':
+                return toFrameValue(RobotFrames.getActive(frameVars[name]));
+            case '$ACT_TOOL':
+                return RobotFrames.getActive('tool').number;
+            case '$ACT_BASE':
+                return RobotFrames.getActive('base').number;
+            case '$NULLFRAME':
+                return { X: 0, Y: 0, Z: 0, A: 0, B: 0, C: 0 };
+            case '$AXIS_ACT':
+                return RobotKinematics.getJointAngles();
+            case '$VEL':
+                return { CP: motionVars.velCP };
+            case '$ACC':
+                return { CP: motionVars.accCP };
+            case '$VEL_AXIS':
+                return motionVars.velAxis.slice();
+            case '$ACC_AXIS':
+                return motionVars.accAxis.slice();
+            case '$OV_PRO':
+                return RobotTrajectory.getOverride();
+            default:
+                throw new Error(`Unsupported system variable '${name}'`);
+        }
+    }
+
+    /**
+     * Write one of the writable motion system variables
+     */
+    function writeSystemVar(target, value, scope) {
+        const root = rootName(target);
+        if (frameVars[root]) {
+            const kind = frameVars[root];
+            const result = RobotFrames.setActiveFrame(kind, fromFrameValue(value, RobotFrames.getActive(kind), root));
+            if (!result.ok) throw new Error(`${root}: ${result.error}`);
+            return;
+        }
+
+        if (typeof value !== 'number' || !(value > 0)) {
+            throw new Error(`${root} must be a number greater than 0`);
+        }
+
+        if (target.type === 'var') {
+            if (value > 100) throw new Error('$OV_PRO is a percentage (1-100)');
+            RobotTrajectory.setOverride(value);
+            return;
+        }
+
+        if (target.type === 'member') {
+            if (root === '$VEL') motionVars.velCP = value;
+            else motionVars.accCP = value;
+            return;
+        }
+
+        const index = evaluate(target.index, scope);
+        if (!Number.isInteger(index) || index < 1 || index > 6) {
+            throw new Error(`Axis index must be 1 to 6, got ${index}`);
+        }
+        if (value > 100) {
+            throw new Error(`${root}[${index}] is a percentage (1-100)`);
+        }
+        (root === '$VEL_AXIS' ? motionVars.velAxis : motionVars.accAxis)[index - 1] = value;
+    }
+
+    function expectNumber(value, what) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            throw new Error(`${what} must be a number`);
+        }
+        return value;
+    }
+
+    function expectBool(value, what) {
+        if (typeof value !== 'boolean') {
+            throw new Error(`${what} must be TRUE or FALSE`);
+        }
+        return value;
+    }
+
+    /**
+     * Evaluate an expression node
+     * @param {Object} node - Expression node from parseExpression()
+     * @param {Object} scope - Variable scope with get(name) and set(name, value)
+     * @returns {*} Number, boolean, string, array or aggregate object
+     */
+    function evaluate(node, scope = emptyScope) {
+        switch (node.type) {
+            case 'number':
+            case 'bool':
+            case 'string':
+            case 'enum':
+                return node.value;
+
+            case 'var':
+                if (node.name.startsWith('$')) return readSystemVar(node.name);
+                if (frameTables[node.name]) return RobotFrames.getTable(frameTables[node.name]).map(toFrameValue);
+                return scope.get(node.name);
+
+            case 'member': {
+                const object = evaluate(node.object, scope);
+                if (!object || typeof object !== 'object' || Array.isArray(object) || !(node.member in object)) {
+                    throw new Error(`Component '${node.member}' is not available`);
+                }
+                return object[node.member];
+            }
+
+            case 'index': {
+                const array = evaluate(node.object, scope);
+                const index = evaluate(node.index, scope);
+                if (!Array.isArray(array)) throw new Error('Only arrays can be indexed');
+                if (!Number.isInteger(index) || index < 1 || index > array.length) {
+                    throw new Error(`Array index ${index} out of range 1..${array.length}`);
+                }
+                return array[index - 1];
+            }
+
+            case 'aggregate': {
+                const value = {};
+                Object.keys(node.fields).forEach(name => {
+                    value[name] = expectNumber(evaluate(node.fields[name], scope), `Component ${name}`);
+                });
+                return value;
+            }
+
+            case 'call': {
+                const fn = builtinFunctions[node.name];
+                if (!fn) throw new Error(`Unknown function '${node.name}'`);
+                const args = node.args.map(arg => expectNumber(evaluate(arg, scope), `Argument of ${node.name}`));
+                if (args.length !== fn.length) {
+                    throw new Error(`${node.name} takes ${fn.length} argument(s)`);
+                }
+                return fn(...args);
+            }
+
+            case 'unary': {
+                const operand = evaluate(node.operand, scope);
+                if (node.op === 'NOT') return !expectBool(operand, 'Operand of NOT');
+                return -expectNumber(operand, 'Operand of -');
+            }
+
+            case 'binary':
+                return evaluateBinary(node, scope);
+        }
+
+        throw new Error(`Cannot evaluate '${node.type}'`);
+    }
+
+    function evaluateBinary(node, scope) {
+        const left = evaluate(node.left, scope);
+        const right = evaluate(node.right, scope);
+
+        switch (node.op) {
+            case 'AND': return expectBool(left, 'Operand of AND') && expectBool(right, 'Operand of AND');
+            case 'OR': return expectBool(left, 'Operand of OR') || expectBool(right, 'Operand of OR');
+            case 'EXOR': return expectBool(left, 'Operand of EXOR') !== expectBool(right, 'Operand of EXOR');
+            case '==': return left === right;
+            case '<>': return left !== right;
+        }
+
+        const a = expectNumber(left, `Operand of ${node.op}`);
+        const b = expectNumber(right, `Operand of ${node.op}`);
+        switch (node.op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/':
+                if (b === 0) throw new Error('Division by zero');
+                return a / b;
+            case '<': return a < b;
+            case '>': return a > b;
+            case '<=': return a <= b;
+            case '>=': return a >= b;
+        }
+        throw new Error(`Unknown operator '${node.op}'`);
+    }
+
+    /**
+     * Write TOOL_DATA[n]/BASE_DATA[n] or one of their components (TOOL_DATA[n].X)
+     */
+    function writeFrameTable(target, value, scope) {
+        const root = rootName(target);
+        const kind = frameTables[root];
+        const element = target.type === 'member' ? target.object : target;
+        if (element.type !== 'index' || element.object.type !== 'var') {
+            throw new Error(`Only ${root}[n] and its components can be assigned`);
+        }
+
+        const number = evaluate(element.index, scope);
+        const current = RobotFrames.getEntry(kind, number);
+        if (!current) {
+            throw new Error(`Array index ${number} out of range 1..${RobotFrames.getTable(kind).length}`);
+        }
+
+        let frame;
+        if (target.type === 'member') {
+            if (!posNames.includes(target.member)) throw new Error(`Component '${target.member}' is not available`);
+            frame = { [target.member.toLowerCase()]: expectNumber(value, `Component ${target.member}`) };
+        } else {
+            frame = fromFrameValue(value, current, `${root}[${number}]`);
+        }
+        const result = RobotFrames.setEntry(kind, number, frame);
+        if (!result.ok) throw new Error(result.error);
+    }
+
+    /**
+     * Assign a value to a variable, aggregate component, array element or system variable
+     */
+    function assign(target, value, scope) {
+        if (rootName(target).startsWith('$')) {
+            writeSystemVar(target, value, scope);
+            return;
+        }
+        if (frameTables[rootName(target)]) {
+            writeFrameTable(target, value, scope);
+            return;
+        }
+
+        if (target.type === 'var') {
+            scope.set(target.name, value);
+            return;
+        }
+
+        const container = evaluate(target.object, scope);
+        if (target.type === 'member') {
+            if (!container || typeof container !== 'object' || Array.isArray(container)) {
+                throw new Error(`Cannot set component '${target.member}' of a non-aggregate`);
+            }
+            container[target.member] = expectNumber(value, `Component ${target.member}`);
+        } else {
+            const index = evaluate(target.index, scope);
+            if (!Array.isArray(container)) throw new Error('Only arrays can be indexed');
+            if (!Number.isInteger(index) || index < 1 || index > container.length) {
+                throw new Error(`Array index ${index} out of range 1..${container.length}`);
+            }
+            container[index - 1] = (value && typeof value === 'object') ? Object.assign({}, value) : value;
+        }
+    }
+
+    /**
+     * Classify an evaluated aggregate as 'axis' or 'pos'
+     */
+    function aggregateKind(value, what) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const keys = Object.keys(value);
+            if (keys.some(key => axisNames.includes(key))) return 'axis';
+            if (keys.some(key => posNames.includes(key))) return 'pos';
+        }
+        throw new Error(`${what} must be an AXIS or POS aggregate`);
+    }
+
+    // ========================================================================
+    // Executor
+    // ========================================================================
+
+    /**
+     * Resolve a POS aggregate in the active base against the current TCP pose
+     * @returns {Object} { position, rotation } in the robot base frame and pose, the values in the base
+     */
+    function resolvePose(values, relative) {
+        const current = RobotFrames.getTcpInBase();
+        const pose = {};
+        posNames.forEach(name => {
+            const key = name.toLowerCase();
+            if (values[name] === undefined) pose[key] = current[key];
+            else pose[key] = relative ? current[key] + values[name] : values[name];
+        });
+
+        const target = RobotFrames.baseToWorld({
+            position: [pose.x, pose.y, pose.z],
+            rotation: RobotKinematics.abcToMatrix(pose.a, pose.b, pose.c)
+        });
+        target.pose = pose;
+        return target;
+    }
+
+    /**
+     * Solve the joint angles for a Cartesian pose (PTP to a POS target)
+     */
+    function solvePose(values, relative) {
+        const target = resolvePose(values, relative);
+        const result = RobotKinematics.solveInverseKinematics(target);
+        if (!result.ok) throw new Error(result.error);
+        return { angles: result.angles, target: target };
+    }
+
+    /**
+     * Run a synchronized joint move at $VEL_AXIS/$ACC_AXIS and fail if it was stopped before reaching the target
+     */
+    async function moveJoints(angles) {
+        const completed = await RobotTrajectory.moveJoints(angles, {
+            velocityScale: motionVars.velAxis,
+            accelerationScale: motionVars.accAxis
+        });
+        if (!completed) throw new Error(stopReason());
+    }
+
+    async function executePTP(statement, scope) {
+        const target = evaluate(statement.target, scope);
+        const current = RobotKinematics.getJointAngles();
+        let angles;
+
+        if (aggregateKind(target, 'PTP target') === 'axis') {
+            angles = Object.assign({}, current);
+            Object.keys(target).filter(name => axisNames.includes(name)).forEach(name => {
+                angles[name] = statement.relative ? current[name] + target[name] : target[name];
+            });
+
+            const limits = RobotKinematics.getJointLimits();
+            axisNames.forEach(name => {
+                if (angles[name] < limits[name].min || angles[name] > limits[name].max) {
+                    throw new Error(`${name}=${angles[name]}° is outside its limits (${limits[name].min}°..${limits[name].max}°)`);
+                }
+            });
+        } else {
+            angles = solvePose(target, statement.relative).angles;
+        }
+
+        await moveJoints(angles);
+    }
+
+    /**
+     * Play a Cartesian path from the planner at $VEL.CP, or fail with the planner's reason
+     */
+    async function moveCartesian(plan) {
+        if (!plan.ok) throw new Error(plan.error);
+        if (plan.slowdown > 1.05) {
+            console.warn(`KRL: path slowed to ${Math.round(100 / plan.slowdown)}% of $VEL.CP to respect the axis speed limits`);
+        }
+        const completed = await CartesianPlanner.execute(plan);
+        if (!completed) throw new Error(stopReason());
+    }
+
+    /**
+     * Why the last motion did not reach its target: blocked by a collision or stopped
+     */
+    function stopReason() {
+        const blocked = typeof RobotCollision !== 'undefined' ? RobotCollision.getLastBlocked() : null;
+        return blocked || 'Motion stopped';
+    }
+
+    async function executeLIN(statement, scope) {
+        const target = evaluate(statement.target, scope);
+        if (aggregateKind(target, 'LIN target') !== 'pos') {
+            throw new Error('LIN needs a POS/E6POS target');
+        }
+
+        const pose = resolvePose(target, statement.relative);
+        await moveCartesian(CartesianPlanner.planLinear(pose, { speed: motionVars.velCP * 1000, acceleration: motionVars.accCP * 1000 }));
+    }
+
+    async function executeCIRC(statement, scope) {
+        const auxiliaryValue = evaluate(statement.auxiliary, scope);
+        const targetValue = evaluate(statement.target, scope);
+        if (aggregateKind(auxiliaryValue, 'CIRC auxiliary point') !== 'pos' ||
+            aggregateKind(targetValue, 'CIRC target') !== 'pos') {
+            throw new Error('CIRC needs POS/E6POS points');
+        }
+
+        // Only the position of the auxiliary point matters, as on the controller
+        const auxiliary = resolvePose(auxiliaryValue, false).position;
+        const pose = resolvePose(targetValue, false);
+        await moveCartesian(CartesianPlanner.planCircular(auxiliary, pose, { speed: motionVars.velCP * 1000, acceleration: motionVars.accCP * 1000 }));
+    }
+
+    /**
+     * Execute a parsed statement
+     * @param {Object} statement - Result of parseStatement()/parseSimpleStatement()
+     * @param {Object} scope - Variable scope (default: no user variables)
+     * @returns {Promise} Resolves when the statement (including motion) has completed
+     */
+    async function executeStatement(statement, scope = emptyScope) {
+        switch (statement.type) {
+            case 'ptp':
+                return executePTP(statement, scope);
+            case 'lin':
+                return executeLIN(statement, scope);
+            case 'circ':
+                return executeCIRC(statement, scope);
+            case 'home':
+                return moveJoints(RobotDescription.getHomePosition());
+            case 'wait': {
+                const seconds = expectNumber(evaluate(statement.seconds, scope), 'WAIT SEC time');
+                if (seconds < 0) throw new Error('WAIT SEC time cannot be negative');
+                return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+            }
+            case 'assign':
+                return assign(statement.target, evaluate(statement.value, scope), scope);
+        }
+    }
+
+    /**
+     * Parse and execute one line of KRL, reporting progress in the status line
+     * @param {string} text - KRL statement
+     * @returns {Promise<Object>} { ok: true } or { ok: false, error, column }
+     */
+    async function execute(text) {
+        if (busy || (typeof KRLProgram !== 'undefined' && KRLProgram.getState() === 'running')) {
+            RobotKinematics.setStatus('KRL: interpreter busy, wait for the current motion to finish', true);
+            return { ok: false, error: 'Interpreter busy' };
+        }
+
+        let statement;
+        try {
+            statement = parseStatement(text);
+        } catch (error) {
+            const message = error.column ? `Syntax error at column ${error.column}: ${error.message}` : error.message;
+            RobotKinematics.setStatus('KRL ' + message, true);
+            return { ok: false, error: error.message, column: error.column };
+        }
+        if (!statement) return { ok: true };
+
+        busy = true;
+        RobotKinematics.setStatus('KRL executing: ' + text);
+        try {
+            await executeStatement(statement);
+            RobotKinematics.setStatus('KRL done: ' + text);
+            return { ok: true };
+        } catch (error) {
+            RobotKinematics.setStatus('KRL error: ' + error.message, true);
+            return { ok: false, error: error.message };
+        } finally {
+            busy = false;
+        }
+    }
+
+    // Public API
+    return {
+        init: init,
+        tokenize: tokenize,
+        createCursor: createCursor,
+        syntaxError: syntaxError,
+        parseExpression: parseExpression,
+        parseSimpleStatement: parseSimpleStatement,
+        parseStatement: parseStatement,
+        evaluate: evaluate,
+        executeStatement: executeStatement,
+        execute: execute,
+        isBusy: () => busy,
+        getMotionVars: () => motionVars
+    };
+})();
@@ -0,0 +1,900 @@
+/**
+ * KRL Program Module
+ * Loads, compiles and runs multi-line KRL programs (.src/.dat pairs or pasted text)
+ *
+ * Supported structure:
+ *   DEF name(params) ... END               first DEF is the main program, others are subprograms
+ *   DEFDAT name ... ENDDAT                 DECL lines in the .dat file are module globals
+ *   [DECL] [GLOBAL] type name[size] [= value]   INT, REAL, BOOL, AXIS, E6AXIS, POS, E6POS, FRAME
+ *   FOR i = a TO b [STEP s] ... ENDFOR
+ *   WHILE cond ... ENDWHILE
+ *   REPEAT ... UNTIL cond
+ *   IF cond THEN ... [ELSE ...] ENDIF
+ *   name(args), RETURN, HALT
+ * Every other line is handed to KRLInterpreter (motions, WAIT SEC, assignments).
+ * Pasted text without DEF/END is run as the body of the main program.
+ */
+
+const KRLProgram = (function() {
+    const dataTypes = ['INT', 'REAL', 'BOOL', 'AXIS', 'E6AXIS', 'POS', 'E6POS', 'FRAME'];
+    const aggregateTypes = ['AXIS', 'E6AXIS', 'POS', 'E6POS', 'FRAME'];
+    const axisTypes = ['AXIS', 'E6AXIS'];
+    const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+    const posNames = ['X', 'Y', 'Z', 'A', 'B', 'C'];
+
+    // Instructions that run without stopping the pointer on their line when stepping
+    const silentOps = ['decl', 'jump', 'forCheck', 'forNext', 'nop', 'return'];
+
+    // Yield to the browser after this many instructions so Pause/Stop stay clickable
+    const yieldInterval = 100;
+
+    let program = null;     // Compiled program
+    let frames = [];        // Call stack: { routine, pc, locals, scope, outArgs, forStates }
+    let globals = {};       // Module variables from the .dat file
+    let state = 'idle';     // idle | ready | running | paused | stopped | finished | error
+    let runId = 0;          // Incremented on stop/reset so an in-flight instruction is discarded
+    let elements = {};
+
+    /**
+     * Initialize the program panel
+     */
+    function init() {
+        elements = {
+            panel: document.getElementById('program-panel'),
+            source: document.getElementById('krlSource'),
+            data: document.getElementById('krlData'),
+            listing: document.getElementById('programListing'),
+            state: document.getElementById('programState'),
+            fileInput: document.getElementById('programFile')
+        };
+        if (!elements.panel) return;
+
+        setupUI();
+        updateState('idle');
+        console.log('KRL Program Module initialized');
+    }
+
+    function setupUI() {
+        const panel = elements.panel;
+
+        document.getElementById('toggleProgram').addEventListener('click', () => {
+            if (panel.style.display === 'none' || panel.style.display === '') {
+                panel.style.display = 'block';
+                panel.classList.remove('minimized', 'maximized');
+            } else {
+                panel.style.display = 'none';
+            }
+        });
+        document.getElementById('closeProgram').addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+        document.getElementById('minimizeProgram').addEventListener('click', () => {
+            panel.classList.toggle('minimized');
+        });
+        document.getElementById('maximizeProgram').addEventListener('click', () => {
+            panel.classList.toggle('maximized');
+        });
+
+        document.getElementById('loadProgram').addEventListener('click', () => elements.fileInput.click());
+        elements.fileInput.addEventListener('change', async (e) => {
+            stop();
+            for (const file of e.target.files) {
+                const text = await file.text();
+                if (/\.dat$/i.test(file.name)) elements.data.value = text;
+                else elements.source.value = text;
+            }
+            e.target.value = '';
+            showEditor();
+        });
+
+        document.getElementById('runProgram').addEventListener('click', run);
+        document.getElementById('stepProgram').addEventListener('click', step);
+        document.getElementById('pauseProgram').addEventListener('click', pause);
+        document.getElementById('stopProgram').addEventListener('click', stop);
+        document.getElementById('resetProgram').addEventListener('click', reset);
+        document.getElementById('editProgram').addEventListener('click', () => {
+            stop();
+            showEditor();
+        });
+    }
+
+    // ========================================================================
+    // Compiler
+    // ========================================================================
+
+    /**
+     * Attach a line number to a syntax error
+     */
+    function lineError(error, line, file) {
+        error.line = line;
+        error.file = file;
+        return error;
+    }
+
+    /**
+     * Parse a declaration: [DECL] [GLOBAL] [CONST] type name[size] [= value] {, name ...}
+     */
+    function parseDeclaration(cursor) {
+        cursor.accept('DECL');
+        cursor.accept('GLOBAL');
+        cursor.accept('CONST');
+
+        const typeToken = cursor.expectIdent('a data type');
+        if (!dataTypes.includes(typeToken.value)) {
+            throw KRLInterpreter.syntaxError(`Unsupported data type '${typeToken.text}'`, typeToken.column);
+        }
+
+        const entries = [];
+        do {
+            const nameToken = cursor.expectIdent('a variable name');
+            let size = null;
+            if (cursor.accept('[')) {
+                const sizeToken = cursor.next();
+                if (sizeToken.type !== 'number' || !Number.isInteger(sizeToken.value) || sizeToken.value < 1) {
+                    throw KRLInterpreter.syntaxError('Array size must be a positive integer', sizeToken.column);
+                }
+                size = sizeToken.value;
+                cursor.expect(']');
+            }
+
+            let init = null;
+            if (cursor.accept('=')) {
+                if (size) throw KRLInterpreter.syntaxError('Arrays cannot be initialized in their declaration', cursor.peek().column);
+                init = KRLInterpreter.parseExpression(cursor, 'an initial value');
+            }
+            entries.push({ name: nameToken.value, type: typeToken.value, size: size, init: init });
+        } while (cursor.accept(','));
+
+        cursor.expectEnd();
+        return entries;
+    }
+
+    function isDeclaration(cursor) {
+        const first = cursor.peek();
+        if (first.type !== 'ident') return false;
+        if (first.value === 'DECL') return true;
+        return dataTypes.includes(first.value) && cursor.peek(1).type === 'ident';
+    }
+
+    /**
+     * Compile the DECL lines of a .dat file into module variable declarations
+     */
+    function compileData(text) {
+        const declarations = [];
+
+        text.split(/\r?\n/).forEach((raw, i) => {
+            const line = i + 1;
+            if (raw.trim().startsWith('&')) return;
+
+            try {
+                const cursor = KRLInterpreter.createCursor(KRLInterpreter.tokenize(raw));
+                const first = cursor.peek();
+                if (first.type === 'end' || ['DEFDAT', 'ENDDAT', 'EXT', 'EXTFCT'].includes(first.value)) return;
+
+                if (!isDeclaration(cursor)) {
+                    throw KRLInterpreter.syntaxError(`Only declarations are allowed in a .dat file`, first.column);
+                }
+
+                // Inline form data (FDAT, PDAT, LDAT, ...) has no meaning in the twin
+                const typeToken = ['DECL', 'GLOBAL', 'CONST'].includes(first.value)
+                    ? [cursor.peek(1), cursor.peek(2), cursor.peek(3)].find(t => !['DECL', 'GLOBAL', 'CONST'].includes(t.value))
+                    : first;
+                if (typeToken.type === 'ident' && !dataTypes.includes(typeToken.value)) {
+                    console.warn(`KRL .dat line ${line}: skipping ${typeToken.text} declaration`);
+                    return;
+                }
+
+                parseDeclaration(cursor).forEach(entry => {
+                    declarations.push(Object.assign(entry, { line: line }));
+                });
+            } catch (error) {
+                throw lineError(error, line, 'dat');
+            }
+        });
+
+        return declarations;
+    }
+
+    /**
+     * Compile .src text into routines made of flat instructions
+     * @returns {Object} { routines, main }
+     */
+    function compileSource(text) {
+        const routines = {};
+        let main = null;
+        let routine = null;
+        let blocks = [];
+
+        function emit(op, line, fields) {
+            routine.instructions.push(Object.assign({ op: op, line: line }, fields));
+            return routine.instructions.length - 1;
+        }
+
+        function openRoutine(name, params, line, implicit) {
+            if (routines[name]) {
+                throw KRLInterpreter.syntaxError(`DEF ${name} is defined twice`, 1);
+            }
+            routine = { name: name, params: params, instructions: [], line: line, implicit: implicit };
+            routines[name] = routine;
+            if (!main) main = name;
+            blocks = [];
+        }
+
+        function closeRoutine(line) {
+            if (blocks.length) {
+                const open = blocks[blocks.length - 1];
+                throw KRLInterpreter.syntaxError(`${open.type} on line ${open.line} is not closed`, 1);
+            }
+            emit('return', line, {});
+            routine = null;
+        }
+
+        function expectBlock(type, keyword, column) {
+            const block = blocks[blocks.length - 1];
+            if (!block || block.type !== type) {
+                throw KRLInterpreter.syntaxError(`${keyword} without ${type}`, column);
+            }
+            return block;
+        }
+
+        const lines = text.split(/\r?\n/);
+        lines.forEach((raw, i) => {
+            const line = i + 1;
+            if (raw.trim().startsWith('&')) return;
+
+            try {
+                const cursor = KRLInterpreter.createCursor(KRLInterpreter.tokenize(raw));
+                const first = cursor.peek();
+                if (first.type === 'end') return;
+
+                if (first.value === 'GLOBAL' && cursor.peek(1).value === 'DEF') cursor.next();
+                const keyword = cursor.peek();
+
+                if (keyword.value === 'DEF') {
+                    if (routine) {
+                        const hint = routine.implicit ? ', wrap the main program in DEF ... END' : `, DEF ${routine.name} has no END`;
+                        throw KRLInterpreter.syntaxError(`DEF inside a routine${hint}`, keyword.column);
+                    }
+                    cursor.next();
+                    const name = cursor.expectIdent('a routine name').value;
+                    const params = [];
+                    cursor.expect('(', "'(' after routine name");
+                    if (!cursor.accept(')')) {
+                        do {
+                            const param = cursor.expectIdent('a parameter name');
+                            let direction = 'IN';
+                            if (cursor.accept(':')) {
+                                direction = cursor.expectIdent("'IN' or 'OUT'").value;
+                                if (direction !== 'IN' && direction !== 'OUT') {
+                                    throw KRLInterpreter.syntaxError("Parameter direction must be IN or OUT", param.column);
+                                }
+                            }
+                            params.push({ name: param.value, direction: direction });
+                        } while (cursor.accept(','));
+                        cursor.expect(')', "',' or ')'");
+                    }
+                    cursor.expectEnd();
+                    openRoutine(name, params, line, false);
+                    return;
+                }
+
+                if (keyword.value === 'END' && cursor.peek(1).type === 'end') {
+                    if (!routine || routine.implicit) throw KRLInterpreter.syntaxError('END without DEF', keyword.column);
+                    closeRoutine(line);
+                    return;
+                }
+
+                if (!routine) {
+                    if (main) throw KRLInterpreter.syntaxError('Statement outside DEF ... END', keyword.column);
+                    openRoutine('MAIN', [], line, true);
+                }
+
+                compileStatement(cursor, line);
+            } catch (error) {
+                throw lineError(error, line, 'src');
+            }
+        });
+
+        if (routine) {
+            if (!routine.implicit) {
+                throw lineError(KRLInterpreter.syntaxError(`DEF ${routine.name} has no END`, 1), lines.length, 'src');
+            }
+            try {
+                closeRoutine(lines.length);
+            } catch (error) {
+                throw lineError(error, lines.length, 'src');
+            }
+        }
+        if (!main) {
+            throw lineError(KRLInterpreter.syntaxError('Program is empty', 1), 1, 'src');
+        }
+        if (routines[main].params.length) {
+            throw lineError(KRLInterpreter.syntaxError('The main program cannot take parameters', 1), routines[main].line, 'src');
+        }
+
+        // Calls may refer to subprograms defined further down, check them now
+        Object.values(routines).forEach(r => r.instructions.forEach(instruction => {
+            if (instruction.op !== 'call') return;
+            const callee = routines[instruction.name];
+            let message = null;
+            if (!callee) message = `Unknown subprogram '${instruction.name}'`;
+            else if (callee.params.length !== instruction.args.length) {
+                message = `${instruction.name} takes ${callee.params.length} argument(s)`;
+            }
+            if (message) {
+                throw lineError(KRLInterpreter.syntaxError(message, instruction.column), instruction.line, 'src');
+            }
+        }));
+
+        return { routines: routines, main: main };
+
+        function compileStatement(cursor, line) {
+            const token = cursor.peek();
+
+            if (isDeclaration(cursor)) {
+                emit('decl', line, { entries: parseDeclaration(cursor) });
+                return;
+            }
+
+            switch (token.value) {
+                case 'FOR': {
+                    cursor.next();
+                    const variable = cursor.expectIdent('a counter variable').value;
+                    cursor.expect('=', "'='");
+                    const start = KRLInterpreter.parseExpression(cursor, 'a start value');
+                    cursor.expect('TO', "'TO'");
+                    const end = KRLInterpreter.parseExpression(cursor, 'an end value');
+                    const increment = cursor.accept('STEP') ? KRLInterpreter.parseExpression(cursor, 'a step value') : null;
+                    cursor.expectEnd();
+
+                    const init = emit('forInit', line, { variable: variable, start: start, end: end, increment: increment });
+                    const check = emit('forCheck', line, { variable: variable, init: init, target: null });
+                    blocks.push({ type: 'FOR', line: line, check: check });
+                    return;
+                }
+                case 'ENDFOR': {
+                    cursor.next();
+                    cursor.expectEnd();
+                    const block = expectBlock('FOR', 'ENDFOR', token.column);
+                    blocks.pop();
+                    const checkInstruction = routine.instructions[block.check];
+                    emit('forNext', line, { variable: checkInstruction.variable, init: checkInstruction.init, target: block.check });
+                    checkInstruction.target = routine.instructions.length;
+                    return;
+                }
+                case 'WHILE': {
+                    cursor.next();
+                    const condition = KRLInterpreter.parseExpression(cursor, 'a condition');
+                    cursor.expectEnd();
+                    const branch = emit('branch', line, { condition: condition, target: null });
+                    blocks.push({ type: 'WHILE', line: line, branch: branch });
+                    return;
+                }
+                case 'ENDWHILE': {
+                    cursor.next();
+                    cursor.expectEnd();
+                    const block = expectBlock('WHILE', 'ENDWHILE', token.column);
+                    blocks.pop();
+                    emit('jump', line, { target: block.branch });
+                    routine.instructions[block.branch].target = routine.instructions.length;
+                    return;
+                }
+                case 'REPEAT': {
+                    cursor.next();
+                    cursor.expectEnd();
+                    const start = emit('nop', line, {});
+                    blocks.push({ type: 'REPEAT', line: line, start: start });
+                    return;
+                }
+                case 'UNTIL': {
+                    cursor.next();
+                    const condition = KRLInterpreter.parseExpression(cursor, 'a condition');
+                    cursor.expectEnd();
+                    const block = expectBlock('REPEAT', 'UNTIL', token.column);
+                    blocks.pop();
+                    emit('branch', line, { condition: condition, target: block.start });
+                    return;
+                }
+                case 'IF': {
+                    cursor.next();
+                    const condition = KRLInterpreter.parseExpression(cursor, 'a condition');
+                    cursor.expect('THEN', "'THEN'");
+                    cursor.expectEnd();
+                    const branch = emit('branch', line, { condition: condition, target: null });
+                    blocks.push({ type: 'IF', line: line, branch: branch, elseJump: null });
+                    return;
+                }
+                case 'ELSE': {
+                    cursor.next();
+                    cursor.expectEnd();
+                    const block = expectBlock('IF', 'ELSE', token.column);
+                    if (block.elseJump !== null) throw KRLInterpreter.syntaxError('IF has two ELSE branches', token.column);
+                    block.elseJump = emit('jump', line, { target: null });
+                    routine.instructions[block.branch].target = routine.instructions.length;
+                    return;
+                }
+                case 'ENDIF': {
+                    cursor.next();
+                    cursor.expectEnd();
+                    const block = expectBlock('IF', 'ENDIF', token.column);
+                    blocks.pop();
+                    const end = emit('nop', line, {});
+                    if (block.elseJump !== null) routine.instructions[block.elseJump].target = end;
+                    else routine.instructions[block.branch].target = end;
+                    return;
+                }
+                case 'RETURN':
+                    cursor.next();
+                    cursor.expectEnd();
+                    emit('return', line, { explicit: true });
+                    return;
+                case 'HALT':
+                    cursor.next();
+                    cursor.expectEnd();
+                    emit('halt', line, {});
+                    return;
+            }
+
+            if (token.type === 'ident' && cursor.peek(1).value === '(' && !token.value.startsWith('$')) {
+                cursor.next();
+                cursor.next();
+                const args = [];
+                if (!cursor.accept(')')) {
+                    do {
+                        args.push(KRLInterpreter.parseExpression(cursor, 'an argument'));
+                    } while (cursor.accept(','));
+                    cursor.expect(')', "',' or ')'");
+                }
+                cursor.expectEnd();
+
+                // BAS() initialises the KUKA technology package, nothing to do on the twin
+                if (token.value === 'BAS') emit('nop', line, {});
+                else emit('call', line, { name: token.value, args: args, column: token.column });
+                return;
+            }
+
+            emit('exec', line, { statement: KRLInterpreter.parseSimpleStatement(cursor) });
+        }
+    }
+
+    // ========================================================================
+    // Variables
+    // ========================================================================
+
+    function defaultValue(type) {
+        if (type === 'BOOL') return false;
+        if (aggregateTypes.includes(type)) return {};
+        return 0;
+    }
+
+    /**
+     * Create a variable record from a declaration entry
+     */
+    function createVariable(entry, scope) {
+        const variable = { type: entry.type, size: entry.size, value: undefined };
+        if (entry.size) {
+            variable.value = Array.from({ length: entry.size }, () => defaultValue(entry.type));
+        } else if (aggregateTypes.includes(entry.type)) {
+            variable.value = {};
+        }
+        if (entry.init) {
+            variable.value = convertValue(variable, KRLInterpreter.evaluate(entry.init, scope), entry.name);
+        }
+        return variable;
+    }
+
+    /**
+     * Convert a value to the variable's declared type (INT rounds, aggregates merge components)
+     */
+    function convertValue(variable, value, name) {
+        if (variable.size) throw new Error(`Cannot assign to the whole array '${name}'`);
+
+        switch (variable.type) {
+            case 'INT':
+            case 'REAL':
+                if (typeof value !== 'number') throw new Error(`${name} is ${variable.type} and needs a number`);
+                return variable.type === 'INT' ? Math.round(value) : value;
+            case 'BOOL':
+                if (typeof value !== 'boolean') throw new Error(`${name} is BOOL and needs TRUE or FALSE`);
+                return value;
+            case null:
+                return (value && typeof value === 'object') ? JSON.parse(JSON.stringify(value)) : value;
+        }
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`${name} is ${variable.type} and needs an aggregate`);
+        }
+        const allowed = axisTypes.includes(variable.type) ? axisNames : posNames;
+        const wrong = Object.keys(value).find(key => (axisNames.includes(key) || posNames.includes(key)) && !allowed.includes(key));
+        if (wrong) throw new Error(`Component '${wrong}' does not belong in ${variable.type} ${name}`);
+
+        // Components that are not given keep their previous values, as on the controller
+        return Object.assign({}, variable.value, value);
+    }
+
+    function lookup(frame, name) {
+        const variable = (frame && frame.locals[name]) || globals[name];
+        if (!variable) throw new Error(`Variable '${name}' is not declared`);
+        return variable;
+    }
+
+    /**
+     * Variable scope of a call frame: locals first, then module globals
+     */
+    function createScope(frame) {
+        return {
+            get: (name) => {
+                const variable = lookup(frame, name);
+                if (variable.value === undefined) throw new Error(`Variable '${name}' is not initialized`);
+                return variable.value;
+            },
+            set: (name, value) => {
+                const variable = lookup(frame, name);
+                variable.value = convertValue(variable, value, name);
+            }
+        };
+    }
+
+    // ========================================================================
+    // Execution
+    // ========================================================================
+
+    function currentFrame() {
+        return frames[frames.length - 1];
+    }
+
+    function currentInstruction() {
+        const frame = currentFrame();
+        return frame ? frame.routine.instructions[frame.pc] : null;
+    }
+
+    function pushFrame(routine) {
+        const frame = { routine: routine, pc: 0, locals: {}, outArgs: [], forStates: {} };
+        frame.scope = createScope(frame);
+        frames.push(frame);
+        return frame;
+    }
+
+    /**
+     * Execute the instruction under the program pointer
+     * @param {number} id - Run id, the result is discarded if the program was stopped meanwhile
+     */
+    async function executeInstruction(id) {
+        const frame = currentFrame();
+        const instruction = frame.routine.instructions[frame.pc];
+        const scope = frame.scope;
+
+        switch (instruction.op) {
+            case 'exec':
+                await KRLInterpreter.executeStatement(instruction.statement, scope);
+                if (id !== runId) return;
+                frame.pc++;
+                break;
+
+            case 'decl':
+                instruction.entries.forEach(entry => {
+                    const existing = frame.locals[entry.name];
+                    if (existing && existing.type === null) {
+                        // Parameter declared in the routine body: give it its type
+                        existing.type = entry.type;
+                        if (existing.value !== undefined) existing.value = convertValue(existing, existing.value, entry.name);
+                    } else if (existing) {
+                        throw new Error(`Variable '${entry.name}' is declared twice`);
+                    } else {
+                        frame.locals[entry.name] = createVariable(entry, scope);
+                    }
+                });
+                frame.pc++;
+                break;
+
+            case 'branch': {
+                const condition = KRLInterpreter.evaluate(instruction.condition, scope);
+                if (typeof condition !== 'boolean') throw new Error('Condition must be TRUE or FALSE');
+                frame.pc = condition ? frame.pc + 1 : instruction.target;
+                break;
+            }
+
+            case 'jump':
+                frame.pc = instruction.target;
+                break;
+
+            case 'nop':
+                frame.pc++;
+                break;
+
+            case 'forInit': {
+                const evaluateNumber = (node, what) => {
+                    const value = KRLInterpreter.evaluate(node, scope);
+                    if (typeof value !== 'number') throw new Error(`FOR ${what} must be a number`);
+                    return value;
+                };
+                const increment = instruction.increment ? evaluateNumber(instruction.increment, 'STEP') : 1;
+                if (increment === 0) throw new Error('FOR STEP cannot be 0');
+                frame.forStates[frame.pc] = { end: evaluateNumber(instruction.end, 'end value'), increment: increment };
+                scope.set(instruction.variable, evaluateNumber(instruction.start, 'start value'));
+                frame.pc++;
+                break;
+            }
+
+            case 'forCheck': {
+                const loop = frame.forStates[instruction.init];
+                const value = scope.get(instruction.variable);
+                const done = loop.increment > 0 ? value > loop.end : value < loop.end;
+                frame.pc = done ? instruction.target : frame.pc + 1;
+                break;
+            }
+
+            case 'forNext': {
+                const loop = frame.forStates[instruction.init];
+                scope.set(instruction.variable, scope.get(instruction.variable) + loop.increment);
+                frame.pc = instruction.target;
+                break;
+            }
+
+            case 'call': {
+                const callee = program.routines[instruction.name];
+                if (frames.length >= 100) throw new Error('Call stack overflow (more than 100 nested calls)');
+
+                // OUT arguments may still be uninitialized, they are only written back
+                const values = instruction.args.map((arg, i) => (callee.params[i].direction === 'OUT' && arg.type === 'var')
+                    ? lookup(frame, arg.name).value
+                    : KRLInterpreter.evaluate(arg, scope));
+                frame.pc++;
+                const calleeFrame = pushFrame(callee);
+                callee.params.forEach((param, i) => {
+                    calleeFrame.locals[param.name] = { type: null, size: null, value: convertValue({ type: null }, values[i], param.name) };
+                    if (param.direction === 'OUT' && instruction.args[i].type === 'var') {
+                        calleeFrame.outArgs.push({ param: param.name, variable: instruction.args[i].name });
+                    }
+                });
+                break;
+            }
+
+            case 'return': {
+                frames.pop();
+                const caller = currentFrame();
+                if (caller) {
+                    frame.outArgs.forEach(out => caller.scope.set(out.variable, frame.locals[out.param].value));
+                }
+                break;
+            }
+
+            case 'halt':
+                frame.pc++;
+                updateState('paused', 'HALT');
+                break;
+        }
+    }
+
+    /**
+     * Run the silent instructions (declarations, jumps, loop bookkeeping) in front of the pointer
+     */
+    async function skipSilent(id) {
+        let instruction = currentInstruction();
+        while (instruction && silentOps.includes(instruction.op) && id === runId) {
+            await executeInstruction(id);
+            instruction = currentInstruction();
+        }
+    }
+
+    /**
+     * Execute one visible instruction and move the pointer to the next one
+     * @returns {Promise<boolean>} False when the program has finished, failed or was stopped
+     */
+    async function executeStep(id) {
+        try {
+            await executeInstruction(id);
+            await skipSilent(id);
+        } catch (error) {
+            if (id === runId) fail(error);
+            return false;
+        }
+
+        if (id !== runId) return false;
+        if (!currentFrame()) {
+            updateState('finished');
+            return false;
+        }
+        highlight();
+        return true;
+    }
+
+    function fail(error) {
+        const instruction = currentInstruction();
+        const line = instruction ? instruction.line : null;
+        updateState('error', line ? `Line ${line}: ${error.message}` : error.message);
+        highlight(true);
+    }
+
+    /**
+     * Compile the editor contents and put the pointer on the first statement
+     * @returns {Promise<boolean>} True if the program is ready to run
+     */
+    async function reset() {
+        runId++;
+        SliderControlledX3DElement.stopAnimation();
+        frames = [];
+        globals = {};
+
+        try {
+            program = compileSource(elements.source.value);
+            compileData(elements.data.value).forEach(entry => {
+                if (globals[entry.name]) {
+                    throw lineError(new Error(`Variable '${entry.name}' is declared twice`), entry.line, 'dat');
+                }
+                try {
+                    globals[entry.name] = createVariable(entry, createScope(null));
+                } catch (error) {
+                    throw lineError(error, entry.line, 'dat');
+                }
+            });
+        } catch (error) {
+            program = null;
+            reportCompileError(error);
+            return false;
+        }
+
+        showListing();
+        pushFrame(program.routines[program.main]);
+        try {
+            await skipSilent(runId);
+        } catch (error) {
+            fail(error);
+            return false;
+        }
+
+        if (!currentFrame()) {
+            updateState('finished');
+            return false;
+        }
+        updateState('ready');
+        highlight();
+        return true;
+    }
+
+    function reportCompileError(error) {
+        const where = error.file === 'dat' ? `.dat line ${error.line}` : `Line ${error.line}`;
+        const column = error.column ? `, column ${error.column}` : '';
+        updateState('error', `${where}${column}: ${error.message}`);
+
+        // Select the offending line in the editor
+        showEditor();
+        const textarea = error.file === 'dat' ? elements.data : elements.source;
+        const lines = textarea.value.split('\n');
+        const start = lines.slice(0, error.line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+        textarea.focus();
+        textarea.setSelectionRange(start, start + (lines[error.line - 1] || '').length);
+    }
+
+    /**
+     * Whether the program has to be (re)compiled before it can run
+     */
+    function needsReset() {
+        return !program || ['idle', 'stopped', 'finished', 'error'].includes(state);
+    }
+
+    /**
+     * Run the program from the pointer until it ends, is paused or stopped
+     */
+    async function run() {
+        if (state === 'running') return;
+        if (KRLInterpreter.isBusy()) {
+            RobotKinematics.setStatus('KRL: command line is busy, wait for the current motion to finish', true);
+            return;
+        }
+        if (needsReset() && !(await reset())) return;
+
+        const id = runId;
+        updateState('running');
+        let count = 0;
+        while (state === 'running' && id === runId) {
+            if (!(await executeStep(id))) return;
+            if (++count % yieldInterval === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    }
+
+    /**
+     * Execute a single statement
+     */
+    async function step() {
+        if (state === 'running') return;
+        if (needsReset() && !(await reset())) return;
+
+        const id = runId;
+        updateState('running', 'step');
+        if (await executeStep(id) && state === 'running') {
+            updateState('paused');
+        }
+    }
+
+    /**
+     * Pause after the statement that is currently executing
+     */
+    function pause() {
+        if (state === 'running') updateState('paused');
+    }
+
+    /**
+     * Abort the program and the current motion
+     */
+    function stop() {
+        if (!['running', 'paused', 'ready'].includes(state)) return;
+        runId++;
+        SliderControlledX3DElement.stopAnimation();
+        updateState('stopped');
+    }
+
+    // ========================================================================
+    // UI
+    // ========================================================================
+
+    function showEditor() {
+        elements.listing.style.display = 'none';
+        elements.source.style.display = 'block';
+    }
+
+    function showListing() {
+        elements.listing.innerHTML = '';
+        elements.source.value.split(/\r?\n/).forEach((text, i) => {
+            const row = document.createElement('div');
+            row.className = 'program-line';
+            const number = document.createElement('span');
+            number.className = 'line-number';
+            number.textContent = i + 1;
+            row.appendChild(number);
+            row.appendChild(document.createTextNode(text || ' '));
+            elements.listing.appendChild(row);
+        });
+        elements.source.style.display = 'none';
+        elements.listing.style.display = 'block';
+    }
+
+    /**
+     * Move the program pointer highlight to the current line
+     */
+    function highlight(isError = false) {
+        elements.listing.querySelectorAll('.program-pointer').forEach(row => {
+            row.classList.remove('program-pointer', 'error');
+        });
+
+        const instruction = currentInstruction();
+        if (!instruction) return;
+        const row = elements.listing.children[instruction.line - 1];
+        if (!row) return;
+        row.classList.add('program-pointer');
+        row.classList.toggle('error', isError);
+        row.scrollIntoView({ block: 'nearest' });
+    }
+
+    function updateState(newState, detail) {
+        state = newState;
+        const routine = currentFrame() ? currentFrame().routine.name : (program ? program.main : '');
+        const text = newState.toUpperCase() + (detail ? ` - ${detail}` : '');
+
+        if (elements.state) {
+            elements.state.textContent = routine ? `${routine}: ${text}` : text;
+            elements.state.className = `program-state ${newState}`;
+        }
+        if (newState === 'error') RobotKinematics.setStatus('KRL program error: ' + detail, true);
+        else if (newState !== 'running') RobotKinematics.setStatus(`KRL program ${newState}`);
+
+        document.getElementById('pauseProgram').disabled = newState !== 'running';
+        document.getElementById('stopProgram').disabled = !['running', 'paused', 'ready'].includes(newState);
+    }
+
+    // Public API
+    return {
+        init: init,
+        compileSource: compileSource,
+        compileData: compileData,
+        run: run,
+        step: step,
+        pause: pause,
+        stop: stop,
+        reset: reset,
+        getState: () => state,
+        getProgramName: () => program ? program.main : ''
+    };
+})();
@@ -0,0 +1,348 @@
+/**
+ * OPC UA Bridge for the KR4 R600 digital twin
+ * Exposes the browser twin as an OPC UA server with the OPC 40010 Robotics information model
+ *
+ * The twin page connects to this bridge over WebSocket (OPC UA Bridge section of the
+ * connectivity panel) and streams its state; writes to the TargetPosition variables are
+ * sent back as move_joint commands and run through the same read-only check, schema
+ * validation and execution as MQTT commands. Both servers listen on localhost only, and
+ * the WebSocket only accepts one twin page, served from an allowed origin (--twin-origin,
+ * comma-separated, default the VS Code Live Server origins).
+ *
+ *   npm install
+ *   npm start            (or: node bridge.js [--ws-port 8765] [--opcua-port 4840]
+ *                                            [--twin-origin http://127.0.0.1:5500])
+ *
+ * Address space (Objects/DeviceSet/KR4R600_Twin, a MotionDeviceSystemType):
+ *   MotionDevices/KR4_R600                     MotionDeviceType, ParameterSet/SpeedOverride
+ *     Axes/A1..A6/ParameterSet/ActualPosition  degrees
+ *                             /ActualSpeed     degrees/s
+ *                             /TargetPosition  degrees, writable (twin namespace)
+ *   Controllers/KR_C5_micro                    ControllerType, TaskControls/KRL_Program
+ *   SafetyStates/Safety                        ProtectiveStop while a motion is blocked
+ */
+
+const { WebSocketServer } = require('ws');
+const {
+    OPCUAServer,
+    nodesets,
+    Variant,
+    DataType,
+    StatusCodes,
+    standardUnits,
+    makeEUInformation,
+    MessageSecurityMode,
+    SecurityPolicy
+} = require('node-opcua');
+
+const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+const twinNamespaceUri = 'urn:kr4r600-digital-twin';
+const commandTimeout = 5000; // ms to wait for the twin to accept or reject a write
+
+function option(name, fallback, parse = parseInt) {
+    const index = process.argv.indexOf(name);
+    return index >= 0 && process.argv[index + 1] ? parse(process.argv[index + 1]) : fallback;
+}
+
+const wsPort = option('--ws-port', 8765);
+const opcuaPort = option('--opcua-port', 4840);
+const twinOrigins = option('--twin-origin', 'http://127.0.0.1:5500,http://localhost:5500', String)
+    .split(',').map(origin => origin.trim()).filter(origin => origin);
+
+// ============================================================================
+// Twin Connection
+// ============================================================================
+
+let twin = null;                 // WebSocket of the connected twin page
+let state = null;                // Latest { pose, override, program } from the twin
+let commandCounter = 0;
+const pendingCommands = new Map(); // command id -> resolve(response)
+
+/**
+ * Accept the twin page from an allowed origin; further pages are refused while it is connected
+ */
+function startTwinServer() {
+    const server = new WebSocketServer({ host: '127.0.0.1', port: wsPort });
+
+    server.on('connection', (socket, request) => {
+        // Any page open in the browser can reach localhost, only the twin's origin may connect
+        const origin = request.headers.origin;
+        if (!twinOrigins.includes(origin)) {
+            console.warn(`Connection from origin ${origin || '(none)'} refused, allowed: ${twinOrigins.join(', ')}`);
+            socket.close(1008, 'Origin not allowed');
+            return;
+        }
+        if (twin) {
+            console.warn(`Connection from ${origin} refused, a twin is already connected`);
+            socket.close(1013, 'A twin is already connected');
+            return;
+        }
+        twin = socket;
+        console.log('Twin connected from', origin);
+
+        socket.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                console.error('Invalid message from twin:', error.message);
+                return;
+            }
+            if (message.type === 'state') {
+                state = message;
+            } else if (message.type === 'response') {
+                const resolve = pendingCommands.get(message.id);
+                if (resolve && message.status !== 'in_progress') {
+                    pendingCommands.delete(message.id);
+                    resolve(message);
+                }
+            }
+        });
+
+        socket.on('close', () => {
+            if (twin !== socket) return;
+            twin = null;
+            state = null;
+            // Writes waiting for this twin will not get an answer
+            pendingCommands.forEach(resolve => resolve({ status: 'disconnected', reason: 'Twin disconnected' }));
+            pendingCommands.clear();
+            console.log('Twin disconnected');
+        });
+    });
+
+    console.log(`Waiting for the twin on ws://127.0.0.1:${wsPort} (allowed origins: ${twinOrigins.join(', ')})`);
+}
+
+function twinConnected() {
+    return twin !== null && twin.readyState === twin.OPEN;
+}
+
+/**
+ * Send a command to the twin
+ * @returns {Promise<Object>} The first accepted/done/rejected response, a rejection on timeout,
+ *          or status 'disconnected' if the twin is gone or leaves before answering
+ */
+function sendCommand(command) {
+    const id = 'opcua-' + (++commandCounter);
+    if (!twinConnected()) return Promise.resolve({ id: id, status: 'disconnected', reason: 'No twin connected' });
+
+    return new Promise(resolve => {
+        const timer = setTimeout(() => {
+            pendingCommands.delete(id);
+            resolve({ id: id, status: 'rejected', reason: 'No response from the twin' });
+        }, commandTimeout);
+
+        const settle = response => {
+            clearTimeout(timer);
+            pendingCommands.delete(id);
+            resolve(response);
+        };
+        pendingCommands.set(id, settle);
+        twin.send(JSON.stringify({ type: 'command', command: Object.assign({ id: id }, command) }), error => {
+            if (error) settle({ id: id, status: 'disconnected', reason: error.message });
+        });
+    });
+}
+
+// ============================================================================
+// Address Space
+// ============================================================================
+
+/**
+ * Bind a variable to a value of the latest twin state
+ * Reads fail with BadNoCommunication while no twin is connected
+ */
+function bindToState(variable, dataType, read) {
+    variable.bindVariable({
+        get: () => {
+            if (!state) return StatusCodes.BadNoCommunication;
+            return new Variant({ dataType: dataType, value: read(state) });
+        }
+    }, true);
+}
+
+function setConstant(node, name, dataType, value) {
+    const variable = node.getChildByName(name);
+    variable.setValueFromSource({ dataType: dataType, value: value });
+}
+
+function setNameplate(node, manufacturer, model, productCode) {
+    setConstant(node, 'Manufacturer', DataType.LocalizedText, { text: manufacturer });
+    setConstant(node, 'Model', DataType.LocalizedText, { text: model });
+    setConstant(node, 'ProductCode', DataType.String, productCode);
+    setConstant(node, 'SerialNumber', DataType.String, 'digital-twin');
+}
+
+/**
+ * Build the OPC 40010 MotionDeviceSystem of the twin
+ */
+function buildAddressSpace(addressSpace) {
+    const robotics = addressSpace.getNamespaceIndex('http://opcfoundation.org/UA/Robotics/');
+    const di = addressSpace.getNamespaceIndex('http://opcfoundation.org/UA/DI/');
+    const namespace = addressSpace.getNamespace(twinNamespaceUri);
+    const type = (name, index = robotics) => addressSpace.findObjectType(name, index);
+
+    const deviceSet = addressSpace.rootFolder.objects.getFolderElementByName('DeviceSet', di);
+    const system = type('MotionDeviceSystemType').instantiate({
+        browseName: { name: 'KR4R600_Twin', namespaceIndex: namespace.index },
+        organizedBy: deviceSet
+    });
+    const folder = (name) => system.getComponentByName(name, robotics);
+
+    // Motion device and its axes
+    const device = type('MotionDeviceType').instantiate({
+        browseName: { name: 'KR4_R600', namespaceIndex: namespace.index },
+        componentOf: folder('MotionDevices')
+    });
+    setNameplate(device, 'KUKA', 'KR 4 R600', 'KR4R600');
+    setConstant(device, 'MotionDeviceCategory', DataType.Int32, 1); // ARTICULATED_ROBOT
+    bindToState(device.getComponentByName('ParameterSet', di).getComponentByName('SpeedOverride', robotics),
+        DataType.Double, current => current.override);
+
+    const axes = device.getComponentByName('Axes', robotics);
+    const targets = {};
+    axisNames.forEach(name => {
+        const axis = type('AxisType').instantiate({
+            browseName: { name: name, namespaceIndex: namespace.index },
+            componentOf: axes,
+            optionals: ['ParameterSet.ActualSpeed']
+        });
+        setConstant(axis, 'MotionProfile', DataType.Int32, 1); // ROTARY
+
+        const parameters = axis.getComponentByName('ParameterSet', di);
+        const position = parameters.getComponentByName('ActualPosition', robotics);
+        const speed = parameters.getComponentByName('ActualSpeed', robotics);
+        position.getPropertyByName('EngineeringUnits').setValueFromSource({ dataType: DataType.ExtensionObject, value: standardUnits.degree });
+        speed.getPropertyByName('EngineeringUnits').setValueFromSource({
+            dataType: DataType.ExtensionObject,
+            value: makeEUInformation('E96', '°/s', 'degree per second')
+        });
+        bindToState(position, DataType.Double, current => current.pose.joints[name]);
+        bindToState(speed, DataType.Double, current => current.pose.velocities[name]);
+
+        // Not part of OPC 40010: the writable target that moves the axis
+        const target = namespace.addAnalogDataItem({
+            browseName: 'TargetPosition',
+            componentOf: parameters,
+            dataType: 'Double',
+            engineeringUnits: standardUnits.degree,
+            engineeringUnitsRange: { low: -360, high: 360 },
+            accessLevel: 'CurrentRead | CurrentWrite',
+            userAccessLevel: 'CurrentRead | CurrentWrite'
+        });
+        target.bindVariable({
+            get: () => {
+                if (targets[name] !== undefined) return new Variant({ dataType: DataType.Double, value: targets[name] });
+                if (!state) return StatusCodes.BadNoCommunication;
+                return new Variant({ dataType: DataType.Double, value: state.pose.joints[name] });
+            },
+            set: async (variant) => writeTarget(name, variant.value, targets)
+        }, true);
+    });
+
+    // PowerTrains is mandatory, the twin has no drive data to put in it
+    // Controller
+    const controller = type('ControllerType').instantiate({
+        browseName: { name: 'KR_C5_micro', namespaceIndex: namespace.index },
+        componentOf: folder('Controllers')
+    });
+    setNameplate(controller, 'KUKA', 'KR C5 micro', 'KRC5micro');
+    setConstant(controller.getComponentByName('CurrentUser', robotics), 'Level', DataType.String, 'operator');
+
+    const software = addressSpace.findObjectType('SoftwareType', di).instantiate({
+        browseName: { name: 'DigitalTwin', namespaceIndex: namespace.index },
+        componentOf: controller.getComponentByName('Software', robotics)
+    });
+    setConstant(software, 'Manufacturer', DataType.LocalizedText, { text: 'KR4 R600 digital twin' });
+    setConstant(software, 'Model', DataType.LocalizedText, { text: 'Browser twin with KRL interpreter' });
+    setConstant(software, 'SoftwareRevision', DataType.String, '1.0');
+
+    const task = type('TaskControlType').instantiate({
+        browseName: { name: 'KRL_Program', namespaceIndex: namespace.index },
+        componentOf: controller.getComponentByName('TaskControls', robotics)
+    });
+    setConstant(task, 'ComponentName', DataType.LocalizedText, { text: 'KRL program' });
+    const taskParameters = task.getComponentByName('ParameterSet', di);
+    bindToState(taskParameters.getComponentByName('TaskProgramName', robotics), DataType.String,
+        current => current.program ? current.program.name : '');
+    bindToState(taskParameters.getComponentByName('TaskProgramLoaded', robotics), DataType.Boolean,
+        current => !!current.program && current.program.loaded);
+
+    // Safety: the twin has no emergency stop, a blocked motion is its protective stop
+    const safety = type('SafetyStateType').instantiate({
+        browseName: { name: 'Safety', namespaceIndex: namespace.index },
+        componentOf: folder('SafetyStates')
+    });
+    const safetyParameters = safety.getComponentByName('ParameterSet', di);
+    setConstant(safetyParameters, 'EmergencyStop', DataType.Boolean, false);
+    setConstant(safetyParameters, 'OperationalMode', DataType.Int32, 0); // OTHER
+    bindToState(safetyParameters.getComponentByName('ProtectiveStop', robotics), DataType.Boolean,
+        current => !!current.pose.motion && current.pose.motion.state === 'error');
+}
+
+/**
+ * Move an axis to a written TargetPosition
+ * @returns {Promise<StatusCode>} Good once the twin accepted the move, BadNotConnected without a
+ *          twin, BadCommunicationError if it disconnects before answering
+ */
+async function writeTarget(name, angle, targets) {
+    if (!twinConnected()) return StatusCodes.BadNotConnected;
+    if (typeof angle !== 'number' || !isFinite(angle)) return StatusCodes.BadTypeMismatch;
+
+    const response = await sendCommand({ type: 'move_joint', joint: name, angle: angle });
+    if (response.status === 'disconnected') {
+        console.warn(`Write ${name}.TargetPosition = ${angle} failed: ${response.reason}`);
+        return StatusCodes.BadCommunicationError;
+    }
+    if (response.status === 'rejected') {
+        console.warn(`Write ${name}.TargetPosition = ${angle} rejected: ${response.reason}`);
+        const outOfRange = (response.errors || []).some(error => error.keyword === 'minimum' || error.keyword === 'maximum');
+        return outOfRange ? StatusCodes.BadOutOfRange : StatusCodes.BadInvalidArgument;
+    }
+    targets[name] = angle;
+    console.log(`Write ${name}.TargetPosition = ${angle}: ${response.status}`);
+    return StatusCodes.Good;
+}
+
+// ============================================================================
+// Startup
+// ============================================================================
+
+async function main() {
+    const server = new OPCUAServer({
+        host: '127.0.0.1',
+        hostname: 'localhost',
+        port: opcuaPort,
+        resourcePath: '/UA/KR4R600',
+        nodeset_filename: [nodesets.standard, nodesets.di, nodesets.ia, nodesets.robotics],
+        securityModes: [MessageSecurityMode.None],
+        securityPolicies: [SecurityPolicy.None],
+        allowAnonymous: true,
+        buildInfo: {
+            productName: 'KR4 R600 digital twin OPC UA bridge',
+            manufacturerName: 'KR4 R600 digital twin',
+            softwareVersion: '1.0'
+        }
+    });
+
+    await server.initialize();
+    const addressSpace = server.engine.addressSpace;
+    addressSpace.registerNamespace(twinNamespaceUri);
+    buildAddressSpace(addressSpace);
+
+    await server.start();
+    console.log('OPC UA server listening on', server.getEndpointUrl());
+
+    startTwinServer();
+
+    process.on('SIGINT', async () => {
+        console.log('Shutting down');
+        await server.shutdown(1000);
+        process.exit(0);
+    });
+}
+
+main().catch(error => {
+    console.error('Bridge failed to start:', error);
+    process.exit(1);
+});
@@ -0,0 +1,354 @@
+/**
+ * Robot Collision Module
+ * Self-collision and floor checks for the KR4 R600
+ *
+ * Every link is modelled as a capsule (a line segment with a radius) in the frame of
+ * the joint that moves it, sized from the link lengths of KR4R600_full_assembly(jeevan).wrl.
+ * Poses are checked link against link and against the floor before the slider, 3D drag,
+ * animation or MQTT move is applied; a move into a collision is blocked or halted where
+ * it is, and the offending links are drawn red until the robot is clear again.
+ */
+
+const RobotCollision = (function() {
+    // Link capsules in joint frames (mm). The base is axisymmetric, so it can use the A1 frame.
+    const links = [
+        { name: 'Base', joint: 'A1', from: [0, 0, -187.2], to: [0, 0, -90], radius: 85, floor: false },
+        { name: 'A1', joint: 'A1', from: [0, 0, 0], to: [0, 0, 140.9], radius: 75, floor: false },
+        { name: 'A2', joint: 'A2', from: [0, 0, 0], to: [0, 0, 289.6], radius: 60, floor: true },
+        { name: 'A3', joint: 'A3', from: [0, 0, 0], to: [173, 0, 20], radius: 55, floor: true },
+        { name: 'A4', joint: 'A4', from: [0, 0, 0], to: [135.5, 0, 0], radius: 45, floor: true },
+        { name: 'A5', joint: 'A5', from: [0, 0, 0], to: [57.06, 0, 0], radius: 40, floor: true },
+        // Adapter flange, EGP 40 gripper and fingers up to the jaw tips
+        { name: 'Gripper', joint: 'A6', from: [15.8, 0, 0], to: [130, 0, 0], radius: 30, floor: true }
+    ];
+
+    // The wrist links sit closer together than their radii, the joint housings keep them apart
+    const ignoredPairs = [['A4', 'Gripper']];
+
+    // The robot root stands on the GroundPlane (world Z = -400, Z = 0 in the robot frame)
+    const floorHeight = 0;
+
+    // Non-adjacent link pairs that can actually touch
+    const pairs = [];
+    links.forEach((a, i) => {
+        links.slice(i + 2).forEach(b => {
+            const ignored = ignoredPairs.some(pair => pair.includes(a.name) && pair.includes(b.name));
+            if (!ignored) pairs.push([a, b]);
+        });
+    });
+
+    let highlighted = [];
+    let markers = null;
+    let lastBlocked = null;
+
+    /**
+     * Initialize the collision module
+     */
+    function init() {
+        if (typeof RobotKinematics === 'undefined') {
+            console.error('RobotKinematics not loaded - collision checking disabled');
+            return;
+        }
+        console.log(`Robot Collision Module initialized (${links.length} links, ${pairs.length} link pairs)`);
+    }
+
+    // ========================================================================
+    // Geometry
+    // ========================================================================
+
+    function subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    function dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    function transformPoint(frame, point) {
+        const r = frame.rotation;
+        return [0, 1, 2].map(i => frame.position[i] + r[i][0] * point[0] + r[i][1] * point[1] + r[i][2] * point[2]);
+    }
+
+    function clamp01(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+
+    /**
+     * Shortest distance between the segments p1-q1 and p2-q2
+     */
+    function segmentDistance(p1, q1, p2, q2) {
+        const d1 = subtract(q1, p1);
+        const d2 = subtract(q2, p2);
+        const r = subtract(p1, p2);
+        const a = dot(d1, d1);
+        const e = dot(d2, d2);
+        const f = dot(d2, r);
+        let s;
+        let t;
+
+        if (a < 1e-9 && e < 1e-9) {
+            s = 0;
+            t = 0;
+        } else if (a < 1e-9) {
+            s = 0;
+            t = clamp01(f / e);
+        } else {
+            const c = dot(d1, r);
+            if (e < 1e-9) {
+                t = 0;
+                s = clamp01(-c / a);
+            } else {
+                const b = dot(d1, d2);
+                const denominator = a * e - b * b;
+                s = denominator > 1e-9 ? clamp01((b * f - c * e) / denominator) : 0;
+                t = (b * s + f) / e;
+                if (t < 0) {
+                    t = 0;
+                    s = clamp01(-c / a);
+                } else if (t > 1) {
+                    t = 1;
+                    s = clamp01((b - c) / a);
+                }
+            }
+        }
+
+        const closest1 = [0, 1, 2].map(i => p1[i] + d1[i] * s);
+        const closest2 = [0, 1, 2].map(i => p2[i] + d2[i] * t);
+        const delta = subtract(closest1, closest2);
+        return Math.sqrt(dot(delta, delta));
+    }
+
+    /**
+     * Link capsules for a set of joint angles, in the robot root frame
+     */
+    function capsules(angles) {
+        const frames = {};
+        RobotKinematics.forwardKinematics(angles).frames.forEach(frame => {
+            frames[frame.name] = frame;
+        });
+        return links.map(link => ({
+            link: link,
+            from: transformPoint(frames[link.joint], link.from),
+            to: transformPoint(frames[link.joint], link.to)
+        }));
+    }
+
+    // ========================================================================
+    // Checks
+    // ========================================================================
+
+    /**
+     * Check a pose for self and floor collisions
+     * @param {Object} angles - Joint angles in degrees keyed by axis name
+     * @returns {Object} { ok: true } or { ok: false, error, links, depth } where depth is
+     *          the total penetration in mm (used to let a colliding robot move out again)
+     */
+    function check(angles) {
+        const placed = capsules(angles);
+        const byName = {};
+        placed.forEach(capsule => {
+            byName[capsule.link.name] = capsule;
+        });
+
+        const messages = [];
+        const offending = new Set();
+        let depth = 0;
+
+        pairs.forEach(([a, b]) => {
+            const distance = segmentDistance(byName[a.name].from, byName[a.name].to, byName[b.name].from, byName[b.name].to);
+            const overlap = a.radius + b.radius - distance;
+            if (overlap > 0) {
+                messages.push(`${a.name} hits ${b.name}`);
+                offending.add(a.name);
+                offending.add(b.name);
+                depth += overlap;
+            }
+        });
+
+        placed.filter(capsule => capsule.link.floor).forEach(capsule => {
+            const lowest = Math.min(capsule.from[2], capsule.to[2]) - capsule.link.radius;
+            if (lowest < floorHeight) {
+                messages.push(`${capsule.link.name} hits the floor`);
+                offending.add(capsule.link.name);
+                depth += floorHeight - lowest;
+            }
+        });
+
+        if (messages.length === 0) return { ok: true };
+        return { ok: false, error: 'Collision: ' + messages.join(', '), links: Array.from(offending), depth: depth };
+    }
+
+    /**
+     * A move is allowed if it ends collision-free, or if the robot already collides and
+     * the move does not make it worse (so it can always be moved out again)
+     * @returns {Object} { ok: true, links } with the links still colliding, or the collision of the target pose
+     */
+    function checkMove(from, to) {
+        const target = check(to);
+        if (target.ok) return { ok: true, links: [] };
+
+        const current = check(from);
+        if (!current.ok && target.depth <= current.depth + 1e-6) return { ok: true, links: target.links };
+        return target;
+    }
+
+    /**
+     * Check every step of a trajectory before it is played
+     * @param {Array} samples - [{ time, angles }]
+     * @returns {Object} { ok: true } or { ok: false, error, links, index }
+     */
+    function checkTrajectory(samples) {
+        for (let i = 1; i < samples.length; i++) {
+            const result = checkMove(samples[i - 1].angles, samples[i].angles);
+            if (!result.ok) {
+                const percent = Math.round(i / (samples.length - 1) * 100);
+                return { ok: false, error: `${result.error} at ${percent}% of the motion`, links: result.links, index: i };
+            }
+        }
+        return { ok: true };
+    }
+
+    /**
+     * Check a move that is about to be applied, show the result and remember why it was blocked
+     * @returns {boolean} True if the move may go ahead
+     */
+    function guardMove(from, to) {
+        const result = checkMove(from, to);
+        if (!result.ok) {
+            block(result);
+            return false;
+        }
+        lastBlocked = null;
+        highlight(result.links);
+        return true;
+    }
+
+    /**
+     * Check a trajectory that is about to be played, as guardMove does for a single step
+     * @returns {boolean} True if the trajectory may be played
+     */
+    function guardTrajectory(samples) {
+        const result = checkTrajectory(samples);
+        if (!result.ok) {
+            block(result);
+            return false;
+        }
+        lastBlocked = null;
+        highlight(check(samples[samples.length - 1].angles).links || []);
+        return true;
+    }
+
+    function block(result) {
+        lastBlocked = result.error;
+        highlight(result.links);
+        console.warn('Motion blocked: ' + result.error);
+        RobotKinematics.setStatus('Motion blocked - ' + result.error, true);
+    }
+
+    // ========================================================================
+    // Highlighting
+    // ========================================================================
+
+    /**
+     * Build a red capsule per link inside its joint, hidden until the link collides
+     */
+    function createMarkers() {
+        const scene = X3D.getBrowser('.X3D').currentScene;
+        if (!scene) return null;
+
+        const created = {};
+        links.forEach(link => {
+            try {
+                const joint = scene.getNamedNode(link.joint);
+                const axis = subtract(link.to, link.from);
+                const length = Math.sqrt(dot(axis, axis));
+                const direction = axis.map(v => v / length);
+
+                // Cylinders run along Y, rotate Y onto the link direction
+                const rotationAxis = [direction[2], 0, -direction[0]];
+                const sine = Math.hypot(rotationAxis[0], rotationAxis[2]);
+                const angle = Math.atan2(sine, direction[1]);
+
+                const material = scene.createNode('Material');
+                material.diffuseColor = new X3D.SFColor(1, 0, 0);
+                material.emissiveColor = new X3D.SFColor(0.6, 0, 0);
+                material.transparency = 0.5;
+                const appearance = scene.createNode('Appearance');
+                appearance.material = material;
+
+                const shape = (geometry) => {
+                    const node = scene.createNode('Shape');
+                    node.appearance = appearance;
+                    node.geometry = geometry;
+                    return node;
+                };
+                const sphereAt = (y) => {
+                    const sphere = scene.createNode('Sphere');
+                    sphere.radius = link.radius;
+                    const transform = scene.createNode('Transform');
+                    transform.translation = new X3D.SFVec3f(0, y, 0);
+                    transform.children.push(shape(sphere));
+                    return transform;
+                };
+
+                const cylinder = scene.createNode('Cylinder');
+                cylinder.radius = link.radius;
+                cylinder.height = length;
+                cylinder.top = false;
+                cylinder.bottom = false;
+
+                const capsule = scene.createNode('Transform');
+                capsule.translation = new X3D.SFVec3f(...link.from.map((v, i) => v + axis[i] / 2));
+                capsule.rotation = sine > 1e-9
+                    ? new X3D.SFRotation(rotationAxis[0] / sine, 0, rotationAxis[2] / sine, angle)
+                    : new X3D.SFRotation(1, 0, 0, direction[1] > 0 ? 0 : Math.PI);
+                capsule.children.push(shape(cylinder));
+                capsule.children.push(sphereAt(-length / 2));
+                capsule.children.push(sphereAt(length / 2));
+
+                const marker = scene.createNode('Switch');
+                marker.whichChoice = -1;
+                marker.children.push(capsule);
+                joint.children.push(marker);
+                created[link.name] = marker;
+            } catch (error) {
+                console.error(`Collision marker for ${link.name} could not be created:`, error);
+            }
+        });
+        return created;
+    }
+
+    /**
+     * Draw the given links red and all others normally
+     * @param {Array} names - Link names (Base, A1..A5, Gripper)
+     */
+    function highlight(names) {
+        if (names.length === highlighted.length && names.every(name => highlighted.includes(name))) return;
+        highlighted = names.slice();
+
+        if (!markers) {
+            try {
+                markers = createMarkers();
+            } catch (error) {
+                console.error('Collision markers not available:', error);
+            }
+        }
+        if (!markers) return;
+
+        Object.keys(markers).forEach(name => {
+            markers[name].whichChoice = highlighted.includes(name) ? 0 : -1;
+        });
+    }
+
+    // Public API
+    return {
+        init: init,
+        check: check,
+        checkMove: checkMove,
+        checkTrajectory: checkTrajectory,
+        guardMove: guardMove,
+        guardTrajectory: guardTrajectory,
+        getLastBlocked: () => lastBlocked,
+        getLinks: () => links
+    };
+})();
@@ -0,0 +1,283 @@
+/**
+ * Robot Command Schema Module
+ * JSON Schema (draft-07) for the MQTT commands of robotMQTT.js, and a validator for it
+ *
+ * Joint ranges come from the slider min/max, the gripper range from RobotGripper, so the
+ * schema always matches what the twin accepts. robot-command.schema.json is this schema
+ * with the default KR4 R600 limits, for other teams to validate messages before sending;
+ * "Download Schema" in the connectivity panel saves the live one.
+ */
+
+const RobotCommandSchema = (function() {
+    const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+    const schemaId = 'robot-command.schema.json';
+
+    /**
+     * Bind the download button
+     */
+    function init() {
+        const downloadBtn = document.getElementById('downloadSchema');
+        if (downloadBtn) downloadBtn.addEventListener('click', download);
+        console.log('Robot Command Schema Module initialized');
+    }
+
+    // ========================================================================
+    // Schema
+    // ========================================================================
+
+    function jointLimits() {
+        if (typeof RobotKinematics !== 'undefined') return RobotKinematics.getJointLimits();
+
+        const limits = {};
+        axisNames.forEach(name => { limits[name] = { min: -180, max: 180 }; });
+        return limits;
+    }
+
+    /**
+     * A command definition: its own fields plus the common "type", "id" and "client_id"
+     */
+    function command(type, description, properties = {}, required = []) {
+        return {
+            description: description,
+            type: 'object',
+            properties: Object.assign({
+                type: { const: type },
+                id: { type: ['string', 'number'], description: 'Echoed in every response to this command' },
+                client_id: { type: 'string', description: 'Client ID of the sender, checked against the allow-list' }
+            }, properties),
+            required: ['type'].concat(required),
+            additionalProperties: false
+        };
+    }
+
+    /**
+     * Build the command schema from the current joint and gripper limits
+     * @returns {Object} JSON Schema (draft-07)
+     */
+    function getSchema() {
+        const limits = jointLimits();
+        const maxWidth = typeof RobotGripper !== 'undefined' ? RobotGripper.getMaxWidth() : 12;
+
+        const jointAngle = (name) => ({
+            type: 'number',
+            minimum: limits[name].min,
+            maximum: limits[name].max,
+            description: `${name} angle in degrees`
+        });
+        const joints = {};
+        axisNames.forEach(name => { joints[name] = jointAngle(name); });
+
+        const duration = { type: 'number', minimum: 0, description: 'Requested duration in milliseconds (stretched if the axes cannot make it)' };
+        const vector = (description) => ({
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 3,
+            maxItems: 3,
+            description: description
+        });
+
+        const definitions = {
+            move: command('move', 'Move several joints together', {
+                joints: {
+                    type: 'object',
+                    properties: joints,
+                    additionalProperties: false,
+                    minProperties: 1,
+                    description: 'Target angles, axes that are left out keep their position'
+                },
+                duration: duration,
+                animate: { type: 'boolean', description: 'false moves as fast as the axis limits allow' }
+            }, ['joints']),
+            move_joint: Object.assign(command('move_joint', 'Move a single joint', {
+                joint: { enum: axisNames },
+                angle: { type: 'number', description: 'Target angle in degrees, range depends on the joint' },
+                duration: duration
+            }, ['joint', 'angle']), {
+                allOf: axisNames.map(name => ({
+                    if: { properties: { joint: { const: name } }, required: ['joint'] },
+                    then: { properties: { angle: jointAngle(name) } }
+                }))
+            }),
+            home: command('home', 'Move all joints to the home position', { duration: duration }),
+            gripper_open: command('gripper_open', 'Open the gripper fully'),
+            gripper_close: command('gripper_close', 'Close the gripper (picks a workpiece between the jaws)'),
+            gripper_width: command('gripper_width', 'Move the jaws to an opening width', {
+                width: { type: 'number', minimum: 0, maximum: maxWidth, description: 'Jaw opening in mm' }
+            }, ['width']),
+            spawn_workpiece: command('spawn_workpiece', 'Add a box or cylinder to the cell', {
+                workpiece_id: { type: 'string', minLength: 1, description: 'Name of the workpiece (default: wp1, wp2, ...)' },
+                shape: { enum: ['box', 'cylinder'] },
+                size: Object.assign(vector('Size X, Y, Z in mm (a cylinder uses X as its diameter and Z as its height)'), {
+                    items: { type: 'number', exclusiveMinimum: 0 }
+                }),
+                position: vector('Center X, Y, Z in mm in the robot base frame'),
+                orientation: {
+                    type: 'object',
+                    properties: {
+                        a: { type: 'number', description: 'A (rotation about Z) in degrees' },
+                        b: { type: 'number', description: 'B (rotation about Y) in degrees' },
+                        c: { type: 'number', description: 'C (rotation about X) in degrees' }
+                    },
+                    additionalProperties: false
+                }
+            }, ['position']),
+            remove_workpiece: command('remove_workpiece', 'Remove a workpiece from the cell or the gripper', {
+                workpiece_id: { type: 'string', minLength: 1 }
+            }, ['workpiece_id']),
+            get_workpieces: command('get_workpieces', 'Report all workpieces and their poses'),
+            get_pose: command('get_pose', 'Report the current pose'),
+            get_schema: command('get_schema', 'Report this schema')
+        };
+
+        const types = Object.keys(definitions);
+        return {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            $id: schemaId,
+            title: 'KR4 R600 digital twin MQTT command',
+            type: 'object',
+            properties: {
+                type: { enum: types }
+            },
+            required: ['type'],
+            allOf: types.map(type => ({
+                if: { properties: { type: { const: type } }, required: ['type'] },
+                then: { $ref: '#/definitions/' + type }
+            })),
+            definitions: definitions
+        };
+    }
+
+    // ========================================================================
+    // Validation
+    // ========================================================================
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    /**
+     * Validate a value against a schema (the draft-07 keywords used by getSchema)
+     * @returns {Array} Errors as { path, keyword, message }
+     */
+    function check(value, schema, path, root, errors) {
+        const fail = (keyword, message, extra = {}) => errors.push(Object.assign({ path: path || '/', keyword: keyword, message: message }, extra));
+
+        if (schema.$ref) {
+            const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+            return check(value, target, path, root, errors);
+        }
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => matchesType(value, type))) {
+                fail('type', `must be ${types.join(' or ')}`, { expected: types });
+                return errors;
+            }
+        }
+        if (schema.const !== undefined && value !== schema.const) {
+            fail('const', `must be ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail('enum', `must be one of ${schema.enum.join(', ')}`, { allowed: schema.enum });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail('minimum', `must be >= ${schema.minimum}`, { limit: schema.minimum });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail('maximum', `must be <= ${schema.maximum}`, { limit: schema.maximum });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`, { limit: schema.exclusiveMinimum });
+            }
+        }
+
+        if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('minLength', `must have at least ${schema.minLength} characters`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail('minItems', `must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail('maxItems', `must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => check(item, schema.items, `${path}/${i}`, root, errors));
+            }
+        }
+
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) fail('required', `${key} is required`, { property: key });
+            });
+            const keys = Object.keys(value);
+            if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+                fail('minProperties', `must have at least ${schema.minProperties} properties`);
+            }
+            keys.forEach(key => {
+                const propertySchema = schema.properties && schema.properties[key];
+                if (propertySchema) {
+                    check(value[key], propertySchema, `${path}/${key}`, root, errors);
+                } else if (schema.additionalProperties === false) {
+                    fail('additionalProperties', `${key} is not allowed`, { property: key });
+                }
+            });
+        }
+
+        (schema.allOf || []).forEach(part => {
+            if (part.if) {
+                if (check(value, part.if, path, root, []).length === 0 && part.then) {
+                    check(value, part.then, path, root, errors);
+                }
+            } else {
+                check(value, part, path, root, errors);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a parsed command against the current schema
+     * @param {*} command - Parsed JSON message
+     * @returns {Object} { ok: true } or { ok: false, error, errors: [{ path, keyword, message }] }
+     */
+    function validate(command) {
+        const schema = getSchema();
+        const errors = check(command, schema, '', schema, []);
+        if (errors.length === 0) return { ok: true };
+
+        const summary = errors.map(e => `${e.path} ${e.message}`).join('; ');
+        return { ok: false, error: 'Invalid command: ' + summary, errors: errors };
+    }
+
+    /**
+     * Save the live schema as robot-command.schema.json
+     */
+    function download() {
+        const blob = new Blob([JSON.stringify(getSchema(), null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'robot-command.schema.json';
+        a.click();
+    }
+
+    // Public API
+    return {
+        init: init,
+        getSchema: getSchema,
+        validate: validate,
+        download: download
+    };
+})();
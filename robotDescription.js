@@ -0,0 +1,325 @@
+/**
+ * Robot Description Module
+ * Loads robot-description.json, the one place the joint chain is defined
+ *
+ * The description drives the sliders (limits, axis, home offset), the tooltips, the
+ * kinematics and trajectory limits and the RobotJoint nodes of the scene. It is validated
+ * before anything is built; once the scene is loaded, its RobotJoint translation and
+ * minAngle/maxAngle are compared with the description, differences are reported and the
+ * description values are applied. A URDF import changes the joints through updateJoints().
+ * Angles are in slider degrees (the scene rotates by angle - homeOffset), lengths in mm.
+ */
+
+const RobotDescription = (function() {
+    const defaultUrl = 'robot-description.json';
+    const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+    const translationTolerance = 0.01; // mm
+    const angleTolerance = 0.002;      // rad, the WRL limits are rounded to 3 decimals
+
+    let description = null;
+    let mismatches = [];
+
+    // ========================================================================
+    // Loading and Validation
+    // ========================================================================
+
+    /**
+     * Fetch and validate the description
+     * @param {string} url - Defaults to robot-description.json next to the page
+     * @returns {Promise<Object|null>} The description, or null if it could not be loaded or is invalid
+     */
+    async function load(url = defaultUrl) {
+        let data;
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            data = await response.json();
+        } catch (error) {
+            console.error(`Cannot load ${url}:`, error);
+            setStatus(`Status: cannot load ${url} (${error.message})`, true);
+            return null;
+        }
+
+        const errors = validate(data);
+        if (errors.length > 0) {
+            console.error(`${url} is invalid:\n  ` + errors.join('\n  '));
+            setStatus(`Status: ${url} is invalid - ${errors[0]}` + (errors.length > 1 ? ` (+${errors.length - 1} more, see console)` : ''), true);
+            return null;
+        }
+
+        description = data;
+        console.log(`Robot description loaded: ${data.name}, ${data.joints.length} joints`);
+        watchScene();
+        return description;
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    function isVector(value) {
+        return Array.isArray(value) && value.length === 3 && value.every(isNumber);
+    }
+
+    /**
+     * Check a description for missing or inconsistent values
+     * @returns {Array<string>} Problems found, empty if the description can be used
+     */
+    function validate(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object') return ['The description must be a JSON object'];
+
+        if (typeof data.name !== 'string' || data.name === '') errors.push('name must be a non-empty string');
+        if (!isVector(data.tcpOffset)) errors.push('tcpOffset must be [x, y, z] in mm');
+        if (data.components !== undefined && (typeof data.components !== 'object' || Array.isArray(data.components))) {
+            errors.push('components must be an object keyed by node name');
+        }
+        if (!Array.isArray(data.joints) || data.joints.length === 0) {
+            errors.push('joints must be a non-empty array');
+            return errors;
+        }
+
+        // Kinematics, trajectories and the connectivity modules work on the six KUKA axes
+        const chain = data.joints.map(joint => joint && joint.name).join(',');
+        if (chain !== axisNames.join(',')) {
+            errors.push(`joints must be the axes ${axisNames.join(', ')} in chain order (found ${chain})`);
+        }
+
+        const names = new Set();
+        data.joints.forEach((joint, i) => {
+            const label = joint && typeof joint.name === 'string' && joint.name ? joint.name : `joints[${i}]`;
+            if (!joint || typeof joint !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            if (typeof joint.name !== 'string' || !/^[A-Za-z_][\w]*$/.test(joint.name)) {
+                errors.push(`${label}: name must be the DEF name of a RobotJoint`);
+            } else if (names.has(joint.name)) {
+                errors.push(`${label}: defined twice`);
+            }
+            names.add(joint.name);
+
+            if (!isVector(joint.translation)) errors.push(`${label}: translation must be [x, y, z] in mm`);
+            if (!isVector(joint.axis)) {
+                errors.push(`${label}: axis must be [x, y, z]`);
+            } else if (Math.abs(Math.hypot(...joint.axis) - 1) > 1e-6) {
+                errors.push(`${label}: axis must be a unit vector`);
+            }
+
+            ['min', 'max', 'home', 'homeOffset', 'maxSpeed', 'maxAcceleration'].forEach(key => {
+                if (!isNumber(joint[key])) errors.push(`${label}: ${key} must be a number`);
+            });
+            if (isNumber(joint.min) && isNumber(joint.max)) {
+                if (joint.min >= joint.max) errors.push(`${label}: min (${joint.min}) must be below max (${joint.max})`);
+                if (isNumber(joint.home) && (joint.home < joint.min || joint.home > joint.max)) {
+                    errors.push(`${label}: home ${joint.home} is outside ${joint.min}..${joint.max}`);
+                }
+            }
+            if (isNumber(joint.maxSpeed) && joint.maxSpeed <= 0) errors.push(`${label}: maxSpeed must be positive`);
+            if (isNumber(joint.maxAcceleration) && joint.maxAcceleration <= 0) errors.push(`${label}: maxAcceleration must be positive`);
+
+            ['description', 'type', 'function', 'payload'].forEach(key => {
+                if (joint[key] !== undefined && typeof joint[key] !== 'string') errors.push(`${label}: ${key} must be a string`);
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Change joint values (limits and axes from a URDF import), validate the result and apply
+     * it to the scene. A home angle outside the new limits is moved to the nearest limit.
+     * @param {Object} changes - Joint values keyed by joint name, e.g. { A1: { min, max, axis } }
+     * @returns {Array<string>} Problems found, empty if the changes were applied
+     */
+    function updateJoints(changes) {
+        if (!description) return ['No robot description is loaded'];
+
+        const updated = JSON.parse(JSON.stringify(description));
+        const errors = [];
+        Object.keys(changes).forEach(name => {
+            const joint = updated.joints.find(entry => entry.name === name);
+            if (!joint) {
+                errors.push(`${name} is not a joint of ${description.name}`);
+                return;
+            }
+            Object.assign(joint, changes[name]);
+            if (isNumber(joint.min) && isNumber(joint.max)) joint.home = Math.max(joint.min, Math.min(joint.max, joint.home));
+        });
+        errors.push(...validate(updated));
+        if (errors.length > 0) return errors;
+
+        description = updated;
+        const scene = typeof X3D !== 'undefined' && X3D.getBrowser('.X3D') ? X3D.getBrowser('.X3D').currentScene : null;
+        if (scene) {
+            description.joints.forEach(joint => {
+                try {
+                    applyJoint(scene.getNamedNode(joint.name), joint);
+                } catch (error) {
+                    console.warn(`${joint.name}: no RobotJoint with this DEF name in the scene`);
+                }
+            });
+        }
+        console.log('Robot description joints updated:', Object.keys(changes).join(', '));
+        return [];
+    }
+
+    // ========================================================================
+    // Queries
+    // ========================================================================
+
+    function getJoint(name) {
+        return description ? description.joints.find(joint => joint.name === name) : undefined;
+    }
+
+    /**
+     * Home angles of all joints
+     * @returns {Object} Angles in degrees keyed by joint name
+     */
+    function getHomePosition() {
+        const home = {};
+        if (description) description.joints.forEach(joint => { home[joint.name] = joint.home; });
+        return home;
+    }
+
+    function formatAngle(angle) {
+        return (angle > 0 ? '+' : '') + angle + '°';
+    }
+
+    function formatAxis(axis) {
+        const label = ['X', 'Y', 'Z'].find((name, i) => Math.abs(axis[i]) === 1);
+        return (label ? label + '-axis ' : '') + `(${axis.join(', ')})`;
+    }
+
+    /**
+     * Tooltip data for a joint or component
+     * @param {string} name - Joint or component node name
+     * @returns {Object|undefined} Joint specs as display strings, or the component entry
+     */
+    function getComponentSpec(name) {
+        const joint = getJoint(name);
+        if (!joint) return description && description.components ? description.components[name] : undefined;
+
+        return {
+            description: joint.description || name,
+            axis: formatAxis(joint.axis),
+            range: joint.min === -joint.max ? `±${joint.max}°` : `${formatAngle(joint.min)} to ${formatAngle(joint.max)}`,
+            minAngle: formatAngle(joint.min),
+            maxAngle: formatAngle(joint.max),
+            maxSpeed: joint.maxSpeed + '°/s',
+            home: formatAngle(joint.home),
+            function: joint.function || '',
+            type: joint.type || 'Rotary Joint',
+            payload: joint.payload || ''
+        };
+    }
+
+    // ========================================================================
+    // Scene
+    // ========================================================================
+
+    /**
+     * Check the scene as soon as it is loaded (right away if it already is)
+     */
+    function watchScene() {
+        const browser = typeof X3D !== 'undefined' ? X3D.getBrowser('.X3D') : null;
+        if (!browser) return;
+
+        if (sceneHasJoints(browser.currentScene)) {
+            checkScene();
+        } else {
+            browser.addBrowserCallback('robotDescription', X3D.X3DConstants.INITIALIZED_EVENT, checkScene);
+        }
+    }
+
+    function sceneHasJoints(scene) {
+        if (!scene) return false;
+        try {
+            return !!scene.getNamedNode(description.joints[0].name);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function radians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Set the translation and the CylinderSensor limits of a RobotJoint from the description
+     */
+    function applyJoint(node, joint) {
+        node.translation = new X3D.SFVec3f(...joint.translation);
+        node.minAngle = radians(joint.min - joint.homeOffset);
+        node.maxAngle = radians(joint.max - joint.homeOffset);
+    }
+
+    /**
+     * Compare the RobotJoint nodes of the loaded scene with the description, report the
+     * differences and apply the description values. The rotation axis is not compared, the
+     * sliders set it with every move.
+     * @returns {Array<string>} Differences found
+     */
+    function checkScene() {
+        const browser = X3D.getBrowser('.X3D');
+        const scene = browser ? browser.currentScene : null;
+        if (!description || !scene) return [];
+
+        mismatches = [];
+        description.joints.forEach(joint => {
+            let node;
+            try {
+                node = scene.getNamedNode(joint.name);
+            } catch (error) {
+                mismatches.push(`${joint.name}: no RobotJoint with this DEF name in the scene`);
+                return;
+            }
+
+            const translation = [node.translation.x, node.translation.y, node.translation.z];
+            if (translation.some((v, i) => Math.abs(v - joint.translation[i]) > translationTolerance)) {
+                mismatches.push(`${joint.name} translation: WRL ${translation.join(' ')} mm, description ${joint.translation.join(' ')} mm`);
+            }
+
+            // The WRL limits are the CylinderSensor limits, in radians of scene rotation
+            [['minAngle', joint.min], ['maxAngle', joint.max]].forEach(([field, degrees]) => {
+                const expected = radians(degrees - joint.homeOffset);
+                if (Math.abs(node[field] - expected) > angleTolerance) {
+                    mismatches.push(`${joint.name} ${field}: WRL ${node[field].toFixed(3)} rad ` +
+                        `(${(node[field] * 180 / Math.PI + joint.homeOffset).toFixed(1)}°), description ${degrees}° (${expected.toFixed(3)} rad)`);
+                }
+            });
+
+            applyJoint(node, joint);
+        });
+
+        if (mismatches.length > 0) {
+            console.warn(`${description.scene || 'The scene'} differs from robot-description.json ` +
+                `(description values applied):\n  ` + mismatches.join('\n  '));
+            setStatus(`Status: ${mismatches.length} RobotJoint value(s) in the WRL differ from robot-description.json (see console)`, true);
+        } else {
+            console.log('Scene RobotJoints match robot-description.json');
+        }
+        return mismatches;
+    }
+
+    function setStatus(text, isError = false) {
+        const status = document.getElementById('status');
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    // Public API
+    return {
+        load: load,
+        validate: validate,
+        updateJoints: updateJoints,
+        get: () => description,
+        getJoint: getJoint,
+        getJointNames: () => description ? description.joints.map(joint => joint.name) : [],
+        getHomePosition: getHomePosition,
+        getComponentSpec: getComponentSpec,
+        checkScene: checkScene,
+        getMismatches: () => mismatches
+    };
+})();
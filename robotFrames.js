@@ -0,0 +1,759 @@
+/**
+ * Robot Frames Module
+ * TOOL_DATA/BASE_DATA tables, the active tool and base, and tool calibration
+ *
+ * TOOL_DATA[1..16] are tool frames in the A6 flange frame, BASE_DATA[1..32] base frames in
+ * the robot base frame (World in the twin), each with a name, X/Y/Z in mm and A/B/C in
+ * degrees. Tool 0 is the bare flange and base 0 is World. The active tool ($TOOL) is the TCP
+ * of the kinematics, the active base ($BASE) is the frame of KRL POS targets, $POS_ACT and
+ * Base jogging. Both are shown as coSys axes in the scene.
+ *
+ * Tools are calibrated like on the controller: XYZ 4-point touches one reference point from
+ * four directions to find the TCP, ABC 2-point then moves the TCP, a point on the -X axis
+ * and a point in the +Y half of the XY plane onto the reference point to find the
+ * orientation. The tables and the selection are kept in localStorage.
+ */
+
+const RobotFrames = (function() {
+    const storageKey = 'robotFrames';
+    const counts = { tool: 16, base: 32 };
+    const components = ['x', 'y', 'z', 'a', 'b', 'c'];
+    const maxNameLength = 24;
+    const minAxisPointDistance = 10;  // mm between the TCP and the ABC 2-point axis points
+    const minConditioning = 0.01;     // XYZ 4-point orientations closer than this are rejected
+    const sceneRoot = [0, 0, -400];   // Robot root Transform in the WRL (world Z = -400)
+    const coSysScale = { tool: 60, base: 150 };
+
+    const calibrationSteps = {
+        xyz4: [
+            'touch a fixed reference point with the tool tip',
+            'touch the same point from a different direction',
+            'touch the same point from a third direction',
+            'touch the same point from a fourth direction'
+        ],
+        abc2: [
+            'move the TCP to a reference point',
+            'move a point on the -X axis of the tool to the reference point',
+            'move a point in the XY plane of the tool, on the +Y side, to the reference point'
+        ]
+    };
+
+    const tables = { tool: [], base: [] };
+    const active = {
+        tool: { number: 1, frame: null },  // number -1: a frame assigned by KRL that is no table entry
+        base: { number: 0, frame: null }
+    };
+
+    let calibration = null;           // { method, number, points } while a wizard runs
+    let sceneNodes = null;            // { tool, base } Switch and Transform pairs in the scene
+    let visible = true;
+
+    /**
+     * Load the tables, apply the active tool and base and show them in the scene
+     */
+    function init() {
+        resetTables();
+        loadFromStorage();
+        setupUI();
+        applyActive();
+        watchScene();
+        console.log('Robot Frames Module initialized');
+    }
+
+    function emptyEntry() {
+        return { name: '', x: 0, y: 0, z: 0, a: 0, b: 0, c: 0 };
+    }
+
+    /**
+     * Empty tables, TOOL_DATA[1] is the gripper TCP of the robot description
+     */
+    function resetTables() {
+        ['tool', 'base'].forEach(kind => {
+            tables[kind] = [];
+            for (let i = 0; i < counts[kind]; i++) tables[kind].push(emptyEntry());
+        });
+        const tcp = RobotKinematics.getTcpOffset();
+        Object.assign(tables.tool[0], { name: 'Gripper', x: tcp[0], y: tcp[1], z: tcp[2] });
+
+        active.tool = { number: 1, frame: Object.assign({}, tables.tool[0]) };
+        active.base = { number: 0, frame: emptyEntry() };
+    }
+
+    function loadFromStorage() {
+        const saved = localStorage.getItem(storageKey);
+        if (!saved) return;
+
+        try {
+            const data = JSON.parse(saved);
+            ['tool', 'base'].forEach(kind => {
+                const entries = data[kind + 's'];
+                if (!Array.isArray(entries)) return;
+                entries.slice(0, counts[kind]).forEach((entry, i) => {
+                    if (checkEntry(entry) === null) tables[kind][i] = copyEntry(entry);
+                });
+
+                const selection = data[kind];
+                if (selection && checkEntry(selection.frame) === null &&
+                    Number.isInteger(selection.number) && selection.number >= -1 && selection.number <= counts[kind]) {
+                    active[kind] = { number: selection.number, frame: copyEntry(selection.frame) };
+                }
+            });
+        } catch (e) {
+            console.error('Failed to load tool/base data:', e);
+        }
+    }
+
+    function saveToStorage() {
+        localStorage.setItem(storageKey, JSON.stringify({
+            tools: tables.tool,
+            bases: tables.base,
+            tool: active.tool,
+            base: active.base
+        }));
+    }
+
+    // ========================================================================
+    // Frame Helpers
+    // ========================================================================
+
+    function multiply(a, b) {
+        return a.map((row, i) => [0, 1, 2].map(j => a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j]));
+    }
+
+    function transpose(m) {
+        return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+    }
+
+    function transformVector(m, v) {
+        return [0, 1, 2].map(i => m[i][0] * v[0] + m[i][1] * v[1] + m[i][2] * v[2]);
+    }
+
+    function subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    function dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    function normalize(v) {
+        const length = Math.hypot(v[0], v[1], v[2]);
+        return v.map(value => value / length);
+    }
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * Table entry (X/Y/Z, A/B/C) as { position, rotation }
+     */
+    function entryToFrame(entry) {
+        return {
+            position: [entry.x, entry.y, entry.z],
+            rotation: RobotKinematics.abcToMatrix(entry.a, entry.b, entry.c)
+        };
+    }
+
+    /**
+     * { position, rotation } as X/Y/Z and A/B/C values
+     */
+    function frameToValues(frame) {
+        const abc = RobotKinematics.matrixToABC(frame.rotation);
+        return {
+            x: round(frame.position[0]), y: round(frame.position[1]), z: round(frame.position[2]),
+            a: round(abc.a), b: round(abc.b), c: round(abc.c)
+        };
+    }
+
+    /**
+     * Convert a pose in the active base to the robot base frame
+     * @param {Object} pose - { position: [x, y, z], rotation: 3x3 matrix } in the active base
+     * @returns {Object} { position, rotation } in the robot base frame
+     */
+    function baseToWorld(pose) {
+        const base = entryToFrame(active.base.frame);
+        return {
+            position: transformVector(base.rotation, pose.position).map((p, i) => p + base.position[i]),
+            rotation: multiply(base.rotation, pose.rotation)
+        };
+    }
+
+    /**
+     * Convert a pose in the robot base frame to the active base
+     * @param {Object} pose - { position: [x, y, z], rotation: 3x3 matrix } in the robot base frame
+     * @returns {Object} { position, rotation } in the active base
+     */
+    function worldToBase(pose) {
+        const base = entryToFrame(active.base.frame);
+        const inverse = transpose(base.rotation);
+        return {
+            position: transformVector(inverse, subtract(pose.position, base.position)),
+            rotation: multiply(inverse, pose.rotation)
+        };
+    }
+
+    /**
+     * Current TCP of the active tool in the active base ($POS_ACT)
+     * @returns {Object} { x, y, z, a, b, c } in mm and degrees
+     */
+    function getTcpInBase() {
+        const fk = RobotKinematics.forwardKinematics(RobotKinematics.getJointAngles());
+        return frameToValues(worldToBase(fk));
+    }
+
+    // ========================================================================
+    // Tables and Selection
+    // ========================================================================
+
+    function copyEntry(entry) {
+        const copy = { name: entry.name || '' };
+        components.forEach(key => { copy[key] = entry[key]; });
+        return copy;
+    }
+
+    /**
+     * Check a table entry
+     * @returns {string|null} The problem, null if the entry is valid
+     */
+    function checkEntry(entry) {
+        if (!entry || typeof entry !== 'object') return 'Frame must be an object';
+        const missing = components.find(key => typeof entry[key] !== 'number' || !isFinite(entry[key]));
+        if (missing) return `${missing.toUpperCase()} must be a number`;
+        if (entry.name !== undefined && typeof entry.name !== 'string') return 'Name must be a string';
+        if (entry.name && entry.name.length > maxNameLength) return `Name must be at most ${maxNameLength} characters`;
+        return null;
+    }
+
+    function checkNumber(kind, number, allowZero) {
+        if (!counts[kind]) return 'Frame kind must be tool or base';
+        if (!Number.isInteger(number) || number < (allowZero ? 0 : 1) || number > counts[kind]) {
+            return `${tableName(kind)} number must be ${allowZero ? 0 : 1} to ${counts[kind]}`;
+        }
+        return null;
+    }
+
+    function tableName(kind) {
+        return kind === 'tool' ? 'TOOL_DATA' : 'BASE_DATA';
+    }
+
+    /**
+     * One entry of TOOL_DATA or BASE_DATA
+     * @param {string} kind - 'tool' or 'base'
+     * @param {number} number - 1-based entry number
+     * @returns {Object|null} { name, x, y, z, a, b, c }, null if there is no such entry
+     */
+    function getEntry(kind, number) {
+        if (checkNumber(kind, number, false)) return null;
+        return copyEntry(tables[kind][number - 1]);
+    }
+
+    /**
+     * All entries of TOOL_DATA or BASE_DATA, index 0 is entry 1
+     */
+    function getTable(kind) {
+        return (tables[kind] || []).map(copyEntry);
+    }
+
+    /**
+     * Change an entry of TOOL_DATA or BASE_DATA, re-applying it if it is active
+     * @param {string} kind - 'tool' or 'base'
+     * @param {number} number - 1-based entry number
+     * @param {Object} values - Any of name, x, y, z, a, b, c
+     * @returns {Object} { ok: true, entry } or { ok: false, error }
+     */
+    function setEntry(kind, number, values) {
+        const numberError = checkNumber(kind, number, false);
+        if (numberError) return { ok: false, error: numberError };
+
+        const entry = Object.assign(copyEntry(tables[kind][number - 1]), values);
+        const error = checkEntry(entry);
+        if (error) return { ok: false, error: `${tableName(kind)}[${number}]: ${error}` };
+
+        tables[kind][number - 1] = copyEntry(entry);
+        if (active[kind].number === number) {
+            active[kind].frame = copyEntry(entry);
+            applyActive();
+        }
+        saveToStorage();
+        updateUI();
+        if (document.getElementById('frameKind')) fillEditor();
+        return { ok: true, entry: copyEntry(entry) };
+    }
+
+    /**
+     * Make a table entry the active tool or base
+     * @param {string} kind - 'tool' or 'base'
+     * @param {number} number - Entry number, 0 for the flange (tool) or World (base)
+     * @returns {Object} { ok: true } or { ok: false, error }
+     */
+    function select(kind, number) {
+        const error = checkNumber(kind, number, true);
+        if (error) return { ok: false, error: error };
+
+        active[kind] = {
+            number: number,
+            frame: number === 0 ? emptyEntry() : copyEntry(tables[kind][number - 1])
+        };
+        applyActive();
+        saveToStorage();
+        updateUI();
+        console.log(`Active ${kind}: ${describe(kind)}`);
+        return { ok: true };
+    }
+
+    /**
+     * Make a frame the active tool or base, as a KRL $TOOL/$BASE assignment does. A frame equal
+     * to a table entry selects that entry, any other frame becomes an unnumbered one (-1).
+     * @param {string} kind - 'tool' or 'base'
+     * @param {Object} values - { x, y, z, a, b, c }
+     * @returns {Object} { ok: true, number } or { ok: false, error }
+     */
+    function setActiveFrame(kind, values) {
+        if (!counts[kind]) return { ok: false, error: 'Frame kind must be tool or base' };
+        const error = checkEntry(values);
+        if (error) return { ok: false, error: error };
+
+        const same = (entry) => components.every(key => Math.abs(entry[key] - values[key]) < 1e-6);
+        let number = components.every(key => values[key] === 0) ? 0 : -1;
+        if (number !== 0) {
+            const index = tables[kind].findIndex(same);
+            if (index >= 0) number = index + 1;
+        }
+
+        if (number >= 0) {
+            select(kind, number);
+        } else {
+            active[kind] = { number: -1, frame: Object.assign(copyEntry(values), { name: '' }) };
+            applyActive();
+            saveToStorage();
+            updateUI();
+        }
+        return { ok: true, number: number };
+    }
+
+    /**
+     * The active tool or base
+     * @param {string} kind - 'tool' or 'base'
+     * @returns {Object} { number, name, x, y, z, a, b, c }
+     */
+    function getActive(kind) {
+        return Object.assign({ number: active[kind].number }, copyEntry(active[kind].frame));
+    }
+
+    function describe(kind) {
+        const selection = active[kind];
+        if (selection.number === 0) return kind === 'tool' ? '0 (flange)' : '0 (World)';
+        if (selection.number === -1) return `frame from KRL $${kind.toUpperCase()}`;
+        return `${selection.number}` + (selection.frame.name ? ` (${selection.frame.name})` : '');
+    }
+
+    /**
+     * Hand the active frames to the kinematics, Base jogging and the scene
+     */
+    function applyActive() {
+        RobotKinematics.setTool(entryToFrame(active.tool.frame));
+        if (typeof RobotJog !== 'undefined') RobotJog.setBase(entryToFrame(active.base.frame));
+        updateScene();
+    }
+
+    // ========================================================================
+    // Calibration
+    // ========================================================================
+
+    /**
+     * Solve a 3x3 linear system (Cramer's rule)
+     * @returns {Array|null} The solution, null if the matrix is singular
+     */
+    function solve3(m, v) {
+        const det = (a) => dot(a[0], cross(a[1], a[2]));
+        const d = det(m);
+        if (Math.abs(d) < 1e-12) return null;
+        return [0, 1, 2].map(column => det(m.map((row, i) => row.map((value, j) => j === column ? v[i] : value))) / d);
+    }
+
+    /**
+     * XYZ 4-point: the TCP in the flange frame from flange poses that all put the TCP on
+     * the same point, solved by least squares over all pairs of poses
+     * @param {Array} flanges - At least 4 { position, rotation } flange poses
+     * @returns {Object} { ok: true, position, point, error } with the largest deviation from
+     *          the common point in mm, or { ok: false, error }
+     */
+    function calibrateXYZ(flanges) {
+        if (!Array.isArray(flanges) || flanges.length < 4) {
+            return { ok: false, error: 'XYZ 4-point needs 4 flange poses' };
+        }
+
+        // (R_i - R_j) t = p_j - p_i for every pair, summed into the normal equations
+        const normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const rhs = [0, 0, 0];
+        for (let i = 0; i < flanges.length; i++) {
+            for (let j = i + 1; j < flanges.length; j++) {
+                const a = flanges[i].rotation.map((row, r) => row.map((value, c) => value - flanges[j].rotation[r][c]));
+                const b = subtract(flanges[j].position, flanges[i].position);
+                for (let r = 0; r < 3; r++) {
+                    for (let c = 0; c < 3; c++) normal[r][c] += a[0][r] * a[0][c] + a[1][r] * a[1][c] + a[2][r] * a[2][c];
+                    rhs[r] += a[0][r] * b[0] + a[1][r] * b[1] + a[2][r] * b[2];
+                }
+            }
+        }
+
+        // Orientations that only differ about one axis leave the TCP undetermined along it
+        const trace = normal[0][0] + normal[1][1] + normal[2][2];
+        const conditioning = dot(normal[0], cross(normal[1], normal[2])) / Math.pow(trace / 3, 3);
+        const position = trace > 0 && conditioning > minConditioning ? solve3(normal, rhs) : null;
+        if (!position) {
+            return { ok: false, error: 'The orientations are too similar, approach the point from clearly different directions' };
+        }
+
+        const points = flanges.map(flange => transformVector(flange.rotation, position).map((p, i) => p + flange.position[i]));
+        const point = [0, 1, 2].map(i => points.reduce((sum, p) => sum + p[i], 0) / points.length);
+        const error = Math.max(...points.map(p => Math.hypot(...subtract(p, point))));
+        return { ok: true, position: position.map(round), point: point.map(round), error: round(error) };
+    }
+
+    /**
+     * ABC 2-point: the tool orientation in the flange frame from three flange poses that put
+     * the TCP, a point on the tool -X axis and a point on the +Y side of the tool XY plane
+     * onto the same reference point
+     * @param {Array} tcp - Calibrated TCP [x, y, z] in the flange frame
+     * @param {Array} flanges - The 3 { position, rotation } flange poses
+     * @returns {Object} { ok: true, rotation, a, b, c } or { ok: false, error }
+     */
+    function calibrateABC(tcp, flanges) {
+        if (!Array.isArray(flanges) || flanges.length < 3) {
+            return { ok: false, error: 'ABC 2-point needs 3 flange poses' };
+        }
+
+        // Reference point from the first pose, then where it sits in the flange frame of the others
+        const reference = transformVector(flanges[0].rotation, tcp).map((p, i) => p + flanges[0].position[i]);
+        const local = (flange) => transformVector(transpose(flange.rotation), subtract(reference, flange.position));
+        const onMinusX = local(flanges[1]);
+        const onPlusY = local(flanges[2]);
+
+        const xDirection = subtract(tcp, onMinusX);
+        if (Math.hypot(...xDirection) < minAxisPointDistance) {
+            return { ok: false, error: `The point on the -X axis must be at least ${minAxisPointDistance} mm from the TCP` };
+        }
+        const x = normalize(xDirection);
+        const yDirection = subtract(onPlusY, tcp);
+        const yPerpendicular = subtract(yDirection, x.map(value => value * dot(yDirection, x)));
+        if (Math.hypot(...yPerpendicular) < minAxisPointDistance) {
+            return { ok: false, error: `The point in the XY plane must be at least ${minAxisPointDistance} mm off the X axis` };
+        }
+        const y = normalize(yPerpendicular);
+        const z = cross(x, y);
+
+        const rotation = [0, 1, 2].map(i => [x[i], y[i], z[i]]);
+        const abc = RobotKinematics.matrixToABC(rotation);
+        return { ok: true, rotation: rotation, a: round(abc.a), b: round(abc.b), c: round(abc.c) };
+    }
+
+    function flangePose() {
+        const frames = RobotKinematics.forwardKinematics(RobotKinematics.getJointAngles()).frames;
+        const flange = frames[frames.length - 1];
+        return { position: flange.position.slice(), rotation: flange.rotation.map(row => row.slice()) };
+    }
+
+    /**
+     * Start a calibration wizard for a tool
+     * @param {string} method - 'xyz4' or 'abc2'
+     * @param {number} number - TOOL_DATA entry the result is written to
+     * @returns {Object} { ok: true, step } or { ok: false, error }
+     */
+    function startCalibration(method, number) {
+        if (!calibrationSteps[method]) return { ok: false, error: 'Calibration method must be xyz4 or abc2' };
+        const error = checkNumber('tool', number, false);
+        if (error) return { ok: false, error: error };
+
+        calibration = { method: method, number: number, points: [] };
+        updateUI();
+        return { ok: true, step: calibrationStep() };
+    }
+
+    function calibrationStep() {
+        if (!calibration) return '';
+        const steps = calibrationSteps[calibration.method];
+        const index = calibration.points.length;
+        return `${calibration.method === 'xyz4' ? 'XYZ 4-point' : 'ABC 2-point'} TOOL_DATA[${calibration.number}] ` +
+            `${index + 1}/${steps.length}: ${steps[index]}`;
+    }
+
+    /**
+     * Record the current flange pose as the next wizard point; the last point computes and
+     * stores the result
+     * @returns {Object} { ok: true, done: false, step }, { ok: true, done: true, entry, error } or { ok: false, error }
+     */
+    function recordPoint() {
+        if (!calibration) return { ok: false, error: 'No calibration running' };
+
+        calibration.points.push(flangePose());
+        if (calibration.points.length < calibrationSteps[calibration.method].length) {
+            updateUI();
+            return { ok: true, done: false, step: calibrationStep() };
+        }
+
+        const { method, number, points } = calibration;
+        calibration = null;
+
+        if (method === 'xyz4') {
+            const result = calibrateXYZ(points);
+            if (!result.ok) {
+                updateUI();
+                return result;
+            }
+            const [x, y, z] = result.position;
+            const stored = setEntry('tool', number, { x: x, y: y, z: z });
+            console.log(`TOOL_DATA[${number}] XYZ 4-point: X=${x}, Y=${y}, Z=${z}, error ${result.error} mm`);
+            return { ok: true, done: true, entry: stored.entry, error: result.error };
+        }
+
+        const entry = tables.tool[number - 1];
+        const result = calibrateABC([entry.x, entry.y, entry.z], points);
+        if (!result.ok) {
+            updateUI();
+            return result;
+        }
+        const stored = setEntry('tool', number, { a: result.a, b: result.b, c: result.c });
+        console.log(`TOOL_DATA[${number}] ABC 2-point: A=${result.a}, B=${result.b}, C=${result.c}`);
+        return { ok: true, done: true, entry: stored.entry };
+    }
+
+    function cancelCalibration() {
+        calibration = null;
+        updateUI();
+    }
+
+    // ========================================================================
+    // Scene
+    // ========================================================================
+
+    /**
+     * Add the coSys nodes as soon as the scene is loaded (right away if it already is)
+     */
+    function watchScene() {
+        const browser = typeof X3D !== 'undefined' ? X3D.getBrowser('.X3D') : null;
+        if (!browser) return;
+
+        if (sceneReady(browser.currentScene)) {
+            updateScene();
+        } else {
+            browser.addBrowserCallback('robotFrames', X3D.X3DConstants.INITIALIZED_EVENT, updateScene);
+        }
+    }
+
+    function sceneReady(scene) {
+        if (!scene) return false;
+        try {
+            return !!scene.getNamedNode('A6');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Rotation matrix as an X3D SFRotation (axis and angle)
+     */
+    function matrixToRotation(m) {
+        const angle = Math.acos(Math.max(-1, Math.min(1, (m[0][0] + m[1][1] + m[2][2] - 1) / 2)));
+        if (angle < 1e-9) return new X3D.SFRotation(0, 0, 1, 0);
+
+        let axis;
+        if (Math.PI - angle > 1e-6) {
+            axis = [m[2][1] - m[1][2], m[0][2] - m[2][0], m[1][0] - m[0][1]];
+        } else {
+            // Half turn: the axis comes from the diagonal of (R + I) / 2
+            const diagonal = [0, 1, 2].map(i => Math.sqrt(Math.max(0, (m[i][i] + 1) / 2)));
+            const k = diagonal.indexOf(Math.max(...diagonal));
+            axis = [0, 1, 2].map(i => i === k ? diagonal[k] : (m[i][k] + m[k][i]) / (4 * diagonal[k]));
+        }
+        const length = Math.hypot(axis[0], axis[1], axis[2]);
+        return new X3D.SFRotation(axis[0] / length, axis[1] / length, axis[2] / length, angle);
+    }
+
+    /**
+     * A Switch holding a Transform with a coSys, so the frame can be hidden
+     */
+    function createFrameNode(scene, scale) {
+        const axes = scene.createProto('coSys');
+        axes.scale = new X3D.SFVec3f(scale, scale, scale);
+        const transform = scene.createNode('Transform');
+        transform.children.push(axes);
+        const toggle = scene.createNode('Switch');
+        toggle.children.push(transform);
+        return { toggle: toggle, transform: transform };
+    }
+
+    /**
+     * Create the tool (under A6) and base (in the cell) coSys on first use and place them
+     * at the active frames
+     */
+    function updateScene() {
+        const browser = typeof X3D !== 'undefined' ? X3D.getBrowser('.X3D') : null;
+        const scene = browser ? browser.currentScene : null;
+        if (!sceneReady(scene)) return;
+
+        if (!sceneNodes) {
+            try {
+                sceneNodes = {
+                    tool: createFrameNode(scene, coSysScale.tool),
+                    base: createFrameNode(scene, coSysScale.base)
+                };
+                scene.getNamedNode('A6').children.push(sceneNodes.tool.toggle);
+
+                const cell = scene.createNode('Transform');
+                cell.translation = new X3D.SFVec3f(...sceneRoot);
+                cell.children.push(sceneNodes.base.toggle);
+                scene.addRootNode(cell);
+            } catch (error) {
+                console.error('Tool/base frames could not be added to the scene:', error);
+                sceneNodes = null;
+                return;
+            }
+        }
+
+        ['tool', 'base'].forEach(kind => {
+            const frame = entryToFrame(active[kind].frame);
+            sceneNodes[kind].transform.translation = new X3D.SFVec3f(...frame.position);
+            sceneNodes[kind].transform.rotation = matrixToRotation(frame.rotation);
+            sceneNodes[kind].toggle.whichChoice = visible ? 0 : -1;
+        });
+    }
+
+    /**
+     * Show or hide the coSys of the active tool and base
+     */
+    function setVisible(show) {
+        visible = !!show;
+        const checkbox = document.getElementById('showFrames');
+        if (checkbox) checkbox.checked = visible;
+        updateScene();
+    }
+
+    // ========================================================================
+    // UI
+    // ========================================================================
+
+    function setupUI() {
+        const toolSelect = document.getElementById('activeTool');
+        if (!toolSelect) return;
+
+        toolSelect.addEventListener('change', () => select('tool', parseInt(toolSelect.value, 10)));
+        const baseSelect = document.getElementById('activeBase');
+        baseSelect.addEventListener('change', () => select('base', parseInt(baseSelect.value, 10)));
+        document.getElementById('showFrames').addEventListener('change', (event) => setVisible(event.target.checked));
+
+        const kindSelect = document.getElementById('frameKind');
+        const numberInput = document.getElementById('frameNumber');
+        kindSelect.addEventListener('change', () => {
+            numberInput.max = counts[kindSelect.value];
+            if (parseInt(numberInput.value, 10) > counts[kindSelect.value]) numberInput.value = 1;
+            fillEditor();
+        });
+        numberInput.addEventListener('change', fillEditor);
+
+        document.getElementById('saveFrame').addEventListener('click', () => {
+            const number = parseInt(numberInput.value, 10);
+            const values = { name: document.getElementById('frameName').value.trim() };
+            components.forEach(key => {
+                values[key] = parseFloat(document.getElementById('frame' + key.toUpperCase()).value);
+            });
+            const result = setEntry(kindSelect.value, number, values);
+            if (result.ok) {
+                RobotKinematics.setStatus(`${tableName(kindSelect.value)}[${number}] saved`);
+            } else {
+                RobotKinematics.setStatus('Frame not saved: ' + result.error, true);
+            }
+        });
+
+        document.getElementById('startCalibration').addEventListener('click', () => {
+            if (kindSelect.value !== 'tool') {
+                RobotKinematics.setStatus('Calibration: choose a TOOL_DATA entry in the editor', true);
+                return;
+            }
+            const result = startCalibration(document.getElementById('calibrationMethod').value, parseInt(numberInput.value, 10));
+            if (!result.ok) RobotKinematics.setStatus('Calibration: ' + result.error, true);
+        });
+        document.getElementById('recordCalibrationPoint').addEventListener('click', () => {
+            const result = recordPoint();
+            if (!result.ok) {
+                RobotKinematics.setStatus('Calibration failed: ' + result.error, true);
+            } else if (result.done) {
+                const entry = result.entry;
+                RobotKinematics.setStatus(`Calibrated ${entry.name || 'tool'}: X=${entry.x}, Y=${entry.y}, Z=${entry.z}, ` +
+                    `A=${entry.a}, B=${entry.b}, C=${entry.c}` + (result.error !== undefined ? ` (error ${result.error} mm)` : ''));
+            }
+        });
+        document.getElementById('cancelCalibration').addEventListener('click', cancelCalibration);
+
+        fillEditor();
+        updateUI();
+    }
+
+    /**
+     * Show the entry chosen in the editor
+     */
+    function fillEditor() {
+        const kind = document.getElementById('frameKind').value;
+        const entry = getEntry(kind, parseInt(document.getElementById('frameNumber').value, 10));
+        if (!entry) return;
+
+        document.getElementById('frameName').value = entry.name;
+        components.forEach(key => {
+            document.getElementById('frame' + key.toUpperCase()).value = entry[key];
+        });
+    }
+
+    function fillSelect(selectEl, kind) {
+        const options = [[0, kind === 'tool' ? '0 Flange' : '0 World']];
+        tables[kind].forEach((entry, i) => options.push([i + 1, `${i + 1} ${entry.name}`.trim()]));
+        if (active[kind].number === -1) options.push([-1, `$${kind.toUpperCase()} from KRL`]);
+
+        selectEl.innerHTML = '';
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            selectEl.appendChild(option);
+        });
+        selectEl.value = active[kind].number;
+    }
+
+    function updateUI() {
+        const toolSelect = document.getElementById('activeTool');
+        if (!toolSelect) return;
+
+        fillSelect(toolSelect, 'tool');
+        fillSelect(document.getElementById('activeBase'), 'base');
+
+        document.getElementById('startCalibration').disabled = !!calibration;
+        document.getElementById('recordCalibrationPoint').disabled = !calibration;
+        document.getElementById('cancelCalibration').disabled = !calibration;
+        document.getElementById('calibrationStep').textContent = calibration ? calibrationStep() : '';
+    }
+
+    // Public API
+    return {
+        init: init,
+        getEntry: getEntry,
+        getTable: getTable,
+        setEntry: setEntry,
+        select: select,
+        setActiveFrame: setActiveFrame,
+        getActive: getActive,
+        baseToWorld: baseToWorld,
+        worldToBase: worldToBase,
+        getTcpInBase: getTcpInBase,
+        calibrateXYZ: calibrateXYZ,
+        calibrateABC: calibrateABC,
+        startCalibration: startCalibration,
+        recordPoint: recordPoint,
+        cancelCalibration: cancelCalibration,
+        getCalibration: () => calibration,
+        setVisible: setVisible
+    };
+})();
@@ -0,0 +1,202 @@
+/**
+ * Robot Gripper Module
+ * Open/close and jaw width control for the SCHUNK EGP 40-N-N-B on the A6 flange
+ *
+ * The jaws are the FINGER and FINGER2 RobotJoint nodes of the scene. Both move
+ * symmetrically along the A6 Y axis; the width is the jaw opening in mm, from 0
+ * (closed) to the full stroke of both jaws, travelled at the datasheet jaw speed.
+ */
+
+const RobotGripper = (function() {
+    // EGP 40-N-N-B datasheet: 6 mm stroke per jaw, 0.2 s opening/closing time
+    const strokePerJaw = 6;            // mm
+    const maxWidth = 2 * strokePerJaw; // mm between the jaws when fully open
+    const strokeTime = 200;            // ms for a full stroke
+
+    // Finger positions in the A6 frame; the scene models the jaws fully open at Y = ±11 mm
+    const fingers = [
+        { name: 'FINGER', side: 1 },
+        { name: 'FINGER2', side: -1 }
+    ];
+    const fingerX = 100;
+    const openOffset = 11;             // |Y| of each finger when fully open
+
+    let width = maxWidth;              // Current jaw opening in mm
+    let target = maxWidth;             // Commanded jaw opening in mm
+    let motionCounter = 0;             // Incremented by every command so a running motion knows it was superseded
+    const listeners = [];
+
+    /**
+     * Initialize the gripper controls
+     */
+    function init() {
+        const slider = document.getElementById('gripperSlider');
+        const openButton = document.getElementById('gripperOpen');
+        const closeButton = document.getElementById('gripperClose');
+
+        if (slider) {
+            slider.min = 0;
+            slider.max = maxWidth;
+            slider.value = width;
+            slider.addEventListener('input', () => setWidth(parseFloat(slider.value)));
+        }
+        if (openButton) openButton.addEventListener('click', open);
+        if (closeButton) closeButton.addEventListener('click', close);
+
+        updateDisplay();
+        console.log(`Robot Gripper Module initialized (EGP 40, 0..${maxWidth} mm)`);
+    }
+
+    // ========================================================================
+    // Commands
+    // ========================================================================
+
+    /**
+     * Move the jaws to an opening width
+     * @param {number} mm - Jaw opening in mm, 0 (closed) to the full stroke
+     * @returns {Object} { ok: true, duration, completion } with the travel time in ms and a Promise
+     *          resolving true when the jaws got there (false if superseded), or { ok: false, error }
+     */
+    function setWidth(mm) {
+        if (typeof mm !== 'number' || isNaN(mm)) {
+            return { ok: false, error: 'Gripper width must be a number' };
+        }
+        if (mm < 0 || mm > maxWidth) {
+            return { ok: false, error: `Gripper width ${mm} mm is outside the EGP 40 stroke (0..${maxWidth} mm)` };
+        }
+
+        target = mm;
+        const motionId = ++motionCounter;
+        const start = width;
+        const duration = Math.abs(mm - start) / maxWidth * strokeTime;
+        const startTime = Date.now();
+
+        // Parts are released as soon as the jaws start to open
+        if (mm > start) notify('open');
+
+        let finish;
+        const completion = new Promise(resolve => { finish = resolve; });
+
+        function animateJaws() {
+            if (motionId !== motionCounter) {
+                finish(false);
+                return;
+            }
+
+            const progress = duration > 0 ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+            width = start + (mm - start) * progress;
+            applyWidth();
+            updateDisplay();
+
+            if (progress < 1) {
+                requestAnimationFrame(animateJaws);
+            } else {
+                // ...and gripped once the jaws have closed on them
+                if (mm < start) notify('close');
+                finish(true);
+            }
+        }
+
+        animateJaws();
+        return { ok: true, duration: duration, completion: completion };
+    }
+
+    /**
+     * Open the jaws fully
+     */
+    function open() {
+        return setWidth(maxWidth);
+    }
+
+    /**
+     * Close the jaws fully
+     */
+    function close() {
+        return setWidth(0);
+    }
+
+    /**
+     * Current gripper state
+     * @returns {Object} { width, target, maxWidth } in mm and state 'open', 'closed', 'partial' or 'moving'
+     */
+    function getState() {
+        let state = 'partial';
+        if (Math.abs(width - target) > 1e-6) state = 'moving';
+        else if (width >= maxWidth) state = 'open';
+        else if (width <= 0) state = 'closed';
+
+        return {
+            state: state,
+            width: Math.round(width * 100) / 100,
+            target: target,
+            maxWidth: maxWidth
+        };
+    }
+
+    /**
+     * Register a callback for jaw events
+     * @param {Function} callback - Called with ('open' when the jaws start opening or
+     *        'close' when a closing motion has finished, state)
+     */
+    function addListener(callback) {
+        if (typeof callback !== 'function') {
+            console.error('Gripper listener must be a function');
+            return;
+        }
+        listeners.push(callback);
+    }
+
+    function notify(event) {
+        const state = getState();
+        listeners.forEach(callback => {
+            try {
+                callback(event, state);
+            } catch (error) {
+                console.error('Error in gripper listener:', error);
+            }
+        });
+    }
+
+    // ========================================================================
+    // Scene and Display
+    // ========================================================================
+
+    /**
+     * Move the finger nodes to the current width
+     */
+    function applyWidth() {
+        const browser = X3D.getBrowser('.X3D');
+        const scene = browser ? browser.currentScene : null;
+        if (!scene) return;
+
+        const offset = openOffset - (maxWidth - width) / 2;
+        fingers.forEach(finger => {
+            try {
+                const node = scene.getNamedNode(finger.name);
+                node.translation = new X3D.SFVec3f(fingerX, finger.side * offset, 0);
+            } catch (error) {
+                console.error(`Gripper: cannot move ${finger.name}:`, error);
+            }
+        });
+    }
+
+    function updateDisplay() {
+        const slider = document.getElementById('gripperSlider');
+        const value = document.getElementById('gripperValue');
+        const current = getState();
+        if (slider && document.activeElement !== slider) slider.value = current.target;
+        if (value) value.textContent = `${current.width.toFixed(1)} mm (${current.state})`;
+    }
+
+    // Public API
+    return {
+        init: init,
+        open: open,
+        close: close,
+        setWidth: setWidth,
+        getState: getState,
+        addListener: addListener,
+        getMaxWidth: () => maxWidth,
+        getFingerNames: () => fingers.map(finger => finger.name)
+    };
+})();
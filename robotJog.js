@@ -0,0 +1,375 @@
+/**
+ * Robot Jog Module
+ * smartPAD-style jogging of the axes or of the TCP in the World, Base and Tool frames
+ *
+ * Each of the six jog rows has a - and a + key: A1..A6 in axis mode, X, Y, Z (move
+ * along) and A, B, C (turn about Z, Y, X) in the Cartesian frames. Cartesian jogs keep
+ * the TCP on a straight line (or turning about the TCP) and are solved with IK every
+ * frame. Jogging is continuous while a key is held or moves by one increment per press;
+ * the speed follows the manual override HOV. World is the robot base frame ($ROBROOT =
+ * $WORLD in the twin), Base defaults to World until a base frame is set.
+ */
+
+const RobotJog = (function() {
+    const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+    const cartesianLabels = ['X', 'Y', 'Z', 'A', 'B', 'C'];
+    const rotationAxes = [2, 1, 0];   // A turns about Z, B about Y, C about X
+
+    // Jog key pairs by key position (event.code), + above -, as on a smartPAD held sideways
+    const jogKeys = {
+        KeyQ: [0, 1], KeyA: [0, -1],
+        KeyW: [1, 1], KeyS: [1, -1],
+        KeyE: [2, 1], KeyD: [2, -1],
+        KeyR: [3, 1], KeyF: [3, -1],
+        KeyT: [4, 1], KeyG: [4, -1],
+        KeyY: [5, 1], KeyH: [5, -1]
+    };
+
+    // Jog speeds at 100 % HOV, those of T1
+    const tcpJogSpeed = 250;          // mm/s
+    const orientationJogSpeed = 50;   // degrees/s
+    const axisJogScale = 0.2;         // Share of the axis maximum speed
+    const maxFrameTime = 0.1;         // s, longer frames (e.g. a hidden tab) are not caught up
+
+    let system = 'axis';              // 'axis', 'world', 'base' or 'tool'
+    let increment = 0;                // mm or degrees per press, 0 is continuous
+    let override = 10;                // HOV in %
+    let base = { position: [0, 0, 0], rotation: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] };
+    let jog = null;                   // The running jog
+    let keyboardEnabled = false;
+
+    /**
+     * Initialize the jog panel and the keyboard shortcuts
+     */
+    function init() {
+        setupUI();
+        document.addEventListener('keydown', onKeyDown);
+        document.addEventListener('keyup', onKeyUp);
+        window.addEventListener('blur', abort);
+        console.log('Robot Jog Module initialized');
+    }
+
+    function setupUI() {
+        const systemSelect = document.getElementById('jogSystem');
+        if (!systemSelect) return;
+
+        systemSelect.addEventListener('change', (event) => setSystem(event.target.value));
+        document.getElementById('jogIncrement').addEventListener('change', (event) => setIncrement(parseFloat(event.target.value)));
+        document.getElementById('jogOverride').addEventListener('input', (event) => setOverride(parseFloat(event.target.value)));
+        document.getElementById('jogKeyboard').addEventListener('change', (event) => {
+            keyboardEnabled = event.target.checked;
+            if (!keyboardEnabled) abort();
+        });
+        buildKeys();
+    }
+
+    /**
+     * Build the six rows of - and + keys for the current system
+     */
+    function buildKeys() {
+        const container = document.getElementById('jogKeys');
+        if (!container) return;
+
+        const keyNames = Object.keys(jogKeys);
+        const labels = system === 'axis' ? axisNames : cartesianLabels;
+        container.innerHTML = '';
+        labels.forEach((label, row) => {
+            [-1, 1].forEach(direction => {
+                const key = keyNames.find(code => jogKeys[code][0] === row && jogKeys[code][1] === direction);
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'jog-key';
+                button.dataset.row = row;
+                button.dataset.direction = direction;
+                button.textContent = (direction > 0 ? '+' : '−') + label;
+                button.title = `Jog ${label} ${direction > 0 ? '+' : '-'} (key ${key.replace('Key', '')})`;
+                button.addEventListener('pointerdown', (event) => {
+                    button.setPointerCapture(event.pointerId);
+                    start(row, direction);
+                });
+                button.addEventListener('pointerup', release);
+                button.addEventListener('pointercancel', abort);
+                container.appendChild(button);
+            });
+        });
+        highlight();
+    }
+
+    function onKeyDown(event) {
+        if (!keyboardEnabled || !jogKeys[event.code] || event.ctrlKey || event.altKey || event.metaKey) return;
+        // Leave typing in fields (KRL command line, config names, ...) alone
+        const target = event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+        event.preventDefault();
+        if (event.repeat) return;
+        start(...jogKeys[event.code]);
+    }
+
+    function onKeyUp(event) {
+        if (jog && jogKeys[event.code]) release();
+    }
+
+    // ========================================================================
+    // Settings
+    // ========================================================================
+
+    /**
+     * Select the jog coordinate system
+     * @param {string} name - 'axis', 'world', 'base' or 'tool'
+     * @returns {boolean} True if the system was accepted
+     */
+    function setSystem(name) {
+        if (!['axis', 'world', 'base', 'tool'].includes(name)) {
+            console.error('Jog system must be axis, world, base or tool');
+            return false;
+        }
+        abort();
+        system = name;
+        const select = document.getElementById('jogSystem');
+        if (select) select.value = name;
+        buildKeys();
+        return true;
+    }
+
+    /**
+     * Set the jog increment
+     * @param {number} value - mm (X, Y, Z) or degrees (axes, A, B, C) per key press, 0 for continuous
+     * @returns {boolean} True if the value was accepted
+     */
+    function setIncrement(value) {
+        if (typeof value !== 'number' || isNaN(value) || value < 0) {
+            console.error('Jog increment must be 0 (continuous) or a positive distance');
+            return false;
+        }
+        increment = value;
+        const select = document.getElementById('jogIncrement');
+        if (select && parseFloat(select.value) !== value) select.value = String(value);
+        return true;
+    }
+
+    /**
+     * Set the manual override HOV
+     * @param {number} percent - 1 to 100
+     * @returns {boolean} True if the value was accepted
+     */
+    function setOverride(percent) {
+        if (typeof percent !== 'number' || isNaN(percent) || percent < 1 || percent > 100) {
+            console.error('Jog override must be between 1 and 100 %');
+            return false;
+        }
+        override = percent;
+        const slider = document.getElementById('jogOverride');
+        const label = document.getElementById('jogOverrideValue');
+        if (slider) slider.value = percent;
+        if (label) label.textContent = percent + '%';
+        return true;
+    }
+
+    /**
+     * Set the frame used by Base jogging
+     * @param {Object} frame - { position: [x, y, z], rotation: 3x3 matrix } in the robot base frame
+     */
+    function setBase(frame) {
+        base = { position: frame.position.slice(), rotation: frame.rotation.map(row => row.slice()) };
+    }
+
+    // ========================================================================
+    // Frame Helpers
+    // ========================================================================
+
+    function multiply(a, b) {
+        return a.map((row, i) => [0, 1, 2].map(j => a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j]));
+    }
+
+    /**
+     * Rotation about a unit axis (Rodrigues)
+     */
+    function axisAngleToMatrix(axis, angle) {
+        const [x, y, z] = axis;
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const t = 1 - c;
+        return [
+            [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+            [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+            [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+        ];
+    }
+
+    /**
+     * Axis of the jog frame in the robot base frame
+     */
+    function frameAxis(start, index) {
+        const rotation = system === 'tool' ? start.rotation : system === 'base' ? base.rotation : null;
+        return rotation ? [rotation[0][index], rotation[1][index], rotation[2][index]] : [0, 1, 2].map(i => i === index ? 1 : 0);
+    }
+
+    /**
+     * TCP target after jogging a Cartesian row by a distance from the jog start
+     * @param {number} distance - mm (X, Y, Z) or degrees (A, B, C), signed
+     */
+    function cartesianTarget(start, row, distance) {
+        if (row < 3) {
+            const axis = frameAxis(start, row);
+            return { position: start.position.map((p, i) => p + axis[i] * distance), rotation: start.rotation };
+        }
+        const axis = frameAxis(start, rotationAxes[row - 3]);
+        return { position: start.position, rotation: multiply(axisAngleToMatrix(axis, distance * Math.PI / 180), start.rotation) };
+    }
+
+    // ========================================================================
+    // Jogging
+    // ========================================================================
+
+    /**
+     * Jog speed of a row at the current HOV
+     * @returns {number} degrees/s in axis mode and for A, B, C, mm/s for X, Y, Z
+     */
+    function rowSpeed(row) {
+        if (system === 'axis') return RobotKinematics.getAxisMaxSpeed()[axisNames[row]] * axisJogScale * override / 100;
+        return (row < 3 ? tcpJogSpeed : orientationJogSpeed) * override / 100;
+    }
+
+    /**
+     * Start jogging a row; continuous jogs run until release(), incremental jogs stop after one increment
+     * @param {number} row - 0..5 (A1..A6 or X, Y, Z, A, B, C)
+     * @param {number} direction - 1 or -1
+     * @returns {boolean} True if the jog was started
+     */
+    function start(row, direction) {
+        if (typeof KRLProgram !== 'undefined' && KRLProgram.getState() === 'running') {
+            RobotKinematics.setStatus('Jogging is not possible while a program is running', true);
+            return false;
+        }
+        if (!Number.isInteger(row) || row < 0 || row > 5 || (direction !== 1 && direction !== -1)) {
+            console.error('Jog row must be 0..5 and direction 1 or -1');
+            return false;
+        }
+
+        abort();
+        // Take over the sliders: a load, trajectory or collision stop ends the jog
+        SliderControlledX3DElement.stopAnimation();
+        const angles = RobotKinematics.getJointAngles();
+        const fk = RobotKinematics.forwardKinematics(angles);
+        jog = {
+            row: row,
+            direction: direction,
+            system: system,
+            start: { angles: angles, position: fk.position, rotation: fk.rotation },
+            travelled: 0,
+            increment: increment,
+            animationId: SliderControlledX3DElement.animationCounter,
+            lastFrame: performance.now()
+        };
+        highlight();
+        requestAnimationFrame(jogFrame);
+        return true;
+    }
+
+    /**
+     * End a continuous jog (key or button released); an increment is completed
+     */
+    function release() {
+        if (jog && jog.increment === 0) abort();
+    }
+
+    /**
+     * End any jog right away
+     */
+    function abort() {
+        if (!jog) return;
+        jog = null;
+        highlight();
+    }
+
+    function finish(message, isError = false) {
+        abort();
+        if (message) RobotKinematics.setStatus(message, isError);
+    }
+
+    function jogFrame() {
+        if (!jog) return;
+        if (jog.animationId !== SliderControlledX3DElement.animationCounter) {
+            abort();
+            return;
+        }
+
+        const now = performance.now();
+        const dt = Math.min((now - jog.lastFrame) / 1000, maxFrameTime);
+        jog.lastFrame = now;
+
+        let step = rowSpeed(jog.row) * dt;
+        if (jog.increment > 0) step = Math.min(step, jog.increment - jog.travelled);
+
+        const result = jog.system === 'axis' ? axisStep(step) : cartesianStep(step, dt);
+        if (!result.ok) {
+            finish('Jog stopped: ' + result.error, true);
+            return;
+        }
+        SliderControlledX3DElement.applyAngles(result.angles);
+        jog.travelled += result.step;
+
+        if (jog.increment > 0 && jog.travelled >= jog.increment - 1e-9) {
+            abort();
+            return;
+        }
+        if (result.atLimit) {
+            finish(`Jog stopped: ${axisNames[jog.row]} at its limit`, true);
+            return;
+        }
+        requestAnimationFrame(jogFrame);
+    }
+
+    function axisStep(step) {
+        const name = axisNames[jog.row];
+        const limit = RobotKinematics.getJointLimits()[name];
+        const target = jog.start.angles[name] + jog.direction * (jog.travelled + step);
+        const clamped = Math.max(limit.min, Math.min(limit.max, target));
+        const angles = Object.assign(RobotKinematics.getJointAngles(), { [name]: clamped });
+        return { ok: true, angles: angles, step: step, atLimit: clamped !== target };
+    }
+
+    /**
+     * Solve the next Cartesian step; near singularities the step shrinks so no axis
+     * exceeds its maximum speed
+     */
+    function cartesianStep(step, dt) {
+        const seed = RobotKinematics.getJointAngles();
+        const maxSpeed = RobotKinematics.getAxisMaxSpeed();
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            const target = cartesianTarget(jog.start, jog.row, jog.direction * (jog.travelled + step));
+            const result = RobotKinematics.solveInverseKinematics(target, { seed: seed });
+            if (!result.ok) return result;
+
+            const ratio = Math.max(...axisNames.map(name => Math.abs(result.angles[name] - seed[name]) / (maxSpeed[name] * dt)));
+            if (ratio <= 1 || attempt === 1) return { ok: true, angles: result.angles, step: step };
+            step /= ratio * 1.05;
+        }
+    }
+
+    function highlight() {
+        document.querySelectorAll('#jogKeys .jog-key').forEach(button => {
+            button.classList.toggle('active', !!jog &&
+                parseInt(button.dataset.row, 10) === jog.row && parseInt(button.dataset.direction, 10) === jog.direction);
+        });
+    }
+
+    // Public API
+    return {
+        init: init,
+        start: start,
+        release: release,
+        stop: abort,
+        setSystem: setSystem,
+        setIncrement: setIncrement,
+        setOverride: setOverride,
+        setBase: setBase,
+        getBase: () => base,
+        getSystem: () => system,
+        getIncrement: () => increment,
+        getOverride: () => override,
+        isJogging: () => !!jog
+    };
+})();
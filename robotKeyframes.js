@@ -0,0 +1,561 @@
+/**
+ * Robot Keyframes Module
+ * Keyframe editor driving the AnimationTimer and A1_Interp..A6_Interp nodes of the scene
+ *
+ * A keyframe is the set of slider angles at a time (s from the start). The editor
+ * captures, reorders, retimes and deletes keyframes, writes them as key/keyValue of the
+ * OrientationInterpolators at runtime and runs the AnimationTimer for the preview; the
+ * sliders follow the timer so kinematics, collision checks and MQTT see the motion.
+ * The sequence can be exported as WRL timer, interpolators and ROUTEs.
+ */
+
+const RobotKeyframes = (function() {
+    const timerName = 'AnimationTimer';
+    const interpolatorSuffix = '_Interp';
+    const defaultSpacing = 2;         // s between a captured keyframe and the previous one
+    const maxSlerpStep = 170;         // degrees; OrientationInterpolator turns the short way, longer steps are split
+
+    let keyframes = [];               // [{ time, angles }] sorted by time
+    let previewing = false;
+    let animationId = null;
+    let loop = false;
+    let duration = 0;                 // s, of the running preview
+
+    /**
+     * Initialize the keyframe editor controls
+     */
+    function init() {
+        setupUI();
+        updateList();
+        console.log('Robot Keyframes Module initialized');
+    }
+
+    function setupUI() {
+        const captureBtn = document.getElementById('captureKeyframe');
+        if (!captureBtn) return;
+
+        captureBtn.addEventListener('click', () => {
+            const result = capture(parseFloat(document.getElementById('keyframeTime').value));
+            if (!result.ok) RobotKinematics.setStatus('Keyframe not captured: ' + result.error, true);
+        });
+        document.getElementById('loadSceneKeyframes').addEventListener('click', () => {
+            const result = loadFromScene();
+            if (result.ok) {
+                RobotKinematics.setStatus(`${result.keyframes} keyframes read from the scene interpolators` +
+                    (result.clamped > 0 ? `, ${result.clamped} angles clamped to the joint limits` : ''), result.clamped > 0);
+            } else {
+                RobotKinematics.setStatus('Scene keyframes not read: ' + result.error, true);
+            }
+        });
+        document.getElementById('clearKeyframes').addEventListener('click', () => {
+            stopPreview();
+            keyframes = [];
+            updateList();
+        });
+        document.getElementById('previewKeyframes').addEventListener('click', preview);
+        document.getElementById('stopKeyframes').addEventListener('click', stop);
+        document.getElementById('loopKeyframes').addEventListener('change', (event) => { loop = event.target.checked; });
+        document.getElementById('exportKeyframesWRL').addEventListener('click', () => {
+            const text = exportWRL();
+            if (!text) {
+                RobotKinematics.setStatus('Export needs at least two keyframes', true);
+                return;
+            }
+            const blob = new Blob([text], { type: 'model/vrml' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = 'keyframes.wrl';
+            a.click();
+        });
+    }
+
+    // ========================================================================
+    // Editing
+    // ========================================================================
+
+    function currentAngles() {
+        const angles = {};
+        SliderControlledX3DElement.forEachInstance(instance => {
+            if (instance.slider) angles[instance.nodeName] = parseFloat(instance.slider.value);
+        });
+        return angles;
+    }
+
+    function sortKeyframes() {
+        keyframes.sort((a, b) => a.time - b.time);
+    }
+
+    function isTime(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    /**
+     * Add the current joint set as a keyframe
+     * @param {number} time - s from the start; defaults to 2 s after the last keyframe
+     * @returns {Object} { ok: true, index } or { ok: false, error }
+     */
+    function capture(time) {
+        if (time === undefined || isNaN(time)) time = nextTime();
+        if (!isTime(time)) return { ok: false, error: 'time must be 0 s or later' };
+
+        const keyframe = { time: Math.round(time * 100) / 100, angles: currentAngles() };
+        keyframes.push(keyframe);
+        sortKeyframes();
+        updateList();
+        return { ok: true, index: keyframes.indexOf(keyframe) };
+    }
+
+    function nextTime() {
+        return keyframes.length > 0 ? keyframes[keyframes.length - 1].time + defaultSpacing : 0;
+    }
+
+    /**
+     * Replace the angles of a keyframe with the current joint set
+     */
+    function update(index) {
+        if (!keyframes[index]) return false;
+        keyframes[index].angles = currentAngles();
+        updateList();
+        return true;
+    }
+
+    /**
+     * Change the time of a keyframe, the keyframes are kept in time order
+     * @returns {boolean} True if the time was accepted
+     */
+    function retime(index, time) {
+        if (!keyframes[index] || !isTime(time)) return false;
+        keyframes[index].time = Math.round(time * 100) / 100;
+        sortKeyframes();
+        updateList();
+        return true;
+    }
+
+    /**
+     * Move a keyframe earlier or later in the sequence; the times stay where they are
+     * and the poses swap places
+     * @param {number} index - Keyframe to move
+     * @param {number} direction - -1 (earlier) or 1 (later)
+     */
+    function move(index, direction) {
+        const other = index + direction;
+        if (!keyframes[index] || !keyframes[other]) return false;
+        const angles = keyframes[index].angles;
+        keyframes[index].angles = keyframes[other].angles;
+        keyframes[other].angles = angles;
+        updateList();
+        return true;
+    }
+
+    function remove(index) {
+        if (!keyframes[index]) return false;
+        keyframes.splice(index, 1);
+        updateList();
+        return true;
+    }
+
+    /**
+     * Read the sequence currently held by the scene interpolators into the editor
+     * Every key of any interpolator becomes a keyframe; angles outside the slider
+     * limits are clamped.
+     * @returns {Object} { ok: true, keyframes, clamped } or { ok: false, error }
+     */
+    function loadFromScene() {
+        const nodes = getNodes();
+        if (!nodes) return { ok: false, error: 'the scene has no AnimationTimer with A1_Interp..A6_Interp' };
+
+        const cycleInterval = nodes.timer.cycleInterval;
+        const tracks = {};
+        const fractions = new Set();
+        SliderControlledX3DElement.forEachInstance(instance => {
+            const interpolator = nodes.interpolators[instance.nodeName];
+            if (!interpolator) return;
+            const axis = instance.rotationAxis;
+            const track = [];
+            for (let i = 0; i < interpolator.key.length && i < interpolator.keyValue.length; i++) {
+                const value = interpolator.keyValue[i];
+                // The value axis may point against the joint axis
+                const sign = value.x * axis[0] + value.y * axis[1] + value.z * axis[2] < 0 ? -1 : 1;
+                track.push({ time: interpolator.key[i] * cycleInterval, angle: sign * value.angle * 180 / Math.PI + instance.homeOffset });
+                fractions.add(interpolator.key[i]);
+            }
+            if (track.length > 0) tracks[instance.nodeName] = track;
+        });
+        if (fractions.size < 2) return { ok: false, error: 'the interpolators hold less than two keys' };
+
+        stopPreview();
+        let clamped = 0;
+        keyframes = Array.from(fractions).sort((a, b) => a - b).map(fraction => {
+            const time = fraction * cycleInterval;
+            const angles = {};
+            SliderControlledX3DElement.forEachInstance(instance => {
+                const track = tracks[instance.nodeName];
+                if (!instance.slider || !track) return;
+                const angle = Math.round(angleAt(track, time) * 10) / 10;
+                const min = parseFloat(instance.slider.min);
+                const max = parseFloat(instance.slider.max);
+                if (angle < min || angle > max) clamped++;
+                angles[instance.nodeName] = Math.max(min, Math.min(max, angle));
+            });
+            return { time: Math.round(time * 100) / 100, angles: angles };
+        });
+        updateList();
+        return { ok: true, keyframes: keyframes.length, clamped: clamped };
+    }
+
+    // ========================================================================
+    // Interpolation
+    // ========================================================================
+
+    /**
+     * Angle of a track [{ time, angle }] at a time, linear between the points and held
+     * before the first and after the last one
+     */
+    function angleAt(track, time) {
+        if (time <= track[0].time) return track[0].angle;
+        for (let i = 1; i < track.length; i++) {
+            if (time <= track[i].time) {
+                const from = track[i - 1];
+                const to = track[i];
+                const span = to.time - from.time;
+                return span > 0 ? from.angle + (to.angle - from.angle) * (time - from.time) / span : to.angle;
+            }
+        }
+        return track[track.length - 1].angle;
+    }
+
+    /**
+     * Slider angles of the sequence at a time
+     * @param {number} time - s from the start
+     * @returns {Object} Angles in degrees keyed by joint name
+     */
+    function poseAt(time) {
+        const pose = {};
+        if (keyframes.length === 0) return pose;
+        Object.keys(keyframes[0].angles).forEach(name => {
+            pose[name] = angleAt(keyframes.map(keyframe => ({ time: keyframe.time, angle: keyframe.angles[name] })), time);
+        });
+        return pose;
+    }
+
+    /**
+     * Interpolator data for the keyframes
+     * Keys are fractions of the last keyframe time; steps of more than 170° are split
+     * since an OrientationInterpolator would turn the other way round.
+     * @returns {Object|null} { duration, joints: { A1: { axis, key, keyValue, comments } } },
+     *          null with less than two keyframes or no time between them
+     */
+    function buildInterpolators() {
+        if (keyframes.length < 2) return null;
+        const total = keyframes[keyframes.length - 1].time;
+        if (total <= 0) return null;
+
+        const joints = {};
+        SliderControlledX3DElement.forEachInstance(instance => {
+            const name = instance.nodeName;
+            if (keyframes.some(keyframe => keyframe.angles[name] === undefined)) return;
+
+            const data = { axis: instance.rotationAxis.slice(), key: [], keyValue: [], comments: [] };
+            const add = (time, angle, comment) => {
+                data.key.push(time / total);
+                data.keyValue.push((angle - instance.homeOffset) * Math.PI / 180);
+                data.comments.push(comment);
+            };
+            keyframes.forEach((keyframe, i) => {
+                const angle = keyframe.angles[name];
+                if (i > 0) {
+                    const previous = keyframes[i - 1];
+                    const steps = Math.ceil(Math.abs(angle - previous.angles[name]) / maxSlerpStep);
+                    for (let step = 1; step < steps; step++) {
+                        add(previous.time + (keyframe.time - previous.time) * step / steps,
+                            previous.angles[name] + (angle - previous.angles[name]) * step / steps,
+                            `Between keyframes ${i} and ${i + 1}`);
+                    }
+                }
+                add(keyframe.time, angle, `Keyframe ${i + 1} (${keyframe.time.toFixed(2)} s, ${Math.round(angle * 10) / 10}°)`);
+            });
+            joints[name] = data;
+        });
+        return { duration: total, joints: joints };
+    }
+
+    /**
+     * Keyframe steps faster than the axis speed limits of RobotKinematics
+     * @returns {Array<string>} One entry per joint and step
+     */
+    function checkSpeeds() {
+        const maxSpeed = typeof RobotKinematics !== 'undefined' ? RobotKinematics.getAxisMaxSpeed() : {};
+        const warnings = [];
+        for (let i = 1; i < keyframes.length; i++) {
+            const span = keyframes[i].time - keyframes[i - 1].time;
+            Object.keys(keyframes[i].angles).forEach(name => {
+                const step = Math.abs(keyframes[i].angles[name] - keyframes[i - 1].angles[name]);
+                if (step < 1e-6 || !maxSpeed[name]) return;
+                if (span <= 0 || step / span > maxSpeed[name]) {
+                    warnings.push(`${name} faster than ${maxSpeed[name]}°/s between keyframes ${i} and ${i + 1}`);
+                }
+            });
+        }
+        return warnings;
+    }
+
+    // ========================================================================
+    // Scene and Preview
+    // ========================================================================
+
+    /**
+     * The AnimationTimer and the interpolator of each slider joint
+     * @returns {Object|null} { browser, timer, interpolators }, null if the scene lacks them
+     */
+    function getNodes() {
+        const browser = X3D.getBrowser('.X3D');
+        const scene = browser ? browser.currentScene : null;
+        if (!scene) return null;
+
+        const named = (name) => {
+            try {
+                return scene.getNamedNode(name);
+            } catch (error) {
+                return null;
+            }
+        };
+        const timer = named(timerName);
+        if (!timer) return null;
+
+        const interpolators = {};
+        SliderControlledX3DElement.forEachInstance(instance => {
+            const interpolator = named(instance.nodeName + interpolatorSuffix);
+            if (interpolator) interpolators[instance.nodeName] = interpolator;
+        });
+        return Object.keys(interpolators).length > 0 ? { browser: browser, timer: timer, interpolators: interpolators } : null;
+    }
+
+    /**
+     * Move to the first keyframe, then run the sequence with the AnimationTimer
+     */
+    function preview() {
+        const data = buildInterpolators();
+        if (!data) {
+            RobotKinematics.setStatus('Preview needs at least two keyframes at different times', true);
+            return;
+        }
+        const nodes = getNodes();
+        if (!nodes) {
+            RobotKinematics.setStatus('The scene has no AnimationTimer with A1_Interp..A6_Interp', true);
+            return;
+        }
+        const missing = Object.keys(data.joints).filter(name => !nodes.interpolators[name]);
+        if (missing.length > 0) {
+            RobotKinematics.setStatus('No interpolator in the scene for ' + missing.join(', '), true);
+            return;
+        }
+
+        // Check the whole sequence before anything moves
+        const samples = keyframes.map(keyframe => ({ time: keyframe.time * 1000, angles: keyframe.angles }));
+        if (typeof RobotCollision !== 'undefined' && !RobotCollision.guardTrajectory(samples)) return;
+
+        stopPreview();
+        SliderControlledX3DElement.loadAllAngles(keyframes[0].angles, true, 1000).then(reached => {
+            if (reached) startTimer(nodes, data);
+        });
+    }
+
+    function startTimer(nodes, data) {
+        Object.keys(data.joints).forEach(name => {
+            const joint = data.joints[name];
+            const interpolator = nodes.interpolators[name];
+            interpolator.key = new X3D.MFFloat(...joint.key);
+            interpolator.keyValue = new X3D.MFRotation(...joint.keyValue.map(angle => new X3D.SFRotation(...joint.axis, angle)));
+        });
+
+        // Take over the sliders: a load, trajectory or collision stop ends the preview
+        SliderControlledX3DElement.stopAnimation();
+        animationId = SliderControlledX3DElement.animationCounter;
+        duration = data.duration;
+        previewing = true;
+
+        const timer = nodes.timer;
+        timer.getField('fraction_changed').addFieldCallback('keyframes', onFraction);
+        timer.getField('isActive').addFieldCallback('keyframes', (active) => { if (!active) stopPreview(); });
+        timer.cycleInterval = data.duration;
+        timer.loop = loop;
+        timer.enabled = true;
+        timer.startTime = nodes.browser.currentTime;
+
+        const warnings = checkSpeeds();
+        if (warnings.length > 0) {
+            console.warn('Keyframe preview exceeds the axis speeds:\n  ' + warnings.join('\n  '));
+            RobotKinematics.setStatus(`Preview running - ${warnings[0]}` + (warnings.length > 1 ? ` (+${warnings.length - 1} more, see console)` : ''), true);
+        } else {
+            RobotKinematics.setStatus(`Preview running (${keyframes.length} keyframes, ${data.duration.toFixed(2)} s)`);
+        }
+        updateList();
+    }
+
+    /**
+     * Follow the timer with the sliders; the interpolators already rotate the joints
+     */
+    function onFraction(fraction) {
+        if (!previewing) return;
+        if (animationId !== SliderControlledX3DElement.animationCounter) {
+            stopPreview();
+            return;
+        }
+
+        SliderControlledX3DElement.applyAngles(poseAt(fraction * duration));
+    }
+
+    /**
+     * Stop the preview, including the move to the first keyframe
+     */
+    function stop() {
+        SliderControlledX3DElement.stopAnimation();
+        stopPreview();
+    }
+
+    /**
+     * Stop the AnimationTimer where it is
+     */
+    function stopPreview() {
+        if (!previewing) return;
+        previewing = false;
+
+        const nodes = getNodes();
+        if (nodes) {
+            nodes.timer.getField('fraction_changed').removeFieldCallback('keyframes');
+            nodes.timer.getField('isActive').removeFieldCallback('keyframes');
+            nodes.timer.enabled = false;
+        }
+        updateList();
+    }
+
+    // ========================================================================
+    // WRL Export
+    // ========================================================================
+
+    function number(value, decimals) {
+        return String(parseFloat(value.toFixed(decimals)));
+    }
+
+    /**
+     * The sequence as WRL: AnimationTimer, one OrientationInterpolator per joint and the ROUTEs
+     * @returns {string|null} WRL text to replace the nodes in the scene file, null with less
+     *          than two keyframes
+     */
+    function exportWRL() {
+        const data = buildInterpolators();
+        if (!data) return null;
+
+        const names = Object.keys(data.joints);
+        const lines = [
+            `# Keyframe animation, ${keyframes.length} keyframes, ${number(data.duration, 2)} s (exported ${new Date().toISOString()})`,
+            '# Replace the AnimationTimer and A*_Interp nodes of the scene with the nodes below;',
+            '# the ROUTEs are the Animation Routes at the end of the file.',
+            '',
+            '    # Animation Timer (disabled, started by the keyframe editor)',
+            `    DEF ${timerName} TimeSensor {`,
+            `      cycleInterval ${number(data.duration, 3)}`,
+            `      loop ${loop ? 'TRUE' : 'FALSE'}`,
+            '      enabled FALSE',
+            '    }'
+        ];
+
+        names.forEach(name => {
+            const joint = data.joints[name];
+            const spec = typeof RobotDescription !== 'undefined' ? RobotDescription.getJoint(name) : undefined;
+            const axis = joint.axis.map(v => number(v, 6)).join(' ');
+            const values = joint.keyValue.map(angle => `${axis} ${number(angle, 4)}`);
+            const width = Math.max(...values.map(value => value.length)) + 1;
+
+            lines.push('', `    # ${name}${spec && spec.description ? ` (${spec.description})` : ''}`);
+            lines.push(`    DEF ${name}${interpolatorSuffix} OrientationInterpolator {`);
+            lines.push(`      key [ ${joint.key.map(key => number(key, 4)).join(', ')} ]`);
+            lines.push('      keyValue [');
+            values.forEach((value, i) => {
+                const separator = i < values.length - 1 ? ',' : ' ';
+                lines.push(`        ${(value + separator).padEnd(width)}    # ${joint.comments[i]}`);
+            });
+            lines.push('      ]', '    }');
+        });
+
+        lines.push('', '# Animation Routes');
+        names.forEach(name => lines.push(`ROUTE ${timerName}.fraction_changed TO ${name}${interpolatorSuffix}.set_fraction`));
+        lines.push('');
+        names.forEach(name => lines.push(`ROUTE ${name}${interpolatorSuffix}.value_changed TO ${name}.set_rotation`));
+        return lines.join('\n') + '\n';
+    }
+
+    // ========================================================================
+    // UI
+    // ========================================================================
+
+    function updateList() {
+        const list = document.getElementById('keyframeList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        keyframes.forEach((keyframe, index) => {
+            const item = document.createElement('div');
+            item.className = 'keyframe-item';
+
+            const label = document.createElement('span');
+            label.textContent = `#${index + 1}`;
+            item.appendChild(label);
+
+            const timeInput = document.createElement('input');
+            timeInput.type = 'number';
+            timeInput.min = '0';
+            timeInput.step = '0.1';
+            timeInput.value = keyframe.time;
+            timeInput.title = 'Time (s)';
+            timeInput.addEventListener('change', () => {
+                if (!retime(index, parseFloat(timeInput.value))) timeInput.value = keyframe.time;
+            });
+            item.appendChild(timeInput);
+
+            [['↑', 'Earlier', () => move(index, -1)],
+             ['↓', 'Later', () => move(index, 1)],
+             ['Go', 'Move the robot to this keyframe', () => SliderControlledX3DElement.loadAllAngles(keyframe.angles, true, 1000)],
+             ['Set', 'Replace with the current joint angles', () => update(index)],
+             ['✕', 'Delete', () => remove(index)]].forEach(([text, title, action]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = text;
+                button.title = title;
+                button.disabled = previewing;
+                button.addEventListener('click', action);
+                item.appendChild(button);
+            });
+
+            const angles = document.createElement('div');
+            angles.className = 'keyframe-angles';
+            angles.textContent = Object.keys(keyframe.angles)
+                .map(name => `${name}=${Math.round(keyframe.angles[name] * 10) / 10}°`).join(' ');
+            item.appendChild(angles);
+            list.appendChild(item);
+        });
+
+        const timeInput = document.getElementById('keyframeTime');
+        if (timeInput) timeInput.value = nextTime();
+        const previewBtn = document.getElementById('previewKeyframes');
+        if (previewBtn) previewBtn.disabled = previewing || keyframes.length < 2;
+    }
+
+    // Public API
+    return {
+        init: init,
+        capture: capture,
+        update: update,
+        retime: retime,
+        move: move,
+        remove: remove,
+        loadFromScene: loadFromScene,
+        poseAt: poseAt,
+        buildInterpolators: buildInterpolators,
+        preview: preview,
+        stop: stop,
+        exportWRL: exportWRL,
+        getKeyframes: () => keyframes,
+        isPreviewing: () => previewing
+    };
+})();
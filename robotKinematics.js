@@ -0,0 +1,641 @@
+/**
+ * Robot Kinematics Module
+ * Forward and inverse kinematics for the KUKA KR4 R600 joint chain of robot-description.json
+ *
+ * All positions are in millimetres relative to the robot root Transform
+ * (the base mounting point), orientations use the KUKA A/B/C convention
+ * (rotation about Z, then Y, then X) in degrees. The TCP is the origin of the
+ * active tool frame ($TOOL, set by robotFrames.js) in the A6 flange frame.
+ */
+
+const RobotKinematics = (function() {
+    // Joint chain, set by configure() from robot-description.json
+    // Each RobotJoint translates in its parent frame, then rotates about its axis by the
+    // joint angle minus its homeOffset (the slider angle at which the scene rotation is 0)
+    let jointChain = [];
+
+    // Gripper TCP in the A6 frame (Gripper Cam viewpoint between the jaws)
+    let tcpOffset = [0, 0, 0];
+
+    // Active tool frame in the A6 frame, the gripper TCP until setTool() is called
+    let tool = { position: [0, 0, 0], rotation: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] };
+
+    // Derived arm geometry for the analytic IK (all link offsets lie in the XZ plane)
+    let shoulderHeight = 0;
+    let upperArmLength = 0;
+    let forearmLength = 0;
+    let forearmAngle = 0;
+    let wristToFlange = 0;
+
+    // Maximum axis speeds from the KR4 R600 datasheet (degrees/second)
+    let axisMaxSpeed = {};
+
+    // Tolerances for the IK solver
+    const positionTolerance = 0.01;   // mm
+    const singularityTolerance = 1e-6; // sin(A5) below which the wrist is singular
+    const wristSingularityAngle = 1;   // |A5| in degrees rejected for orientation targets
+
+    let updatePending = false;
+    let lastPose = null;
+
+    /**
+     * Take the joint chain, TCP and axis speeds from the robot description
+     * @param {Object} description - Validated robot-description.json (see RobotDescription)
+     */
+    function configure(description) {
+        jointChain = description.joints.map(joint => ({
+            name: joint.name,
+            translation: joint.translation.slice(),
+            axis: joint.axis.slice(),
+            homeOffset: joint.homeOffset
+        }));
+        tcpOffset = description.tcpOffset.slice();
+        tool = { position: tcpOffset.slice(), rotation: [[1, 0, 0], [0, 1, 0], [0, 0, 1]] };
+        axisMaxSpeed = {};
+        description.joints.forEach(joint => { axisMaxSpeed[joint.name] = joint.maxSpeed; });
+
+        shoulderHeight = jointChain[0].translation[2] + jointChain[1].translation[2];
+        upperArmLength = jointChain[2].translation[2];
+        const forearm = [
+            jointChain[3].translation[0] + jointChain[4].translation[0],
+            jointChain[3].translation[2] + jointChain[4].translation[2]
+        ];
+        forearmLength = Math.hypot(forearm[0], forearm[1]);
+        forearmAngle = Math.atan2(forearm[0], forearm[1]);
+        wristToFlange = jointChain[5].translation[0];
+    }
+
+    /**
+     * Set the active tool frame, all TCP poses and targets refer to it
+     * @param {Object} frame - { position: [x, y, z], rotation: 3x3 matrix } in the A6 flange frame
+     */
+    function setTool(frame) {
+        tool = { position: frame.position.slice(), rotation: frame.rotation.map(row => row.slice()) };
+        updateDisplay();
+    }
+
+    /**
+     * Initialize the kinematics module and hook it to joint angle changes
+     */
+    function init() {
+        if (typeof SliderControlledX3DElement === 'undefined') {
+            console.error('SliderControlledX3DElement not loaded - kinematics disabled');
+            return;
+        }
+
+        SliderControlledX3DElement.addAngleChangeListener(scheduleUpdate);
+        setupUI();
+        updateDisplay();
+        console.log('Robot Kinematics Module initialized');
+    }
+
+    /**
+     * Setup the "Move To" footer controls
+     */
+    function setupUI() {
+        const moveBtn = document.getElementById('moveToPose');
+        if (!moveBtn) return;
+
+        // Start the inputs at the current TCP so "Go" is a no-op until edited
+        const pose = getTcpPose();
+        document.getElementById('X').value = pose.x;
+        document.getElementById('Y').value = pose.y;
+        document.getElementById('Z').value = pose.z;
+
+        const orientationSelect = document.getElementById('orientation');
+        const fillOrientation = () => {
+            const current = forwardKinematics(getJointAngles());
+            matrixToOrientation(orientationSelect.value, current.rotation).forEach((value, i) => {
+                document.getElementById('O' + (i + 1)).value = round(value);
+            });
+        };
+        fillOrientation();
+        orientationSelect.addEventListener('change', fillOrientation);
+
+        document.getElementById('setOrientation').addEventListener('click', () => {
+            const convention = orientationSelect.value;
+            const values = [1, 2, 3].map(i => parseFloat(document.getElementById('O' + i).value));
+
+            if (values.some(isNaN)) {
+                setStatus('Set Orientation: O1, O2 and O3 must be numbers', true);
+                return;
+            }
+
+            const result = setOrientation(convention, ...values);
+            if (!result.ok) {
+                setStatus('Set Orientation rejected: ' + result.error, true);
+                return;
+            }
+            setStatus(`Reorienting tool (${convention} ${values.join(', ')})`);
+            result.completion.then(reached => {
+                if (!reached) setStatus('Set Orientation stopped: ' + stopReason(), true);
+            });
+        });
+
+        moveBtn.addEventListener('click', () => {
+            const x = parseFloat(document.getElementById('X').value);
+            const y = parseFloat(document.getElementById('Y').value);
+            const z = parseFloat(document.getElementById('Z').value);
+
+            if ([x, y, z].some(isNaN)) {
+                setStatus('Move To: X, Y and Z must be numbers', true);
+                return;
+            }
+
+            const result = moveTo(x, y, z);
+            if (!result.ok) {
+                setStatus('Move To rejected: ' + result.error, true);
+                return;
+            }
+            setStatus(`Moving to X=${x.toFixed(3)}, Y=${y.toFixed(3)}, Z=${z.toFixed(3)}`);
+            result.completion.then(reached => {
+                if (!reached) setStatus('Move To stopped: ' + stopReason(), true);
+            });
+        });
+    }
+
+    /**
+     * Why a move did not reach its target: blocked by a collision or stopped by another motion
+     */
+    function stopReason() {
+        const blocked = typeof RobotCollision !== 'undefined' ? RobotCollision.getLastBlocked() : null;
+        return blocked || 'interrupted by another motion';
+    }
+
+    /**
+     * Show a message in the controls status line
+     */
+    function setStatus(message, isError = false) {
+        const statusEl = document.getElementById('status');
+        if (!statusEl) return;
+        statusEl.textContent = 'Status: ' + message;
+        statusEl.classList.toggle('error', isError);
+    }
+
+    // ========================================================================
+    // Vector and Matrix Helpers
+    // ========================================================================
+
+    function degToRad(deg) {
+        return deg * Math.PI / 180;
+    }
+
+    function radToDeg(rad) {
+        return rad * 180 / Math.PI;
+    }
+
+    /**
+     * Build a 3x3 rotation matrix for a rotation about a unit axis
+     */
+    function rotationMatrix(axis, angle) {
+        const [x, y, z] = axis;
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const t = 1 - c;
+
+        return [
+            [t * x * x + c,     t * x * y - s * z, t * x * z + s * y],
+            [t * x * y + s * z, t * y * y + c,     t * y * z - s * x],
+            [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+        ];
+    }
+
+    function multiplyMatrices(a, b) {
+        const result = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                result[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+            }
+        }
+        return result;
+    }
+
+    function transformVector(m, v) {
+        return [
+            m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+            m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+            m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+        ];
+    }
+
+    function addVectors(a, b) {
+        return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+    }
+
+    function subtractVectors(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    function transposeMatrix(m) {
+        return [
+            [m[0][0], m[1][0], m[2][0]],
+            [m[0][1], m[1][1], m[2][1]],
+            [m[0][2], m[1][2], m[2][2]]
+        ];
+    }
+
+    /**
+     * Convert a rotation matrix to KUKA A/B/C angles (Z-Y-X, degrees)
+     */
+    function matrixToABC(m) {
+        const b = Math.atan2(-m[2][0], Math.sqrt(m[0][0] * m[0][0] + m[1][0] * m[1][0]));
+        let a, c;
+
+        if (Math.abs(Math.cos(b)) < 1e-9) {
+            // Gimbal lock: A and C rotate about the same axis, report it all in A
+            a = Math.atan2(-m[0][1], m[1][1]);
+            c = 0;
+        } else {
+            a = Math.atan2(m[1][0], m[0][0]);
+            c = Math.atan2(m[2][1], m[2][2]);
+        }
+
+        return { a: radToDeg(a), b: radToDeg(b), c: radToDeg(c) };
+    }
+
+    /**
+     * Convert an orientation target to a rotation matrix
+     * RPY: roll O1 about X, pitch O2 about Y, yaw O3 about Z, all about the fixed base axes
+     * XYZ: Euler angles about the moving X, then Y', then Z'' axes
+     * @param {string} convention - 'RPY' or 'XYZ'
+     * @returns {Array} 3x3 rotation matrix
+     */
+    function orientationToMatrix(convention, o1, o2, o3) {
+        const rx = rotationMatrix([1, 0, 0], degToRad(o1));
+        const ry = rotationMatrix([0, 1, 0], degToRad(o2));
+        const rz = rotationMatrix([0, 0, 1], degToRad(o3));
+
+        if (convention === 'XYZ') {
+            return multiplyMatrices(multiplyMatrices(rx, ry), rz);
+        }
+        return multiplyMatrices(multiplyMatrices(rz, ry), rx);
+    }
+
+    /**
+     * Convert a rotation matrix to orientation angles (degrees) in the given convention
+     * @param {string} convention - 'RPY' or 'XYZ'
+     * @returns {Array} [o1, o2, o3]
+     */
+    function matrixToOrientation(convention, m) {
+        if (convention === 'XYZ') {
+            const o2 = Math.asin(Math.max(-1, Math.min(1, m[0][2])));
+            if (Math.abs(Math.cos(o2)) < 1e-9) {
+                return [radToDeg(Math.atan2(m[2][1], m[1][1])), radToDeg(o2), 0];
+            }
+            return [radToDeg(Math.atan2(-m[1][2], m[2][2])), radToDeg(o2), radToDeg(Math.atan2(-m[0][1], m[0][0]))];
+        }
+
+        const abc = matrixToABC(m);
+        return [abc.c, abc.b, abc.a];
+    }
+
+    /**
+     * Convert KUKA A/B/C angles (degrees) to a rotation matrix
+     */
+    function abcToMatrix(a, b, c) {
+        return multiplyMatrices(
+            multiplyMatrices(rotationMatrix([0, 0, 1], degToRad(a)), rotationMatrix([0, 1, 0], degToRad(b))),
+            rotationMatrix([1, 0, 0], degToRad(c))
+        );
+    }
+
+    // ========================================================================
+    // Forward Kinematics
+    // ========================================================================
+
+    /**
+     * Compute the pose of every joint frame and the TCP of the active tool
+     * @param {Object} angles - Joint (slider) angles in degrees keyed by axis name (missing axes are 0)
+     * @returns {Object} { position, rotation, a, b, c, frames } with frames[i] = { name, position, rotation },
+     *          the last frame is the A6 flange
+     */
+    function forwardKinematics(angles) {
+        let position = [0, 0, 0];
+        let rotation = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+        const frames = [];
+
+        jointChain.forEach(joint => {
+            const angle = degToRad((parseFloat(angles[joint.name]) || 0) - joint.homeOffset);
+            position = addVectors(position, transformVector(rotation, joint.translation));
+            rotation = multiplyMatrices(rotation, rotationMatrix(joint.axis, angle));
+            frames.push({ name: joint.name, position: position, rotation: rotation });
+        });
+
+        const tcpPosition = addVectors(position, transformVector(rotation, tool.position));
+        const tcpRotation = multiplyMatrices(rotation, tool.rotation);
+        const abc = matrixToABC(tcpRotation);
+
+        return {
+            position: tcpPosition,
+            rotation: tcpRotation,
+            a: abc.a,
+            b: abc.b,
+            c: abc.c,
+            frames: frames
+        };
+    }
+
+    /**
+     * Read the current joint angles from the slider instances
+     * @returns {Object} Joint angles in degrees keyed by axis name
+     */
+    function getJointAngles() {
+        const angles = {};
+        jointChain.forEach(joint => {
+            const instance = SliderControlledX3DElement.findByNodeName(joint.name);
+            angles[joint.name] = instance && instance.slider ? parseFloat(instance.slider.value) : 0;
+        });
+        return angles;
+    }
+
+    /**
+     * Get the current TCP pose
+     * @returns {Object} { x, y, z, a, b, c } in mm and degrees
+     */
+    function getTcpPose() {
+        const fk = forwardKinematics(getJointAngles());
+        return {
+            x: round(fk.position[0]),
+            y: round(fk.position[1]),
+            z: round(fk.position[2]),
+            a: round(fk.a),
+            b: round(fk.b),
+            c: round(fk.c)
+        };
+    }
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // ========================================================================
+    // Inverse Kinematics
+    // ========================================================================
+
+    /**
+     * Read the joint limits from the slider instances
+     * @returns {Object} { A1: { min, max }, ... } in degrees
+     */
+    function getJointLimits() {
+        const limits = {};
+        jointChain.forEach(joint => {
+            const instance = SliderControlledX3DElement.findByNodeName(joint.name);
+            limits[joint.name] = instance && instance.slider
+                ? { min: parseFloat(instance.slider.min), max: parseFloat(instance.slider.max) }
+                : { min: -180, max: 180 };
+        });
+        return limits;
+    }
+
+    /**
+     * Pick the 360° multiple of an angle that lies within limits and is closest to a reference
+     * Falls back to the (-180, 180] representative when no multiple fits the limits
+     */
+    function wrapAngle(angle, limit, reference) {
+        let best = null;
+        for (let k = -2; k <= 2; k++) {
+            const candidate = angle + k * 360;
+            if (candidate < limit.min - 1e-9 || candidate > limit.max + 1e-9) continue;
+            if (best === null || Math.abs(candidate - reference) < Math.abs(best - reference)) {
+                best = candidate;
+            }
+        }
+        if (best !== null) return best;
+
+        let normalized = angle % 360;
+        if (normalized > 180) normalized -= 360;
+        if (normalized <= -180) normalized += 360;
+        return normalized;
+    }
+
+    /**
+     * Solve the spherical wrist (A4 about X, A5 about Y, A6 about X) for a wrist rotation matrix
+     * @returns {Array} Up to two { q4, q5, q6 } solutions in radians
+     */
+    function solveWrist(m, seedA4) {
+        const sinB = Math.sqrt(m[1][0] * m[1][0] + m[2][0] * m[2][0]);
+        const b = Math.atan2(sinB, m[0][0]);
+
+        if (sinB < singularityTolerance) {
+            // A4 and A6 are collinear: keep A4 where it is and put the rest into A6
+            const q4 = seedA4;
+            const sum = Math.atan2(m[2][1], m[1][1]);
+            const q6 = m[0][0] > 0 ? sum - q4 : q4 - sum;
+            return [{ q4: q4, q5: b, q6: q6 }];
+        }
+
+        return [
+            { q4: Math.atan2(m[1][0], -m[2][0]), q5: b, q6: Math.atan2(m[0][1], m[0][2]) },
+            { q4: Math.atan2(-m[1][0], m[2][0]), q5: -b, q6: Math.atan2(-m[0][1], -m[0][2]) }
+        ];
+    }
+
+    /**
+     * Solve the inverse kinematics for a TCP target
+     * @param {Object} target - { position: [x, y, z], rotation: 3x3 matrix } in the robot base frame
+     * @param {Object} options - { seed, limits, rejectWristSingularity }
+     * @returns {Object} { ok: true, angles } or { ok: false, error }
+     */
+    function solveInverseKinematics(target, options = {}) {
+        const seed = options.seed || getJointAngles();
+        const limits = options.limits || getJointLimits();
+        // Flange pose from the TCP target, then the wrist center behind it on the flange X axis
+        const rotation = multiplyMatrices(target.rotation, transposeMatrix(tool.rotation));
+        const flange = subtractVectors(target.position, transformVector(rotation, tool.position));
+        const wristCenter = subtractVectors(flange, transformVector(rotation, [wristToFlange, 0, 0]));
+        const [wx, wy, wz] = wristCenter;
+
+        // A1 is undefined when the wrist center sits on the base axis; keep the current value
+        const baseAngle = Math.hypot(wx, wy) < 1e-6 ? degToRad(seed.A1 - jointChain[0].homeOffset) : Math.atan2(wy, wx);
+        const candidates = [];
+
+        [baseAngle, baseAngle + Math.PI].forEach(q1 => {
+            // Wrist center in the shoulder plane: r along the arm, h above the shoulder
+            const r = wx * Math.cos(q1) + wy * Math.sin(q1);
+            const h = wz - shoulderHeight;
+            const cosElbow = (r * r + h * h - upperArmLength * upperArmLength - forearmLength * forearmLength) /
+                (2 * upperArmLength * forearmLength);
+            if (Math.abs(cosElbow) > 1) return;
+
+            [1, -1].forEach(elbowSign => {
+                const elbow = elbowSign * Math.acos(cosElbow);
+                const q3 = elbow - forearmAngle;
+                const q2 = Math.atan2(r, h) - Math.atan2(forearmLength * Math.sin(elbow),
+                    upperArmLength + forearmLength * Math.cos(elbow));
+
+                const armRotation = multiplyMatrices(rotationMatrix([0, 0, 1], q1), rotationMatrix([0, 1, 0], q2 + q3));
+                const wristRotation = multiplyMatrices(transposeMatrix(armRotation), rotation);
+
+                solveWrist(wristRotation, degToRad(seed.A4 - jointChain[3].homeOffset)).forEach(wrist => {
+                    // Scene rotations back to slider angles
+                    const raw = [q1, q2, q3, wrist.q4, wrist.q5, wrist.q6].map((q, i) => radToDeg(q) + jointChain[i].homeOffset);
+                    const angles = {};
+                    jointChain.forEach((joint, i) => {
+                        angles[joint.name] = wrapAngle(raw[i], limits[joint.name], seed[joint.name]);
+                    });
+                    candidates.push({ angles: angles });
+                });
+            });
+        });
+
+        // Discard numerically bad branches by checking them against forward kinematics
+        const solutions = candidates.filter(candidate => {
+            const fk = forwardKinematics(candidate.angles);
+            return Math.hypot(...subtractVectors(fk.position, target.position)) < positionTolerance;
+        });
+
+        if (solutions.length === 0) {
+            const distance = Math.hypot(Math.hypot(wx, wy), wz - shoulderHeight);
+            return {
+                ok: false,
+                error: `Target is out of reach (wrist center ${distance.toFixed(1)} mm from the shoulder, ` +
+                    `reach ${Math.abs(upperArmLength - forearmLength).toFixed(1)}–${(upperArmLength + forearmLength).toFixed(1)} mm)`
+            };
+        }
+
+        const withinLimits = solutions.filter(solution => limitViolations(solution.angles, limits).length === 0);
+        if (withinLimits.length === 0) {
+            // Report the violations of the solution that comes closest to fitting
+            const closest = solutions
+                .map(solution => limitViolations(solution.angles, limits))
+                .sort((a, b) => a.length - b.length)[0];
+            return { ok: false, error: 'Target only reachable outside axis limits: ' + closest.join(', ') };
+        }
+
+        withinLimits.sort((a, b) => jointDistance(a.angles, seed) - jointDistance(b.angles, seed));
+
+        // A4 and A6 are aligned near A5 = 0, any split between them is arbitrary
+        if (options.rejectWristSingularity && Math.abs(Math.sin(degToRad(withinLimits[0].angles.A5))) <
+            Math.sin(degToRad(wristSingularityAngle))) {
+            return {
+                ok: false,
+                error: `Wrist singularity: A5=${withinLimits[0].angles.A5.toFixed(2)}° is within ` +
+                    `±${wristSingularityAngle}° of 0°, A4 and A6 are aligned`
+            };
+        }
+
+        const angles = {};
+        Object.keys(withinLimits[0].angles).forEach(name => {
+            angles[name] = round(withinLimits[0].angles[name]);
+        });
+        return { ok: true, angles: angles };
+    }
+
+    /**
+     * List the axes of a joint set that are outside their limits
+     */
+    function limitViolations(angles, limits) {
+        return jointChain
+            .filter(joint => {
+                const limit = limits[joint.name];
+                return angles[joint.name] < limit.min - 1e-9 || angles[joint.name] > limit.max + 1e-9;
+            })
+            .map(joint => {
+                const limit = limits[joint.name];
+                return `${joint.name}=${angles[joint.name].toFixed(1)}° (limits ${limit.min}°..${limit.max}°)`;
+            });
+    }
+
+    function jointDistance(a, b) {
+        return jointChain.reduce((sum, joint) => sum + Math.abs(a[joint.name] - (b[joint.name] || 0)), 0);
+    }
+
+    /**
+     * Move the TCP to a Cartesian position keeping the current tool orientation
+     * @param {number} x - Target X in mm
+     * @param {number} y - Target Y in mm
+     * @param {number} z - Target Z in mm
+     * @param {number} duration - Animation duration in milliseconds (default: 1000)
+     * @returns {Object} { ok: true, angles, completion } or { ok: false, error }; the robot only moves
+     *          when ok, completion resolves false if the move was blocked or interrupted
+     */
+    function moveTo(x, y, z, duration = 1000) {
+        const current = forwardKinematics(getJointAngles());
+        const result = solveInverseKinematics({ position: [x, y, z], rotation: current.rotation });
+
+        if (result.ok) {
+            result.completion = SliderControlledX3DElement.loadAllAngles(result.angles, true, duration);
+        } else {
+            console.warn('Move To rejected:', result.error);
+        }
+        return result;
+    }
+
+    /**
+     * Reorient the tool keeping the current TCP position
+     * @param {string} convention - 'RPY' or 'XYZ'
+     * @param {number} o1 - First orientation angle in degrees
+     * @param {number} o2 - Second orientation angle in degrees
+     * @param {number} o3 - Third orientation angle in degrees
+     * @param {number} duration - Animation duration in milliseconds (default: 1000)
+     * @returns {Object} { ok: true, angles, completion } or { ok: false, error }; the robot only moves
+     *          when ok, completion resolves false if the move was blocked or interrupted
+     */
+    function setOrientation(convention, o1, o2, o3, duration = 1000) {
+        const current = forwardKinematics(getJointAngles());
+        const result = solveInverseKinematics(
+            { position: current.position, rotation: orientationToMatrix(convention, o1, o2, o3) },
+            { rejectWristSingularity: true }
+        );
+
+        if (result.ok) {
+            result.completion = SliderControlledX3DElement.loadAllAngles(result.angles, true, duration);
+        } else {
+            console.warn('Set Orientation rejected:', result.error);
+        }
+        return result;
+    }
+
+    // ========================================================================
+    // TCP Display
+    // ========================================================================
+
+    /**
+     * Coalesce angle changes so the TCP is recomputed at most once per frame
+     */
+    function scheduleUpdate() {
+        if (updatePending) return;
+        updatePending = true;
+        requestAnimationFrame(() => {
+            updatePending = false;
+            updateDisplay();
+        });
+    }
+
+    /**
+     * Recompute the TCP pose and update the info panel
+     */
+    function updateDisplay() {
+        lastPose = getTcpPose();
+
+        const tcpEl = document.getElementById('tcpPosition');
+        if (!tcpEl) return;
+
+        tcpEl.innerHTML = `<strong>TCP:</strong> [X=${lastPose.x.toFixed(3)}, Y=${lastPose.y.toFixed(3)}, Z=${lastPose.z.toFixed(3)}]` +
+            `<br><strong>Orientation:</strong> [A=${lastPose.a.toFixed(3)}°, B=${lastPose.b.toFixed(3)}°, C=${lastPose.c.toFixed(3)}°]`;
+    }
+
+    // Public API
+    return {
+        init: init,
+        configure: configure,
+        forwardKinematics: forwardKinematics,
+        getJointAngles: getJointAngles,
+        getTcpPose: getTcpPose,
+        getLastPose: () => lastPose,
+        getJointLimits: getJointLimits,
+        getAxisMaxSpeed: () => axisMaxSpeed,
+        solveInverseKinematics: solveInverseKinematics,
+        moveTo: moveTo,
+        setStatus: setStatus,
+        matrixToABC: matrixToABC,
+        abcToMatrix: abcToMatrix,
+        orientationToMatrix: orientationToMatrix,
+        matrixToOrientation: matrixToOrientation,
+        setOrientation: setOrientation,
+        getJointChain: () => jointChain,
+        getTcpOffset: () => tcpOffset,
+        setTool: setTool,
+        getTool: () => tool
+    };
+})();
@@ -7,6 +7,37 @@ const RobotMQTT = (function() {
     let client = null;
     let publishInterval = null;
     let isConnected = false;
+    let protocolVersion = 5;       // MQTT 5 first, 3.1.1 (4) if the broker refuses it
+
+    // Reconnect state: attempts only start once a connection was established and not closed by the user
+    let wasConnected = false;
+    let userDisconnected = false;
+    let reconnectTimer = null;
+    let reconnectAttempt = 0;
+    let reconnectPhase = '';
+
+    // Poses published while offline, handled by config.offlinePolicy
+    const offlineBuffer = [];
+    let droppedPoses = 0;
+
+    // Change-driven pose publishing
+    let sequence = 0;              // seq of the last pose sent, gaps tell subscribers that poses were lost
+    let lastPublished = null;      // Last pose sent (or buffered), compared against the deadband
+    let lastSample = null;         // { time, joints } the joint velocities are measured from
+    let velocities = {};
+    const minVelocityInterval = 20; // ms, shorter intervals reuse the last velocities
+
+    // Sparkplug B edge node (config.sparkplug)
+    let bdSeq = -1;                // Birth/death sequence, one per connection, matches NBIRTH and the NDEATH will
+    let sparkplugSeq = 0;          // Message sequence 0..255, restarts with every NBIRTH
+    let reportedMetrics = {};      // Last reported value per device metric, for report by exception
+    let lastCommandResult = '';    // Outcome of the last DCMD, reported as Commands/Last Result
+
+    // Command security: the HMAC key only lives here as a CryptoKey, it is never saved with the config
+    let signingKey = null;         // Promise of the imported key, null when commands need no signature
+    let commandQueue = Promise.resolve();
+    const signatureMaxAge = 30000; // ms a signed command stays valid, clock skew included
+    const usedNonces = new Map();  // nonce -> timestamp of the signed commands within signatureMaxAge
     
     const config = {
         broker: '',
@@ -15,8 +46,24 @@ const RobotMQTT = (function() {
         password: '',
         commandTopic: 'robot/command',
         poseTopic: 'robot/pose',
-        publishRate: 10,
-        autoPublish: true
+        workpieceTopic: 'robot/workpieces',
+        responseTopic: 'robot/response',
+        publishRate: 10,             // Hz, the maximum rate pose changes are published at
+        deadband: { A1: 0.1, A2: 0.1, A3: 0.1, A4: 0.1, A5: 0.1, A6: 0.1 }, // degrees a joint must move to be published
+        heartbeatInterval: 5000,     // ms after which an unchanged pose is sent again, 0 = never
+        autoPublish: true,
+        autoReconnect: true,
+        reconnectMinDelay: 1000,     // ms before the first attempt, doubled for every further one
+        reconnectMaxDelay: 30000,    // ms cap for the backoff
+        reconnectMaxAttempts: 0,     // 0 = keep trying
+        offlinePolicy: 'buffer',     // 'buffer' (flush on reconnect), 'latest' or 'drop'
+        offlineBufferSize: 100,      // poses kept by the 'buffer' policy, oldest are dropped first
+        readOnly: false,             // Monitor mode: commands are ignored, only their arrival is logged
+        allowedClients: [],          // Sender client_ids allowed to command the robot, empty = anyone
+        sparkplug: false,            // Publish as a Sparkplug B edge node instead of JSON poses
+        spGroupId: 'Plant',
+        spEdgeNodeId: 'KR4R600_Twin',
+        spDeviceId: 'Robot'
     };
 
     /**
@@ -34,6 +81,11 @@ const RobotMQTT = (function() {
         setupResizable();
         loadConfig();
         updateClientIdDisplay();
+
+        // Report where parts end up whenever one is spawned, gripped, released or removed
+        if (typeof RobotWorkpieces !== 'undefined') {
+            RobotWorkpieces.addChangeListener(publishWorkpieces);
+        }
         console.log('Robot MQTT Module initialized with clientId:', config.clientId);
     }
 
@@ -219,6 +271,98 @@ const RobotMQTT = (function() {
                 startAutoPublish();
             }
         });
+
+        // Deadband and heartbeat are read on every sample
+        document.getElementById('deadband').addEventListener('change', (e) => {
+            const deadband = parseDeadband(e.target.value);
+            if (deadband) {
+                config.deadband = deadband;
+            } else {
+                addLog('Deadband must be one value or six comma-separated values (A1..A6) in degrees', 'error');
+            }
+            e.target.value = formatDeadband(config.deadband);
+        });
+        document.getElementById('heartbeatInterval').addEventListener('change', (e) => {
+            config.heartbeatInterval = Math.max(0, parseInt(e.target.value) || 0);
+        });
+
+        // Reconnect settings apply immediately, also while reconnecting
+        ['autoReconnect', 'reconnectMinDelay', 'reconnectMaxDelay', 'reconnectMaxAttempts', 'offlinePolicy', 'offlineBufferSize']
+            .forEach(id => document.getElementById(id).addEventListener('change', readReconnectConfig));
+
+        // Security settings too, so the robot can be locked without reconnecting
+        ['readOnly', 'allowedClients', 'hmacKey']
+            .forEach(id => document.getElementById(id).addEventListener('change', readSecurityConfig));
+    }
+
+    /**
+     * Parse the deadband input: one value for all joints or one per joint (A1..A6)
+     * @returns {Object|null} Degrees keyed by axis name, or null if the input is invalid
+     */
+    function parseDeadband(text) {
+        const values = text.split(',').map(value => parseFloat(value));
+        if ((values.length !== 1 && values.length !== 6) || values.some(value => isNaN(value) || value < 0)) {
+            return null;
+        }
+        const deadband = {};
+        ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'].forEach((name, i) => {
+            deadband[name] = values.length === 1 ? values[0] : values[i];
+        });
+        return deadband;
+    }
+
+    function formatDeadband(deadband) {
+        const values = Object.values(deadband);
+        return values.every(value => value === values[0]) ? String(values[0]) : values.join(', ');
+    }
+
+    /**
+     * Read the reconnect and offline settings from the UI
+     */
+    function readReconnectConfig() {
+        const number = (id, min) => Math.max(min, parseInt(document.getElementById(id).value) || min);
+        config.autoReconnect = document.getElementById('autoReconnect').checked;
+        config.reconnectMinDelay = number('reconnectMinDelay', 100);
+        config.reconnectMaxDelay = Math.max(config.reconnectMinDelay, number('reconnectMaxDelay', 100));
+        config.reconnectMaxAttempts = number('reconnectMaxAttempts', 0);
+        config.offlinePolicy = document.getElementById('offlinePolicy').value;
+        config.offlineBufferSize = number('offlineBufferSize', 1);
+
+        // Turning reconnect off while waiting for the next attempt gives up right away
+        if (!config.autoReconnect && reconnectTimer) {
+            addLog('Automatic reconnect turned off', 'info');
+            giveUp();
+        }
+    }
+
+    /**
+     * Read the command security settings from the UI
+     */
+    function readSecurityConfig() {
+        config.readOnly = document.getElementById('readOnly').checked;
+        config.allowedClients = document.getElementById('allowedClients').value
+            .split(',')
+            .map(id => id.trim())
+            .filter(id => id);
+
+        const key = document.getElementById('hmacKey').value;
+        signingKey = key ? importSigningKey(key) : null;
+    }
+
+    /**
+     * Import the shared HMAC-SHA256 key
+     * @returns {Promise<CryptoKey|null>} null if Web Crypto is not available (pages not served from https or localhost)
+     */
+    function importSigningKey(key) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            addLog('Web Crypto is not available, signed commands cannot be verified and all commands will be rejected', 'error');
+            return Promise.resolve(null);
+        }
+        return crypto.subtle.importKey('raw', new TextEncoder().encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify'])
+            .catch(error => {
+                addLog('Invalid HMAC key: ' + error.message, 'error');
+                return null;
+            });
     }
 
     /**
@@ -243,8 +387,24 @@ const RobotMQTT = (function() {
                 document.getElementById('mqttUsername').value = config.username;
                 document.getElementById('commandTopic').value = config.commandTopic;
                 document.getElementById('poseTopic').value = config.poseTopic;
+                document.getElementById('workpieceTopic').value = config.workpieceTopic;
+                document.getElementById('responseTopic').value = config.responseTopic;
                 document.getElementById('publishRate').value = config.publishRate;
+                document.getElementById('deadband').value = formatDeadband(config.deadband);
+                document.getElementById('heartbeatInterval').value = config.heartbeatInterval;
                 document.getElementById('autoPublish').checked = config.autoPublish;
+                document.getElementById('autoReconnect').checked = config.autoReconnect;
+                document.getElementById('reconnectMinDelay').value = config.reconnectMinDelay;
+                document.getElementById('reconnectMaxDelay').value = config.reconnectMaxDelay;
+                document.getElementById('reconnectMaxAttempts').value = config.reconnectMaxAttempts;
+                document.getElementById('offlinePolicy').value = config.offlinePolicy;
+                document.getElementById('offlineBufferSize').value = config.offlineBufferSize;
+                document.getElementById('readOnly').checked = config.readOnly;
+                document.getElementById('allowedClients').value = config.allowedClients.join(', ');
+                document.getElementById('sparkplugEnabled').checked = config.sparkplug;
+                document.getElementById('spGroupId').value = config.spGroupId;
+                document.getElementById('spEdgeNodeId').value = config.spEdgeNodeId;
+                document.getElementById('spDeviceId').value = config.spDeviceId;
             } catch (e) {
                 console.error('Failed to load MQTT config:', e);
             }
@@ -268,12 +428,26 @@ const RobotMQTT = (function() {
         config.password = document.getElementById('mqttPassword').value;
         config.commandTopic = document.getElementById('commandTopic').value;
         config.poseTopic = document.getElementById('poseTopic').value;
+        config.workpieceTopic = document.getElementById('workpieceTopic').value;
+        config.responseTopic = document.getElementById('responseTopic').value;
+        config.sparkplug = document.getElementById('sparkplugEnabled').checked;
+        config.spGroupId = document.getElementById('spGroupId').value.trim();
+        config.spEdgeNodeId = document.getElementById('spEdgeNodeId').value.trim();
+        config.spDeviceId = document.getElementById('spDeviceId').value.trim();
+        readReconnectConfig();
+        readSecurityConfig();
 
         if (!config.broker) {
             addLog('ERROR: Broker URL is required', 'error');
             return;
         }
 
+        // Sparkplug IDs become topic levels, so they must not contain wildcards or separators
+        if (config.sparkplug && [config.spGroupId, config.spEdgeNodeId, config.spDeviceId].some(id => !id || /[\/+#]/.test(id))) {
+            addLog('ERROR: Sparkplug group, edge node and device IDs are required and must not contain / + #', 'error');
+            return;
+        }
+
         // Check if mqtt library is loaded
         if (typeof mqtt === 'undefined') {
             console.error('MQTT library not loaded!');
@@ -289,6 +463,19 @@ const RobotMQTT = (function() {
         addLog('Connecting to ' + config.broker + '...', 'info');
         updateStatus('connecting', 'Connecting...');
 
+        wasConnected = false;
+        userDisconnected = false;
+        reconnectAttempt = 0;
+        clearOfflineBuffer();
+        lastPublished = null;
+        protocolVersion = 5;
+        openClient();
+    }
+
+    /**
+     * Create the MQTT.js client for config.broker with the current protocol version
+     */
+    function openClient() {
         // Set a connection timeout
         const connectionTimeout = setTimeout(() => {
             if (!isConnected) {
@@ -308,8 +495,10 @@ const RobotMQTT = (function() {
             const options = {
                 clientId: config.clientId,
                 clean: true,
-                reconnectPeriod: 0, // Disable auto-reconnect for now
-                connectTimeout: 10000
+                reconnectPeriod: 0, // Reconnects are scheduled here, with backoff (see scheduleReconnect)
+                resubscribe: false, // onConnect subscribes again itself
+                connectTimeout: 10000,
+                protocolVersion: protocolVersion
             };
 
             if (config.username) {
@@ -317,6 +506,17 @@ const RobotMQTT = (function() {
                 options.password = config.password;
             }
 
+            // Sparkplug: the broker publishes NDEATH with this connection's bdSeq when the twin drops off
+            if (config.sparkplug) {
+                bdSeq = (bdSeq + 1) % 256;
+                options.will = {
+                    topic: RobotSparkplug.topic(sparkplugIds(), 'NDEATH'),
+                    payload: toBuffer(RobotSparkplug.encodePayload({ metrics: [bdSeqMetric()] })),
+                    qos: 1,
+                    retain: false
+                };
+            }
+
             addLog('Creating connection with clientId: ' + config.clientId, 'info');
             console.log('MQTT options:', options);
 
@@ -335,6 +535,16 @@ const RobotMQTT = (function() {
             client.on('error', (error) => {
                 console.error('MQTT error event:', error);
                 clearTimeout(connectionTimeout);
+
+                // CONNACK "unacceptable/unsupported protocol version" (3.1.1 code 1, MQTT 5 code 0x84)
+                if (!wasConnected && protocolVersion === 5 && (error.code === 1 || error.code === 0x84)) {
+                    addLog('Broker does not support MQTT 5, falling back to MQTT 3.1.1 (no response-topic/correlation-data)', 'warning');
+                    client.removeAllListeners();
+                    try { client.end(true); } catch (e) {}
+                    protocolVersion = 4;
+                    openClient();
+                    return;
+                }
                 onError(error);
             });
             client.on('close', () => {
@@ -345,6 +555,7 @@ const RobotMQTT = (function() {
                 console.log('MQTT offline event');
                 addLog('Client went offline', 'error');
             });
+            client.on('reconnect', onReconnect);
 
         } catch (error) {
             console.error('Exception during connect:', error);
@@ -361,7 +572,11 @@ const RobotMQTT = (function() {
      */
     function disconnect() {
         if (client) {
+            userDisconnected = true;
+            cancelReconnect();
+            clearOfflineBuffer();
             stopAutoPublish();
+            if (config.sparkplug && isConnected) publishSparkplugDeath();
             client.end();
             client = null;
             isConnected = false;
@@ -377,24 +592,52 @@ const RobotMQTT = (function() {
      * Handle successful connection
      */
     function onConnect() {
+        const reconnected = wasConnected;
         isConnected = true;
+        wasConnected = true;
         updateStatus('connected', 'Connected');
-        addLog('Connected to broker successfully', 'success');
+        if (reconnected) {
+            addLog(`Reconnected to broker after ${reconnectAttempt} attempt${reconnectAttempt === 1 ? '' : 's'}`, 'success');
+        } else {
+            addLog(`Connected to broker successfully (MQTT ${protocolVersion === 5 ? '5' : '3.1.1'})`, 'success');
+        }
+        reconnectAttempt = 0;
         
-        // Subscribe to command topic
+        // Subscribe to command topic (again after a reconnect, the session is clean)
         client.subscribe(config.commandTopic, (err) => {
             if (err) {
                 addLog('Failed to subscribe to ' + config.commandTopic, 'error');
             } else {
-                addLog('Subscribed to ' + config.commandTopic, 'success');
+                addLog((reconnected ? 'Resubscribed to ' : 'Subscribed to ') + config.commandTopic, 'success');
             }
         });
+        if (config.readOnly) {
+            addLog('Read-only mode: commands on ' + config.commandTopic + ' are ignored', 'warning');
+        }
+
+        if (config.sparkplug) {
+            const commandTopics = [RobotSparkplug.topic(sparkplugIds(), 'NCMD'), RobotSparkplug.topic(sparkplugIds(), 'DCMD')];
+            client.subscribe(commandTopics, (err) => {
+                if (err) {
+                    addLog('Failed to subscribe to Sparkplug commands', 'error');
+                } else {
+                    addLog('Subscribed to ' + commandTopics.join(', '), 'success');
+                }
+            });
+            publishSparkplugBirth();
+        }
+
+        flushOfflineBuffer();
 
         // Start auto-publishing if enabled
         if (config.autoPublish) {
             startAutoPublish();
         }
 
+        if (typeof RobotWorkpieces !== 'undefined') {
+            publishWorkpieces(RobotWorkpieces.getState());
+        }
+
         // Save configuration
         saveConfig();
 
@@ -406,65 +649,406 @@ const RobotMQTT = (function() {
     /**
      * Handle incoming MQTT messages
      */
-    function onMessage(topic, message) {
+    function onMessage(topic, message, packet) {
+        if (config.sparkplug && RobotSparkplug.parseTopic(topic)) {
+            onSparkplugCommand(topic, message);
+            return;
+        }
+
+        // The payload is only shown once the sender passed the security checks
         const payload = message.toString();
-        addLog('Received on ' + topic + ': ' + payload, 'received');
+        addLog(`Received command on ${topic} (${message.length} bytes)`, 'received');
 
+        // Monitor mode: commands are neither executed nor answered
+        if (config.readOnly) {
+            addLog('Command ignored: read-only mode', 'warning');
+            return;
+        }
+
+        let command;
         try {
-            const command = JSON.parse(payload);
-            executeCommand(command);
+            command = JSON.parse(payload);
         } catch (e) {
             addLog('Invalid JSON command: ' + e.message, 'error');
+            createResponder({}, packet).reject('Invalid JSON: ' + e.message);
+            return;
+        }
+
+        const respond = createResponder(command !== null && typeof command === 'object' ? command : {}, packet);
+
+        // Signatures are checked asynchronously, the queue keeps commands in the order they arrived
+        commandQueue = commandQueue
+            .then(() => checkSecurity(message, command, packet))
+            .then(reason => {
+                if (reason) {
+                    addLog('Command rejected: ' + reason, 'warning');
+                    respond.reject(reason);
+                    return;
+                }
+                addLog('Command: ' + payload, 'received');
+                validateAndExecute(command, respond);
+            })
+            .catch(error => {
+                console.error('Error handling command:', error);
+                addLog('Error handling command: ' + error.message, 'error');
+            });
+    }
+
+    /**
+     * Whether commands without a client_id or signature (DCMD, OPC UA, ROS) must be refused:
+     * they cannot pass an active HMAC key or sender allow-list
+     */
+    function requiresSignedCommands() {
+        return !!signingKey || config.allowedClients.length > 0;
+    }
+
+    /**
+     * Run a command from a local interface (the OPC UA bridge) like an MQTT command: ignored in
+     * read-only mode, validated against the schema, then executed. Local interfaces carry no
+     * client_id or signature, so they are refused while an allow-list or HMAC key is active.
+     * @param {Object} command - Command as it would arrive on the command topic
+     * @param {Object} respond - { accept(details), progress(details), done(details), reject(reason, details) }
+     */
+    function submitCommand(command, respond) {
+        if (config.readOnly) {
+            addLog('Command ignored: read-only mode', 'warning');
+            respond.reject('Read-only mode');
+            return;
+        }
+        if (requiresSignedCommands()) {
+            const reason = 'Local interface writes are disabled while signed commands or a sender allow-list are required';
+            addLog('Command rejected: ' + reason, 'warning');
+            respond.reject(reason);
+            return;
+        }
+        commandQueue = commandQueue
+            .then(() => validateAndExecute(command, respond))
+            .catch(error => {
+                console.error('Error handling command:', error);
+                addLog('Error handling command: ' + error.message, 'error');
+            });
+    }
+
+    /**
+     * Execute a command that passed the security checks, if it matches the command schema
+     */
+    function validateAndExecute(command, respond) {
+        // Reject anything that does not match the command schema before touching the robot
+        if (typeof RobotCommandSchema !== 'undefined') {
+            const validation = RobotCommandSchema.validate(command);
+            if (!validation.ok) {
+                addLog(validation.error, 'error');
+                respond.reject('Invalid command', { errors: validation.errors });
+                return;
+            }
+        }
+        executeCommand(command, respond);
+    }
+
+    /**
+     * Check a command against the signature key and the sender allow-list
+     * With a key set, the MQTT 5 user properties "timestamp" (ms since 1970) and "nonce" (a
+     * string used once) must come with "signature", the hex HMAC-SHA256 of
+     * timestamp + "\n" + nonce + "\n" + raw payload. Commands older than signatureMaxAge or with
+     * a nonce seen before are replays and rejected. The sender is the "client_id" field of the
+     * command; without a key it is only what the sender claims, so the allow-list alone can be spoofed.
+     * @returns {Promise<string|null>} Reason for rejecting the command, or null if it may run
+     */
+    async function checkSecurity(message, command, packet) {
+        if (signingKey) {
+            const key = await signingKey;
+            if (!key) return 'Signature cannot be verified on this robot';
+
+            const userProperties = (packet && packet.properties && packet.properties.userProperties) || {};
+            const { signature, timestamp, nonce } = userProperties;
+            if (signature === undefined) {
+                return protocolVersion === 5 ? 'Missing signature' : 'Missing signature (signed commands need MQTT 5)';
+            }
+            if (typeof signature !== 'string' || !/^([0-9a-f]{2})+$/i.test(signature)) {
+                return 'Malformed signature';
+            }
+            if (typeof timestamp !== 'string' || !/^\d{1,15}$/.test(timestamp)) return 'Missing or malformed timestamp';
+            if (typeof nonce !== 'string' || nonce.length === 0 || nonce.length > 128) return 'Missing or malformed nonce';
+
+            const prefix = new TextEncoder().encode(`${timestamp}\n${nonce}\n`);
+            const signed = new Uint8Array(prefix.length + message.length);
+            signed.set(prefix);
+            signed.set(new Uint8Array(message), prefix.length);
+            const bytes = new Uint8Array(signature.match(/../g).map(byte => parseInt(byte, 16)));
+            if (!(await crypto.subtle.verify('HMAC', key, bytes, signed))) {
+                return 'Invalid signature';
+            }
+
+            const now = Date.now();
+            usedNonces.forEach((time, used) => {
+                if (Math.abs(now - time) > signatureMaxAge) usedNonces.delete(used);
+            });
+            if (Math.abs(now - parseInt(timestamp, 10)) > signatureMaxAge) {
+                return `Stale timestamp (more than ${signatureMaxAge / 1000} s from the robot clock)`;
+            }
+            if (usedNonces.has(nonce)) return 'Replayed command (nonce already used)';
+            usedNonces.set(nonce, parseInt(timestamp, 10));
+        }
+
+        if (config.allowedClients.length > 0) {
+            const sender = command !== null && typeof command === 'object' ? command.client_id : undefined;
+            if (!sender) return 'Missing client_id';
+            if (!config.allowedClients.includes(sender)) return 'Client ' + sender + ' is not allowed to send commands';
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // Command Responses
+    // ========================================================================
+
+    /**
+     * Create the responder for one command
+     * Replies go to the MQTT 5 response topic of the request if it has one (with its
+     * correlation data echoed), otherwise to config.responseTopic. Every reply carries
+     * the client-supplied command id.
+     * @param {Object} command - The parsed command
+     * @param {Object} packet - The MQTT.js publish packet (for its MQTT 5 properties)
+     * @returns {Object} { accept(details), progress(details), done(details), reject(reason, details) }
+     */
+    function createResponder(command, packet) {
+        const properties = (packet && packet.properties) || {};
+        const topic = properties.responseTopic || config.responseTopic;
+        const options = { qos: 1 };
+        if (properties.correlationData) {
+            options.properties = { correlationData: properties.correlationData };
+        }
+
+        function send(status, details = {}) {
+            if (!isConnected || !client || !topic) return;
+
+            const response = Object.assign({
+                id: command.id !== undefined ? command.id : null,
+                type: command.type !== undefined ? command.type : null,
+                status: status
+            }, details, { timestamp: Date.now(), client_id: config.clientId });
+            const message = JSON.stringify(response);
+
+            client.publish(topic, message, options, (err) => {
+                if (err) {
+                    addLog('Failed to publish response: ' + err.message, 'error');
+                } else {
+                    addLog('Response on ' + topic + ': ' + message, 'sent');
+                }
+            });
+        }
+
+        return {
+            accept: (details) => send('accepted', details),
+            progress: (details) => send('in_progress', details),
+            done: (details) => send('done', details),
+            reject: (reason, details) => send('rejected', Object.assign({ reason: reason }, details))
+        };
+    }
+
+    /**
+     * Report a started motion and its outcome
+     * @param {Object} respond - Responder from createResponder
+     * @param {Object} move - Result of moveWithinLimits
+     */
+    function respondToMotion(respond, move) {
+        const details = { duration: Math.round(move.plan.duration) };
+        if (move.plan.stretched) {
+            details.requested_duration = Math.round(move.plan.requestedDuration);
+            details.limiting_axis = move.plan.limitingAxis;
+        }
+        if (Object.keys(move.clamped).length > 0) details.clamped = move.clamped;
+
+        respond.accept(details);
+        respond.progress();
+        move.completion.then(completed => {
+            if (completed) {
+                respond.done({ joints: RobotKinematics.getJointAngles() });
+            } else {
+                const blocked = RobotCollision.getLastBlocked();
+                respond.reject(blocked || 'Motion stopped before reaching the target');
+            }
+        });
+    }
+
+    /**
+     * Report a started gripper motion and when it has finished
+     * @param {Object} respond - Responder from createResponder
+     * @param {Object} result - { ok, duration, completion } or { ok: false, error } from RobotGripper
+     * @param {string} message - Log text on success
+     */
+    function runGripperCommand(respond, result, message) {
+        if (!result.ok) {
+            addLog('Gripper command rejected: ' + result.error, 'error');
+            respond.reject(result.error);
+            return;
         }
+        addLog(`${message} (${Math.round(result.duration)} ms)`, 'success');
+        respond.accept({ duration: Math.round(result.duration) });
+        respond.progress();
+        result.completion.then(completed => {
+            if (completed) {
+                respond.done({ gripper: RobotGripper.getState() });
+            } else {
+                respond.reject('Superseded by another gripper command');
+            }
+        });
     }
 
     /**
      * Execute received command
+     * @param {Object} command - The parsed command
+     * @param {Object} respond - Responder from createResponder
      */
-    function executeCommand(command) {
+    function executeCommand(command, respond) {
         addLog('Executing command: ' + command.type, 'info');
 
         switch (command.type) {
             case 'move':
                 // Move all joints to specified positions
-                if (command.joints) {
-                    const animate = command.animate !== false;
-                    const duration = command.duration || 1000;
-                    SliderControlledX3DElement.loadAllAngles(command.joints, animate, duration);
-                    addLog('Moving to position', 'success');
+                if (!command.joints || typeof command.joints !== 'object') {
+                    respond.reject('move needs "joints"');
+                    break;
                 }
+                // animate:false still has to respect the axis limits, it runs as fast as they allow
+                const animate = command.animate !== false;
+                const duration = animate ? (command.duration || 1000) : 0;
+                const move = moveWithinLimits(command.joints, duration);
+                if (!move.ok) {
+                    respond.reject(move.error);
+                    break;
+                }
+                addLog(`Moving to position (${Math.round(move.plan.duration)} ms)`, 'success');
+                respondToMotion(respond, move);
                 break;
 
             case 'move_joint':
                 // Move single joint
-                if (command.joint && command.angle !== undefined) {
-                    SliderControlledX3DElement.forEachInstance(instance => {
-                        if (instance.nodeName === command.joint && instance.slider) {
-                            instance.slider.value = command.angle;
-                            instance.slider.dispatchEvent(new Event('input'));
-                        }
-                    });
-                    addLog('Moved ' + command.joint + ' to ' + command.angle + '°', 'success');
+                if (!command.joint || command.angle === undefined) {
+                    respond.reject('move_joint needs "joint" and "angle"');
+                    break;
+                }
+                const jointMove = moveWithinLimits({ [command.joint]: command.angle }, command.duration || 0);
+                if (!jointMove.ok) {
+                    respond.reject(jointMove.error);
+                    break;
                 }
+                addLog('Moving ' + command.joint + ' to ' + command.angle + '°', 'success');
+                respondToMotion(respond, jointMove);
                 break;
 
             case 'home':
                 // Return to home position
-                const homePositions = { A1: 0, A2: 0, A3: 0, A4: 0, A5: 0, A6: 0 };
-                SliderControlledX3DElement.loadAllAngles(homePositions, true, 1000);
+                const homePositions = RobotDescription.getHomePosition();
+                const homeMove = moveWithinLimits(homePositions, command.duration || 1000);
+                if (!homeMove.ok) {
+                    respond.reject(homeMove.error);
+                    break;
+                }
                 addLog('Returning to home position', 'success');
+                respondToMotion(respond, homeMove);
+                break;
+
+            case 'gripper_open':
+                runGripperCommand(respond, RobotGripper.open(), 'Opening gripper');
+                break;
+
+            case 'gripper_close':
+                runGripperCommand(respond, RobotGripper.close(), 'Closing gripper');
+                break;
+
+            case 'gripper_width':
+                runGripperCommand(respond, RobotGripper.setWidth(command.width), 'Setting gripper width to ' + command.width + ' mm');
+                break;
+
+            case 'spawn_workpiece':
+                // "id" identifies the command, the workpiece is named by "workpiece_id"
+                const spawned = RobotWorkpieces.spawn(Object.assign({}, command, { id: command.workpiece_id }));
+                if (spawned.ok) {
+                    addLog(`Spawned ${spawned.workpiece.shape} ${spawned.workpiece.id}`, 'success');
+                    respond.accept();
+                    respond.done({ workpiece: spawned.workpiece });
+                } else {
+                    addLog('Spawn rejected: ' + spawned.error, 'error');
+                    respond.reject(spawned.error);
+                }
+                break;
+
+            case 'remove_workpiece':
+                if (RobotWorkpieces.remove(command.workpiece_id)) {
+                    addLog('Removed workpiece ' + command.workpiece_id, 'success');
+                    respond.accept();
+                    respond.done();
+                } else {
+                    addLog('Unknown workpiece: ' + command.workpiece_id, 'error');
+                    respond.reject('Unknown workpiece: ' + command.workpiece_id);
+                }
+                break;
+
+            case 'get_workpieces':
+                publishWorkpieces(RobotWorkpieces.getState());
+                respond.accept();
+                respond.done({ workpieces: RobotWorkpieces.getState() });
                 break;
 
             case 'get_pose':
                 // Respond with current pose
                 publishPose(true);
+                respond.accept();
+                respond.done({ pose: getCurrentPose() });
+                break;
+
+            case 'get_schema':
+                respond.accept();
+                respond.done({ schema: RobotCommandSchema.getSchema() });
                 break;
 
             default:
                 addLog('Unknown command type: ' + command.type, 'error');
+                respond.reject('Unknown command type: ' + command.type);
         }
     }
 
+    /**
+     * Move the joints within the axis speed/acceleration limits
+     * Target angles outside the joint limits are clamped, a requested duration that would
+     * need impossible speeds is stretched (both reported), a move that would collide is rejected
+     * @returns {Object} { ok: true, plan, clamped, completion } with the clamped angles by axis and
+     *          the Promise of RobotTrajectory.execute, or { ok: false, error }
+     */
+    function moveWithinLimits(angles, duration) {
+        const limits = RobotKinematics.getJointLimits();
+        const target = {};
+        const clamped = {};
+
+        for (const name of Object.keys(angles)) {
+            const angle = angles[name];
+            if (!limits[name]) {
+                addLog('Unknown joint: ' + name, 'error');
+                return { ok: false, error: 'Unknown joint: ' + name };
+            }
+            if (typeof angle !== 'number' || isNaN(angle)) {
+                return { ok: false, error: `${name} must be a number` };
+            }
+            target[name] = Math.max(limits[name].min, Math.min(limits[name].max, angle));
+            if (target[name] !== angle) {
+                clamped[name] = target[name];
+                addLog(`${name}=${angle}° is outside its limits, clamped to ${target[name]}°`, 'warning');
+            }
+        }
+
+        const plan = RobotTrajectory.planPTP(RobotKinematics.getJointAngles(), target, { duration: duration });
+        if (!RobotCollision.guardTrajectory(plan.samples)) {
+            addLog('Move rejected - ' + RobotCollision.getLastBlocked(), 'error');
+            return { ok: false, error: RobotCollision.getLastBlocked() };
+        }
+        if (plan.stretched) {
+            addLog(`Duration ${Math.round(plan.requestedDuration)} ms is too short (${plan.limitingAxis} at its limit), ` +
+                `stretched to ${Math.round(plan.minimumDuration)} ms`, 'warning');
+        }
+        return { ok: true, plan: plan, clamped: clamped, completion: RobotTrajectory.execute(plan) };
+    }
+
     /**
      * Handle MQTT errors
      */
@@ -477,8 +1061,17 @@ const RobotMQTT = (function() {
      * Handle connection close
      */
     function onClose() {
-        if (isConnected) {
-            isConnected = false;
+        const lost = isConnected;
+        isConnected = false;
+
+        // Connection lost (or a reconnect attempt failed): try again unless the user disconnected
+        if (client && wasConnected && !userDisconnected && config.autoReconnect) {
+            if (lost) addLog('Connection lost', 'warning');
+            scheduleReconnect();
+            return;
+        }
+
+        if (lost) {
             updateStatus('disconnected', 'Disconnected');
             addLog('Connection closed', 'info');
             stopAutoPublish();
@@ -489,8 +1082,136 @@ const RobotMQTT = (function() {
      * Handle reconnection attempt
      */
     function onReconnect() {
-        addLog('Attempting to reconnect...', 'info');
-        updateStatus('connecting', 'Reconnecting...');
+        addLog(`Attempting to reconnect (attempt ${reconnectAttempt})...`, 'info');
+        reconnectPhase = `Reconnecting (attempt ${reconnectAttempt})...`;
+        updateOfflineStatus();
+    }
+
+    // ========================================================================
+    // Automatic Reconnect
+    // ========================================================================
+
+    /**
+     * Delay before a reconnect attempt: exponential backoff with "equal jitter"
+     * (half the delay is fixed, the other half random) so many twins restarting
+     * together do not hit the broker at the same moment
+     * @param {number} attempt - 1 for the first attempt
+     * @returns {number} Delay in milliseconds
+     */
+    function backoffDelay(attempt) {
+        const delay = Math.min(config.reconnectMaxDelay, config.reconnectMinDelay * Math.pow(2, attempt - 1));
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * Schedule the next reconnect attempt, or give up after config.reconnectMaxAttempts
+     */
+    function scheduleReconnect() {
+        if (reconnectTimer) return;
+
+        if (config.reconnectMaxAttempts > 0 && reconnectAttempt >= config.reconnectMaxAttempts) {
+            addLog(`Giving up after ${reconnectAttempt} reconnect attempts`, 'error');
+            giveUp();
+            return;
+        }
+
+        reconnectAttempt++;
+        const delay = backoffDelay(reconnectAttempt);
+        addLog(`Reconnecting in ${(delay / 1000).toFixed(1)} s (attempt ${reconnectAttempt})`, 'warning');
+        reconnectPhase = `Reconnecting in ${(delay / 1000).toFixed(1)} s (attempt ${reconnectAttempt})`;
+        updateOfflineStatus();
+
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            if (client && !userDisconnected) {
+                client.reconnect();
+            }
+        }, delay);
+    }
+
+    function cancelReconnect() {
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+        reconnectAttempt = 0;
+    }
+
+    /**
+     * Stop reconnecting and go back to the disconnected state
+     */
+    function giveUp() {
+        cancelReconnect();
+        stopAutoPublish();
+        if (droppedPoses + offlineBuffer.length > 0) {
+            addLog(`Discarded ${droppedPoses + offlineBuffer.length} poses published while offline`, 'warning');
+        }
+        clearOfflineBuffer();
+        if (client) {
+            try { client.end(true); } catch (e) {}
+            client = null;
+        }
+        updateStatus('disconnected', 'Offline');
+
+        document.getElementById('connectMqtt').disabled = false;
+        document.getElementById('disconnectMqtt').disabled = true;
+    }
+
+    function isReconnecting() {
+        return !isConnected && client !== null && wasConnected && !userDisconnected;
+    }
+
+    // ========================================================================
+    // Offline Pose Buffer
+    // ========================================================================
+
+    /**
+     * Keep a pose published while offline, according to config.offlinePolicy
+     */
+    function bufferPose(message) {
+        if (config.offlinePolicy === 'drop') {
+            droppedPoses++;
+        } else if (config.offlinePolicy === 'latest') {
+            droppedPoses += offlineBuffer.length;
+            offlineBuffer.length = 0;
+            offlineBuffer.push(message);
+        } else {
+            offlineBuffer.push(message);
+            while (offlineBuffer.length > config.offlineBufferSize) {
+                offlineBuffer.shift();
+                droppedPoses++;
+            }
+        }
+        updateOfflineStatus();
+    }
+
+    /**
+     * Publish the poses buffered while offline, oldest first
+     */
+    function flushOfflineBuffer() {
+        if (offlineBuffer.length === 0 && droppedPoses === 0) return;
+
+        const messages = offlineBuffer.splice(0);
+        messages.forEach(message => client.publish(config.poseTopic, message));
+
+        let summary = `Flushed ${messages.length} pose${messages.length === 1 ? '' : 's'} buffered while offline`;
+        if (droppedPoses > 0) summary += `, ${droppedPoses} dropped (policy: ${config.offlinePolicy})`;
+        addLog(summary, 'info');
+        droppedPoses = 0;
+    }
+
+    function clearOfflineBuffer() {
+        offlineBuffer.length = 0;
+        droppedPoses = 0;
+    }
+
+    /**
+     * Show the reconnect phase and the offline buffer in #connectionStatus
+     */
+    function updateOfflineStatus() {
+        const buffered = offlineBuffer.length > 0 ? ` - ${offlineBuffer.length} buffered` : '';
+        const dropped = droppedPoses > 0 ? `, ${droppedPoses} dropped` : '';
+        updateStatus('connecting', reconnectPhase + buffered + dropped);
     }
 
     /**
@@ -499,12 +1220,14 @@ const RobotMQTT = (function() {
     function startAutoPublish() {
         stopAutoPublish(); // Clear any existing interval
         
+        // The pose is sampled at the maximum rate and only sent when it changed (see poseChanged)
         const interval = 1000 / config.publishRate; // Convert Hz to ms
         publishInterval = setInterval(() => {
             publishPose();
         }, interval);
         
-        addLog('Started auto-publishing at ' + config.publishRate + ' Hz', 'info');
+        const heartbeat = config.heartbeatInterval > 0 ? config.heartbeatInterval + ' ms' : 'off';
+        addLog(`Started publishing pose changes (max ${config.publishRate} Hz, deadband ${formatDeadband(config.deadband)}°, heartbeat ${heartbeat})`, 'info');
     }
 
     /**
@@ -518,16 +1241,38 @@ const RobotMQTT = (function() {
     }
 
     /**
-     * Publish current robot pose
+     * Publish current robot pose if it changed
+     * @param {boolean} force - Publish even if nothing changed or auto-publish is off
      */
     function publishPose(force = false) {
-        if (!isConnected || (!config.autoPublish && !force)) {
+        if (!config.autoPublish && !force) {
+            return;
+        }
+        if (!isConnected && !isReconnecting()) {
             return;
         }
 
         const pose = getCurrentPose();
+        if (!force && !poseChanged(pose)) {
+            return;
+        }
+
+        // A new Sparkplug session starts with births, so poses from while offline are not replayed
+        if (config.sparkplug) {
+            lastPublished = pose;
+            if (isConnected) publishDeviceData(pose);
+            return;
+        }
+
+        pose.seq = ++sequence;
+        lastPublished = pose;
         const message = JSON.stringify(pose);
 
+        if (!isConnected) {
+            bufferPose(message);
+            return;
+        }
+
         client.publish(config.poseTopic, message, (err) => {
             if (err) {
                 addLog('Failed to publish pose: ' + err.message, 'error');
@@ -537,6 +1282,221 @@ const RobotMQTT = (function() {
         });
     }
 
+    // ========================================================================
+    // Sparkplug B
+    // ========================================================================
+
+    function sparkplugIds() {
+        return { groupId: config.spGroupId, edgeNodeId: config.spEdgeNodeId, deviceId: config.spDeviceId };
+    }
+
+    function bdSeqMetric() {
+        return { name: 'bdSeq', datatype: RobotSparkplug.DataType.Int64, value: bdSeq };
+    }
+
+    /**
+     * MQTT.js publishes Buffers, which only exist as a global where MQTT.js provides one
+     */
+    function toBuffer(bytes) {
+        return typeof Buffer !== 'undefined' ? Buffer.from(bytes) : bytes;
+    }
+
+    /**
+     * Publish a Sparkplug message with the next sequence number
+     */
+    function publishSparkplug(messageType, metrics, timestamp = Date.now()) {
+        const payload = RobotSparkplug.encodePayload({ timestamp: timestamp, seq: sparkplugSeq, metrics: metrics });
+        sparkplugSeq = (sparkplugSeq + 1) % 256;
+
+        const topic = RobotSparkplug.topic(sparkplugIds(), messageType);
+        client.publish(topic, toBuffer(payload), { qos: 0 }, (err) => {
+            if (err) {
+                addLog(`Failed to publish ${messageType}: ${err.message}`, 'error');
+            } else if (messageType === 'NBIRTH' || messageType === 'DBIRTH') {
+                addLog(`Published ${messageType} on ${topic} (${metrics.length} metrics)`, 'sent');
+            }
+        });
+    }
+
+    /**
+     * Announce the edge node and the robot with all their metrics (on connect and on rebirth requests)
+     */
+    function publishSparkplugBirth() {
+        const pose = getCurrentPose();
+        sparkplugSeq = 0;
+        reportedMetrics = {};
+
+        publishSparkplug('NBIRTH', RobotSparkplug.nodeBirthMetrics(bdSeq), pose.timestamp);
+        const metrics = RobotSparkplug.deviceMetrics(pose, lastCommandResult, true);
+        RobotSparkplug.changedMetrics(reportedMetrics, metrics);
+        publishSparkplug('DBIRTH', metrics, pose.timestamp);
+        lastPublished = pose;
+    }
+
+    /**
+     * Report the device and node offline before a user disconnect (the will only covers a lost connection)
+     */
+    function publishSparkplugDeath() {
+        publishSparkplug('DDEATH', []);
+        const payload = RobotSparkplug.encodePayload({ metrics: [bdSeqMetric()] });
+        client.publish(RobotSparkplug.topic(sparkplugIds(), 'NDEATH'), toBuffer(payload), { qos: 1 });
+        addLog('Published DDEATH and NDEATH', 'sent');
+    }
+
+    /**
+     * Publish the device metrics that changed since they were last reported
+     */
+    function publishDeviceData(pose) {
+        const metrics = RobotSparkplug.changedMetrics(reportedMetrics, RobotSparkplug.deviceMetrics(pose, lastCommandResult));
+        if (metrics.length > 0) publishSparkplug('DDATA', metrics, pose.timestamp);
+    }
+
+    /**
+     * Handle NCMD (rebirth requests) and DCMD (metric writes that move the robot)
+     */
+    function onSparkplugCommand(topic, message) {
+        const messageType = RobotSparkplug.parseTopic(topic).messageType;
+        let payload;
+        try {
+            payload = RobotSparkplug.decodePayload(new Uint8Array(message));
+        } catch (e) {
+            addLog(`Invalid Sparkplug payload on ${topic}: ${e.message}`, 'error');
+            return;
+        }
+        addLog(`Received ${messageType} on ${topic} (${payload.metrics.length} metrics)`, 'received');
+
+        if (messageType === 'NCMD') {
+            if (payload.metrics.some(metric => metric.name === 'Node Control/Rebirth' && metric.value === true)) {
+                addLog('Rebirth requested', 'info');
+                publishSparkplugBirth();
+            }
+            return;
+        }
+        if (messageType !== 'DCMD') return;
+
+        if (config.readOnly) {
+            addLog('Command ignored: read-only mode', 'warning');
+            return;
+        }
+
+        // DCMD carries neither a client_id nor a signature, so it cannot pass an active allow-list or key
+        if (requiresSignedCommands()) {
+            const reason = 'DCMD writes are disabled while signed commands or a sender allow-list are required';
+            addLog('Command rejected: ' + reason, 'warning');
+            setCommandResult('rejected - ' + reason);
+            return;
+        }
+        addLog('DCMD writes: ' + payload.metrics.map(metric => `${metric.name}=${JSON.stringify(metric.value)}`).join(', '), 'received');
+
+        const translated = RobotSparkplug.commandsFromMetrics(payload.metrics);
+        if (translated.errors.length > 0) {
+            translated.errors.forEach(error => addLog('DCMD rejected: ' + error, 'warning'));
+            setCommandResult('rejected - ' + translated.errors.join('; '));
+        }
+        translated.commands.forEach(command => {
+            commandQueue = commandQueue
+                .then(() => validateAndExecute(command, createSparkplugResponder(command)))
+                .catch(error => {
+                    console.error('Error handling command:', error);
+                    addLog('Error handling command: ' + error.message, 'error');
+                });
+        });
+    }
+
+    /**
+     * Responder for commands written by DCMD: the outcome is reported as Commands/Last Result
+     */
+    function createSparkplugResponder(command) {
+        return {
+            accept: () => setCommandResult(command.type + ': accepted'),
+            progress: () => {},
+            done: () => setCommandResult(command.type + ': done'),
+            reject: (reason, details) => {
+                if (details && details.errors) {
+                    reason += ': ' + details.errors.map(error => `${error.path} ${error.message}`).join('; ');
+                }
+                addLog(`DCMD ${command.type} rejected: ${reason}`, 'warning');
+                setCommandResult(`${command.type}: rejected - ${reason}`);
+            }
+        };
+    }
+
+    function setCommandResult(result) {
+        lastCommandResult = result;
+        if (isConnected && config.sparkplug) publishDeviceData(getCurrentPose());
+    }
+
+    /**
+     * Whether a pose differs enough from the last one sent to be published
+     * True when a joint moved beyond its deadband, the gripper or motion state changed
+     * (so the final resting pose always goes out), or the heartbeat is due
+     */
+    function poseChanged(pose) {
+        if (!lastPublished) return true;
+        if (config.heartbeatInterval > 0 && pose.timestamp - lastPublished.timestamp >= config.heartbeatInterval) return true;
+        if (pose.motion.state !== lastPublished.motion.state) return true;
+
+        const jointMoved = Object.keys(pose.joints).some(name =>
+            lastPublished.joints[name] === undefined ||
+            Math.abs(pose.joints[name] - lastPublished.joints[name]) > (config.deadband[name] || 0));
+        if (jointMoved) return true;
+        if (pose.frames && JSON.stringify(pose.frames) !== JSON.stringify(lastPublished.frames)) return true;
+
+        const gripper = pose.gripper;
+        const previous = lastPublished.gripper;
+        return !!gripper && !!previous && (gripper.state !== previous.state || gripper.width !== previous.width);
+    }
+
+    /**
+     * Joint velocities in degrees/s, measured between successive pose samples
+     */
+    function jointVelocities(joints, time) {
+        if (lastSample && time - lastSample.time < minVelocityInterval) return velocities;
+
+        velocities = {};
+        Object.keys(joints).forEach(name => {
+            const previous = lastSample ? lastSample.joints[name] : undefined;
+            velocities[name] = previous !== undefined
+                ? Math.round((joints[name] - previous) / (time - lastSample.time) * 1000 * 100) / 100
+                : 0;
+        });
+        lastSample = { time: time, joints: Object.assign({}, joints) };
+        return velocities;
+    }
+
+    /**
+     * Motion state: 'error' after a blocked motion or a KRL program error, otherwise
+     * 'moving' while a joint or the gripper moves, and 'idle'
+     */
+    function motionState(jointSpeeds, gripper) {
+        const blocked = typeof RobotCollision !== 'undefined' ? RobotCollision.getLastBlocked() : null;
+        if (blocked) return { state: 'error', error: blocked };
+        if (typeof KRLProgram !== 'undefined' && KRLProgram.getState() === 'error') {
+            return { state: 'error', error: 'KRL program error' };
+        }
+
+        const moving = Object.values(jointSpeeds).some(speed => Math.abs(speed) > 0.01) ||
+            (!!gripper && gripper.state === 'moving');
+        return { state: moving ? 'moving' : 'idle' };
+    }
+
+    /**
+     * Publish the workpiece list (retained, so a cell controller sees the latest state on subscribe)
+     * @param {Array} workpieces - State from RobotWorkpieces.getState()
+     */
+    function publishWorkpieces(workpieces) {
+        if (!isConnected || !client) return;
+
+        const message = JSON.stringify({ timestamp: Date.now(), workpieces: workpieces, client_id: config.clientId });
+        client.publish(config.workpieceTopic, message, { retain: true }, (err) => {
+            if (err) {
+                addLog('Failed to publish workpieces: ' + err.message, 'error');
+            } else {
+                addLog('Published workpieces: ' + message, 'sent');
+            }
+        });
+    }
+
     /**
      * Get current robot pose
      */
@@ -553,6 +1513,24 @@ const RobotMQTT = (function() {
             }
         });
 
+        // Include TCP pose from forward kinematics when available
+        if (typeof RobotKinematics !== 'undefined') {
+            pose.tcp = RobotKinematics.getTcpPose();
+        }
+
+        // Active tool and base; tcp_base is the TCP in the base, as KRL $POS_ACT
+        if (typeof RobotFrames !== 'undefined') {
+            pose.frames = { tool: RobotFrames.getActive('tool'), base: RobotFrames.getActive('base') };
+            pose.tcp_base = RobotFrames.getTcpInBase();
+        }
+
+        if (typeof RobotGripper !== 'undefined') {
+            pose.gripper = RobotGripper.getState();
+        }
+
+        pose.velocities = jointVelocities(pose.joints, pose.timestamp);
+        pose.motion = motionState(pose.velocities, pose.gripper);
+
         return pose;
     }
 
@@ -607,10 +1585,17 @@ const RobotMQTT = (function() {
         const logContainer = document.getElementById('messageLog');
         if (!logContainer) return;
 
-        const timestamp = new Date().toLocaleTimeString();
+        // Messages may hold text from the broker, they are never parsed as HTML
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = new Date().toLocaleTimeString();
+        const text = document.createElement('span');
+        text.className = 'log-message';
+        text.textContent = message;
+
         const logEntry = document.createElement('div');
         logEntry.className = 'log-entry ' + type;
-        logEntry.innerHTML = `<span class="log-time">${timestamp}</span> <span class="log-message">${message}</span>`;
+        logEntry.append(time, ' ', text);
         
         logContainer.appendChild(logEntry);
         logContainer.scrollTop = logContainer.scrollHeight;
@@ -637,6 +1622,9 @@ const RobotMQTT = (function() {
         connect: connect,
         disconnect: disconnect,
         publishPose: publishPose,
+        getCurrentPose: getCurrentPose,
+        submitCommand: submitCommand,
+        requiresSignedCommands: requiresSignedCommands,
         isConnected: () => isConnected,
         getConfig: () => config
     };
@@ -0,0 +1,165 @@
+/**
+ * Robot OPC UA Link Module
+ * Connects the twin to the local OPC UA bridge (opcua-bridge/bridge.js) over WebSocket
+ *
+ * The twin streams its pose, override and KRL program to the bridge, which serves them as
+ * OPC 40010 variables; writes on the OPC UA side come back as commands and are run by
+ * RobotMQTT.submitCommand, the same path as MQTT commands. They carry no signature, so they
+ * are refused while an HMAC key or sender allow-list is active.
+ */
+
+const RobotOpcUa = (function() {
+    const stateInterval = 100;   // ms between state updates to the bridge
+    const retryDelay = 3000;     // ms between connection attempts while the bridge is not running
+
+    let socket = null;
+    let stateTimer = null;
+    let retryTimer = null;
+    let wanted = false;          // The user asked for a connection, keep retrying
+
+    /**
+     * Initialize the bridge controls
+     */
+    function init() {
+        const connectBtn = document.getElementById('connectOpcUa');
+        const disconnectBtn = document.getElementById('disconnectOpcUa');
+        if (connectBtn) connectBtn.addEventListener('click', () => connect(document.getElementById('opcuaBridgeUrl').value));
+        if (disconnectBtn) disconnectBtn.addEventListener('click', disconnect);
+        updateStatus('disconnected', 'Not connected');
+        console.log('Robot OPC UA Link Module initialized');
+    }
+
+    // ========================================================================
+    // Connection
+    // ========================================================================
+
+    /**
+     * Connect to the bridge, retrying until it is running
+     * @param {string} url - WebSocket URL of the bridge, on localhost
+     */
+    function connect(url) {
+        if (!/^ws:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(url)) {
+            updateStatus('disconnected', 'The bridge must run on localhost (ws://localhost:8765)');
+            return;
+        }
+        disconnect();
+        wanted = true;
+        open(url);
+    }
+
+    function open(url) {
+        updateStatus('connecting', 'Connecting to ' + url + '...');
+        const ws = new WebSocket(url);
+        socket = ws;
+
+        ws.addEventListener('open', () => {
+            updateStatus('connected', 'Connected to ' + url);
+            console.log('OPC UA bridge connected:', url);
+            sendState();
+            stateTimer = setInterval(sendState, stateInterval);
+        });
+        ws.addEventListener('message', event => onMessage(event.data));
+        ws.addEventListener('close', (event) => {
+            // A socket replaced by connect() closes after its successor was opened
+            if (socket !== ws) return;
+            clearInterval(stateTimer);
+            stateTimer = null;
+            socket = null;
+            if (!wanted) return;
+
+            // The bridge only accepts the twin's origin, retrying cannot change that
+            if (event.code === 1008) {
+                wanted = false;
+                updateStatus('disconnected', `Bridge refused this page (${event.reason}), start it with --twin-origin ${location.origin}`);
+                return;
+            }
+            const reason = event.code === 1013 ? event.reason : 'Bridge not reachable';
+            updateStatus('connecting', `${reason}, retrying in ${retryDelay / 1000} s`);
+            retryTimer = setTimeout(() => open(url), retryDelay);
+        });
+    }
+
+    /**
+     * Disconnect and stop retrying
+     */
+    function disconnect() {
+        wanted = false;
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        clearInterval(stateTimer);
+        stateTimer = null;
+        if (socket) socket.close();
+        socket = null;
+        updateStatus('disconnected', 'Not connected');
+    }
+
+    // ========================================================================
+    // Messages
+    // ========================================================================
+
+    /**
+     * Send the current state: pose (joints, velocities, TCP, gripper, motion), override and program
+     */
+    function sendState() {
+        if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+        const programName = typeof KRLProgram !== 'undefined' ? KRLProgram.getProgramName() : '';
+        socket.send(JSON.stringify({
+            type: 'state',
+            pose: RobotMQTT.getCurrentPose(),
+            override: RobotTrajectory.getOverride(),
+            program: {
+                name: programName,
+                loaded: programName !== '',
+                state: typeof KRLProgram !== 'undefined' ? KRLProgram.getState() : 'idle'
+            }
+        }));
+    }
+
+    function onMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Invalid message from the OPC UA bridge:', error);
+            return;
+        }
+        if (message.type !== 'command' || !message.command) return;
+
+        console.log('OPC UA command:', message.command);
+        RobotMQTT.submitCommand(message.command, createResponder(message.command));
+    }
+
+    /**
+     * Forward the command responses to the bridge, which answers the OPC UA write with them
+     */
+    function createResponder(command) {
+        function send(status, details = {}) {
+            if (!socket || socket.readyState !== WebSocket.OPEN) return;
+            socket.send(JSON.stringify(Object.assign({ type: 'response', id: command.id, status: status }, details)));
+        }
+
+        return {
+            accept: (details) => send('accepted', details),
+            progress: (details) => send('in_progress', details),
+            done: (details) => send('done', details),
+            reject: (reason, details) => send('rejected', Object.assign({ reason: reason }, details))
+        };
+    }
+
+    function updateStatus(status, text) {
+        const statusEl = document.getElementById('opcuaStatus');
+        if (!statusEl) return;
+        statusEl.className = 'connection-status ' + status;
+        const statusText = statusEl.querySelector('.status-text');
+        if (statusText) statusText.textContent = text;
+    }
+
+    // Public API
+    return {
+        init: init,
+        connect: connect,
+        disconnect: disconnect,
+        isConnected: () => !!socket && socket.readyState === WebSocket.OPEN
+    };
+})();
@@ -0,0 +1,364 @@
+/**
+ * Robot ROS 2 Bridge Module
+ * rosbridge protocol (WebSocket JSON) client for ROS 2 / MoveIt
+ *
+ * Publishes sensor_msgs/JointState on /joint_states from the SliderControlledX3DElement
+ * instances and executes trajectory_msgs/JointTrajectory messages from a configurable topic
+ * with their time_from_start. Joints are named joint_a1..joint_a6 (A1..A6 are accepted too),
+ * positions are in radians like everywhere in ROS and measured from the URDF zero pose, i.e.
+ * the slider angle minus its homeOffset. Trajectories are refused while MQTT signed commands
+ * or a sender allow-list are required, as DCMD is. rosbridge-standin/ has a local server to
+ * test against when no ROS installation is at hand.
+ */
+
+const RobotROS = (function() {
+    const jointStateTopic = '/joint_states';
+    const jointStateType = 'sensor_msgs/msg/JointState';
+    const trajectoryType = 'trajectory_msgs/msg/JointTrajectory';
+    const retryDelay = 3000;         // ms between connection attempts while rosbridge is not running
+    const speedTolerance = 1.05;     // Segments may exceed the axis speed by 5 % (rounding in the planner)
+
+    const config = {
+        url: 'ws://localhost:9090',
+        trajectoryTopic: '/joint_trajectory',
+        jointStateRate: 20           // Hz
+    };
+
+    let socket = null;
+    let stateTimer = null;
+    let retryTimer = null;
+    let wanted = false;              // The user asked for a connection, keep retrying
+    let lastState = null;            // { time, positions } the velocities are measured from
+    let subscribedTopic = null;
+
+    /**
+     * Initialize the bridge controls
+     */
+    function init() {
+        const connectBtn = document.getElementById('connectRos');
+        const disconnectBtn = document.getElementById('disconnectRos');
+        if (connectBtn) connectBtn.addEventListener('click', () => connect(readConfig()));
+        if (disconnectBtn) disconnectBtn.addEventListener('click', disconnect);
+        updateStatus('disconnected', 'Not connected');
+        console.log('Robot ROS 2 Bridge Module initialized');
+    }
+
+    function readConfig() {
+        const url = document.getElementById('rosbridgeUrl');
+        const topic = document.getElementById('rosTrajectoryTopic');
+        const rate = document.getElementById('rosJointStateRate');
+        return {
+            url: url ? url.value.trim() : config.url,
+            trajectoryTopic: topic ? topic.value.trim() : config.trajectoryTopic,
+            jointStateRate: rate ? parseFloat(rate.value) : config.jointStateRate
+        };
+    }
+
+    // ========================================================================
+    // Connection
+    // ========================================================================
+
+    /**
+     * Connect to rosbridge, retrying until it is running
+     * @param {Object} options - { url, trajectoryTopic, jointStateRate } (defaults for missing ones)
+     */
+    function connect(options = {}) {
+        const next = Object.assign({}, config, options);
+        if (!/^wss?:\/\//.test(next.url)) {
+            updateStatus('disconnected', 'rosbridge URL must start with ws:// or wss://');
+            return;
+        }
+        if (!/^\/?[A-Za-z][\w\/]*$/.test(next.trajectoryTopic)) {
+            updateStatus('disconnected', 'Invalid trajectory topic: ' + next.trajectoryTopic);
+            return;
+        }
+        if (!(next.jointStateRate > 0 && next.jointStateRate <= 100)) {
+            updateStatus('disconnected', 'Joint state rate must be between 0 and 100 Hz');
+            return;
+        }
+
+        disconnect();
+        Object.assign(config, next);
+        wanted = true;
+        open();
+    }
+
+    function open() {
+        updateStatus('connecting', 'Connecting to ' + config.url + '...');
+        const ws = new WebSocket(config.url);
+        socket = ws;
+
+        ws.addEventListener('open', () => {
+            updateStatus('connected', 'Connected to ' + config.url);
+            console.log('rosbridge connected:', config.url);
+
+            send({ op: 'advertise', topic: jointStateTopic, type: jointStateType });
+            send({ op: 'subscribe', topic: config.trajectoryTopic, type: trajectoryType });
+            subscribedTopic = config.trajectoryTopic;
+
+            lastState = null;
+            publishJointState();
+            stateTimer = setInterval(publishJointState, 1000 / config.jointStateRate);
+        });
+        ws.addEventListener('message', event => onMessage(event.data));
+        ws.addEventListener('close', () => {
+            // A socket replaced by connect() closes after its successor was opened
+            if (socket !== ws) return;
+            clearInterval(stateTimer);
+            stateTimer = null;
+            socket = null;
+            subscribedTopic = null;
+            if (!wanted) return;
+
+            updateStatus('connecting', `rosbridge not reachable, retrying in ${retryDelay / 1000} s`);
+            retryTimer = setTimeout(open, retryDelay);
+        });
+    }
+
+    /**
+     * Unadvertise, unsubscribe, disconnect and stop retrying
+     */
+    function disconnect() {
+        wanted = false;
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        clearInterval(stateTimer);
+        stateTimer = null;
+        if (socket) {
+            send({ op: 'unadvertise', topic: jointStateTopic });
+            if (subscribedTopic) send({ op: 'unsubscribe', topic: subscribedTopic });
+            socket.close();
+        }
+        socket = null;
+        subscribedTopic = null;
+        updateStatus('disconnected', 'Not connected');
+    }
+
+    function send(message) {
+        if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+        socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    // ========================================================================
+    // Joint States
+    // ========================================================================
+
+    function rosJointName(nodeName) {
+        return 'joint_' + nodeName.toLowerCase();
+    }
+
+    /**
+     * Axis name for a ROS joint name: joint_a1, a1 or A1 all map to A1
+     * @returns {string|null} Axis name, or null for joints the twin does not have
+     */
+    function axisName(rosName) {
+        const name = String(rosName).replace(/^joint_/i, '').toUpperCase();
+        return SliderControlledX3DElement.findByNodeName(name) ? name : null;
+    }
+
+    /**
+     * Offset between the slider angle and the URDF joint position (degrees)
+     */
+    function homeOffset(name) {
+        const instance = SliderControlledX3DElement.findByNodeName(name);
+        return instance ? instance.homeOffset : 0;
+    }
+
+    function stamp(time) {
+        return { sec: Math.floor(time / 1000), nanosec: Math.round((time % 1000) * 1e6) };
+    }
+
+    /**
+     * Publish the slider angles as sensor_msgs/JointState (radians from the URDF zero, radians/s)
+     */
+    function publishJointState() {
+        const time = Date.now();
+        const names = [];
+        const positions = [];
+        SliderControlledX3DElement.forEachInstance(instance => {
+            if (!instance.slider) return;
+            names.push(rosJointName(instance.nodeName));
+            positions.push((parseFloat(instance.slider.value) - homeOffset(instance.nodeName)) * Math.PI / 180);
+        });
+
+        let velocities = positions.map(() => 0);
+        if (lastState && time > lastState.time && lastState.positions.length === positions.length) {
+            velocities = positions.map((position, i) => (position - lastState.positions[i]) * 1000 / (time - lastState.time));
+        }
+        lastState = { time: time, positions: positions };
+
+        send({
+            op: 'publish',
+            topic: jointStateTopic,
+            msg: {
+                header: { stamp: stamp(time), frame_id: '' },
+                name: names,
+                position: positions,
+                velocity: velocities,
+                effort: []
+            }
+        });
+    }
+
+    // ========================================================================
+    // Trajectories
+    // ========================================================================
+
+    function onMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.error('Invalid message from rosbridge:', error);
+            return;
+        }
+
+        if (message.op === 'status' && message.level === 'error') {
+            console.error('rosbridge:', message.msg);
+            return;
+        }
+        if (message.op !== 'publish' || message.topic !== subscribedTopic) return;
+
+        const result = executeTrajectory(message.msg);
+        if (!result.ok) {
+            console.error('JointTrajectory rejected:', result.error);
+            updateStatus('connected', 'Trajectory rejected: ' + result.error);
+        }
+    }
+
+    /**
+     * Seconds of a builtin_interfaces/Duration, ROS 2 (sec, nanosec) or ROS 1 (secs, nsecs)
+     */
+    function durationSeconds(duration) {
+        if (!duration) return 0;
+        const sec = duration.sec !== undefined ? duration.sec : duration.secs;
+        const nanosec = duration.nanosec !== undefined ? duration.nanosec : duration.nsecs;
+        return (sec || 0) + (nanosec || 0) / 1e9;
+    }
+
+    /**
+     * Convert a JointTrajectory into timed samples, checking names, limits and axis speeds
+     * Joints that are not in joint_names keep their current angle. A first point with a
+     * time_from_start above zero is reached from the current pose in that time.
+     * @param {Object} trajectory - trajectory_msgs/JointTrajectory
+     * @returns {Object} { ok: true, samples } with angles in degrees and time in ms, or { ok: false, error }
+     */
+    function toSamples(trajectory) {
+        if (!trajectory || !Array.isArray(trajectory.joint_names) || !Array.isArray(trajectory.points)) {
+            return { ok: false, error: 'joint_names and points are required' };
+        }
+
+        const axes = [];
+        for (const rosName of trajectory.joint_names) {
+            const name = axisName(rosName);
+            if (!name) return { ok: false, error: 'Unknown joint: ' + rosName };
+            if (axes.includes(name)) return { ok: false, error: 'Joint listed twice: ' + rosName };
+            axes.push(name);
+        }
+
+        const limits = RobotKinematics.getJointLimits();
+        const maxSpeed = RobotKinematics.getAxisMaxSpeed();
+        const current = RobotKinematics.getJointAngles();
+        const samples = [{ time: 0, angles: current }];
+
+        for (let p = 0; p < trajectory.points.length; p++) {
+            const point = trajectory.points[p];
+            if (!point || !Array.isArray(point.positions) || point.positions.length !== axes.length) {
+                return { ok: false, error: `Point ${p} needs one position per joint name` };
+            }
+
+            const time = durationSeconds(point.time_from_start) * 1000;
+            const previous = samples[samples.length - 1];
+            if (isNaN(time) || time < previous.time || (p > 0 && time === previous.time)) {
+                return { ok: false, error: `Point ${p}: time_from_start must increase` };
+            }
+
+            const angles = Object.assign({}, previous.angles);
+            for (let i = 0; i < axes.length; i++) {
+                const name = axes[i];
+                const angle = point.positions[i] * 180 / Math.PI + homeOffset(name);
+                if (typeof point.positions[i] !== 'number' || isNaN(angle)) {
+                    return { ok: false, error: `Point ${p}: ${rosJointName(name)} must be a number` };
+                }
+                if (angle < limits[name].min - 1e-6 || angle > limits[name].max + 1e-6) {
+                    return { ok: false, error: `Point ${p}: ${rosJointName(name)} = ${angle.toFixed(2)}° is outside ` +
+                        `${limits[name].min}..${limits[name].max}°` };
+                }
+                angles[name] = angle;
+            }
+
+            // The timestamps are kept, so they must be reachable by the real axes
+            const span = (time - previous.time) / 1000;
+            for (const name of axes) {
+                const distance = Math.abs(angles[name] - previous.angles[name]);
+                if (distance < 1e-9) continue;
+                if (span <= 0 || distance / span > maxSpeed[name] * speedTolerance) {
+                    return { ok: false, error: `Point ${p}: ${rosJointName(name)} would need ` +
+                        `${span > 0 ? (distance / span).toFixed(0) : '∞'}°/s (max ${maxSpeed[name]}°/s)` };
+                }
+            }
+
+            if (time === 0) samples[0] = { time: 0, angles: angles };
+            else samples.push({ time: time, angles: angles });
+        }
+
+        return { ok: true, samples: samples };
+    }
+
+    /**
+     * Execute a JointTrajectory with its timestamps; a new one replaces the running one and
+     * an empty one stops the robot (as with the ROS joint trajectory controller)
+     * @param {Object} trajectory - trajectory_msgs/JointTrajectory
+     * @returns {Object} { ok: true, duration, completion } or { ok: false, error }
+     */
+    function executeTrajectory(trajectory) {
+        if (typeof RobotMQTT !== 'undefined' && RobotMQTT.getConfig().readOnly) {
+            return { ok: false, error: 'Read-only mode' };
+        }
+        if (typeof RobotMQTT !== 'undefined' && RobotMQTT.requiresSignedCommands()) {
+            return { ok: false, error: 'Trajectories are disabled while signed commands or a sender allow-list are required' };
+        }
+        if (trajectory && Array.isArray(trajectory.points) && trajectory.points.length === 0) {
+            SliderControlledX3DElement.stopAnimation();
+            updateStatus('connected', 'Trajectory stopped');
+            return { ok: true, duration: 0, completion: Promise.resolve(false) };
+        }
+
+        const result = toSamples(trajectory);
+        if (!result.ok) return result;
+
+        const duration = result.samples[result.samples.length - 1].time;
+        console.log(`Executing JointTrajectory: ${result.samples.length} points, ${Math.round(duration)} ms`);
+        updateStatus('connected', `Executing trajectory (${(duration / 1000).toFixed(2)} s)`);
+
+        const completion = SliderControlledX3DElement.playTrajectory(result.samples).then(completed => {
+            if (completed) {
+                updateStatus('connected', 'Trajectory done');
+            } else {
+                const blocked = typeof RobotCollision !== 'undefined' ? RobotCollision.getLastBlocked() : null;
+                updateStatus('connected', blocked ? 'Trajectory blocked: ' + blocked : 'Trajectory stopped');
+            }
+            return completed;
+        });
+        return { ok: true, duration: duration, completion: completion };
+    }
+
+    function updateStatus(status, text) {
+        const statusEl = document.getElementById('rosStatus');
+        if (!statusEl) return;
+        statusEl.className = 'connection-status ' + status;
+        const statusText = statusEl.querySelector('.status-text');
+        if (statusText) statusText.textContent = text;
+    }
+
+    // Public API
+    return {
+        init: init,
+        connect: connect,
+        disconnect: disconnect,
+        executeTrajectory: executeTrajectory,
+        isConnected: () => !!socket && socket.readyState === WebSocket.OPEN,
+        getConfig: () => config
+    };
+})();
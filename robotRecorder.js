@@ -0,0 +1,378 @@
+/**
+ * Robot Recorder Module
+ * Records every joint change and plays recordings back on a timeline
+ *
+ * The recorder listens to SliderControlledX3DElement angle changes, so slider input,
+ * 3D sensor drags and animated moves (MQTT, KRL, ROS) are all captured, each event
+ * with its time in ms from the start of the recording and its source. Playback holds
+ * each joint at its last recorded angle and drives the sliders like a trajectory, with
+ * collision checks; it can be scrubbed, sped up or slowed down and looped.
+ * Recordings are saved and loaded as JSON.
+ */
+
+const RobotRecorder = (function() {
+    const fileFormat = 'kr4r600-motion-recording';
+    const fileVersion = 1;
+    const sources = ['slider', 'sensor', 'motion'];
+
+    let recording = null;             // { created, duration, start, events }
+    let isRecording = false;
+    let recordStart = 0;
+    let recordTimer = null;
+
+    let playhead = 0;                 // ms into the recording
+    let playing = false;
+    let animationId = null;           // SliderControlledX3DElement animation the playback owns
+    let lastFrame = 0;
+    let speed = 1;
+    let loop = false;
+
+    /**
+     * Initialize the recorder controls and start listening to joint changes
+     */
+    function init() {
+        SliderControlledX3DElement.addAngleChangeListener(onAngleChange);
+        setupUI();
+        updateUI();
+        console.log('Robot Recorder Module initialized');
+    }
+
+    function setupUI() {
+        const recordBtn = document.getElementById('recordMotion');
+        if (!recordBtn) return;
+
+        recordBtn.addEventListener('click', startRecording);
+        document.getElementById('stopMotion').addEventListener('click', () => {
+            if (isRecording) {
+                stopRecording();
+            } else {
+                pause();
+                seek(0);
+            }
+        });
+        document.getElementById('playRecording').addEventListener('click', play);
+        document.getElementById('pauseRecording').addEventListener('click', pause);
+
+        document.getElementById('recordingTimeline').addEventListener('input', (event) => {
+            pause();
+            seek(parseFloat(event.target.value));
+        });
+        document.getElementById('playbackSpeed').addEventListener('change', (event) => setSpeed(parseFloat(event.target.value)));
+        document.getElementById('loopPlayback').addEventListener('change', (event) => setLoop(event.target.checked));
+
+        document.getElementById('saveRecording').addEventListener('click', () => {
+            if (!recording) {
+                RobotKinematics.setStatus('Nothing recorded yet', true);
+                return;
+            }
+            const blob = new Blob([exportJSON()], { type: 'application/json' });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = 'recording_' + recording.created.replace(/[:.]/g, '-') + '.json';
+            a.click();
+        });
+
+        const fileInput = document.getElementById('recordingFileInput');
+        document.getElementById('loadRecording').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                const result = importJSON(text);
+                if (result.ok) {
+                    RobotKinematics.setStatus(`Loaded recording ${file.name} (${result.events} events, ${formatTime(recording.duration)} s)`);
+                } else {
+                    RobotKinematics.setStatus('Recording not loaded: ' + result.error, true);
+                }
+            });
+            fileInput.value = '';
+        });
+    }
+
+    // ========================================================================
+    // Recording
+    // ========================================================================
+
+    function currentAngles() {
+        const angles = {};
+        SliderControlledX3DElement.forEachInstance(instance => {
+            if (instance.slider) angles[instance.nodeName] = parseFloat(instance.slider.value);
+        });
+        return angles;
+    }
+
+    /**
+     * Start a new recording from the current pose, replacing the previous one
+     */
+    function startRecording() {
+        pause();
+        recording = {
+            created: new Date().toISOString(),
+            duration: 0,
+            start: currentAngles(),
+            events: []
+        };
+        playhead = 0;
+        isRecording = true;
+        recordStart = performance.now();
+        recordTimer = setInterval(updateUI, 100);
+        updateUI();
+        console.log('Recording started');
+    }
+
+    /**
+     * Stop recording, the recording then ends at this moment
+     */
+    function stopRecording() {
+        if (!isRecording) return;
+        isRecording = false;
+        clearInterval(recordTimer);
+        recordTimer = null;
+        recording.duration = Math.round(performance.now() - recordStart);
+        playhead = 0;
+        updateUI();
+        console.log(`Recording stopped: ${recording.events.length} events in ${formatTime(recording.duration)} s`);
+    }
+
+    function onAngleChange(nodeName, angle, source) {
+        if (!isRecording) return;
+        recording.events.push({
+            t: Math.round(performance.now() - recordStart),
+            joint: nodeName,
+            angle: Math.round(angle * 1000) / 1000,
+            source: source
+        });
+    }
+
+    // ========================================================================
+    // Playback
+    // ========================================================================
+
+    /**
+     * Joint angles at a time of the recording
+     * @param {number} time - ms from the start
+     * @returns {Object} Angles in degrees keyed by joint name
+     */
+    function poseAt(time) {
+        const pose = Object.assign({}, recording.start);
+        for (const event of recording.events) {
+            if (event.t > time) break;
+            pose[event.joint] = event.angle;
+        }
+        return pose;
+    }
+
+    /**
+     * Play from the playhead (from the start if it is at the end)
+     */
+    function play() {
+        if (isRecording) stopRecording();
+        if (!recording || recording.duration <= 0) {
+            RobotKinematics.setStatus('Nothing to play, record or load a recording first', true);
+            return;
+        }
+        if (playhead >= recording.duration) playhead = 0;
+
+        // Take over the sliders: a load, trajectory or collision stop ends the playback
+        SliderControlledX3DElement.stopAnimation();
+        animationId = SliderControlledX3DElement.animationCounter;
+        playing = true;
+        lastFrame = performance.now();
+        SliderControlledX3DElement.applyAngles(poseAt(playhead));
+        updateUI();
+        requestAnimationFrame(playFrame);
+    }
+
+    function playFrame() {
+        if (!playing) return;
+        if (animationId !== SliderControlledX3DElement.animationCounter) {
+            pause();
+            return;
+        }
+
+        const now = performance.now();
+        playhead += (now - lastFrame) * speed;
+        lastFrame = now;
+
+        if (playhead >= recording.duration) {
+            if (loop) {
+                playhead %= recording.duration;
+            } else {
+                playhead = recording.duration;
+                playing = false;
+            }
+        }
+        SliderControlledX3DElement.applyAngles(poseAt(playhead));
+        updateUI();
+        if (playing) requestAnimationFrame(playFrame);
+    }
+
+    /**
+     * Pause the playback at the playhead
+     */
+    function pause() {
+        playing = false;
+        updateUI();
+    }
+
+    /**
+     * Move the playhead and the robot to a time of the recording
+     * @param {number} time - ms from the start, clamped to the recording
+     */
+    function seek(time) {
+        if (!recording) return;
+        playhead = Math.max(0, Math.min(recording.duration, time));
+        lastFrame = performance.now();
+        SliderControlledX3DElement.applyAngles(poseAt(playhead));
+        updateUI();
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} factor - 0.1 to 10, 1 is real time
+     * @returns {boolean} True if the value was accepted
+     */
+    function setSpeed(factor) {
+        if (typeof factor !== 'number' || isNaN(factor) || factor < 0.1 || factor > 10) {
+            console.error('Playback speed must be between 0.1 and 10');
+            return false;
+        }
+        speed = factor;
+        const select = document.getElementById('playbackSpeed');
+        if (select && parseFloat(select.value) !== factor) select.value = String(factor);
+        return true;
+    }
+
+    function setLoop(enabled) {
+        loop = !!enabled;
+        const checkbox = document.getElementById('loopPlayback');
+        if (checkbox) checkbox.checked = loop;
+    }
+
+    // ========================================================================
+    // Save/Load
+    // ========================================================================
+
+    /**
+     * Export the recording as JSON
+     * @returns {string|null} JSON string, null if nothing was recorded
+     */
+    function exportJSON() {
+        if (!recording) return null;
+        return JSON.stringify({
+            format: fileFormat,
+            version: fileVersion,
+            created: recording.created,
+            duration: recording.duration,
+            start: recording.start,
+            events: recording.events
+        }, null, 2);
+    }
+
+    /**
+     * Load a recording saved with exportJSON
+     * @param {string} jsonString - The recording
+     * @returns {Object} { ok: true, events } or { ok: false, error }
+     */
+    function importJSON(jsonString) {
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch (error) {
+            return { ok: false, error: 'Not valid JSON' };
+        }
+        if (!data || data.format !== fileFormat) return { ok: false, error: 'Not a motion recording' };
+        if (data.version !== fileVersion) return { ok: false, error: `Unsupported recording version ${data.version}` };
+
+        const joints = SliderControlledX3DElement.getAllInstances().map(instance => instance.nodeName);
+        const isAngle = (value) => typeof value === 'number' && isFinite(value);
+        if (!data.start || typeof data.start !== 'object' || !Object.keys(data.start).every(name => joints.includes(name) && isAngle(data.start[name]))) {
+            return { ok: false, error: 'start must hold the angles of the joints ' + joints.join(', ') };
+        }
+        if (!Array.isArray(data.events)) return { ok: false, error: 'events must be an array' };
+
+        let lastTime = 0;
+        for (let i = 0; i < data.events.length; i++) {
+            const event = data.events[i];
+            if (!event || !isAngle(event.t) || event.t < lastTime) {
+                return { ok: false, error: `Event ${i}: t must be a time in ms, not before the previous event` };
+            }
+            if (!joints.includes(event.joint)) return { ok: false, error: `Event ${i}: unknown joint ${event.joint}` };
+            if (!isAngle(event.angle)) return { ok: false, error: `Event ${i}: angle must be a number` };
+            if (event.source !== undefined && !sources.includes(event.source)) {
+                return { ok: false, error: `Event ${i}: source must be one of ${sources.join(', ')}` };
+            }
+            lastTime = event.t;
+        }
+        if (!isAngle(data.duration) || data.duration < lastTime) {
+            return { ok: false, error: 'duration must cover the last event' };
+        }
+
+        if (isRecording) stopRecording();
+        pause();
+        recording = {
+            created: typeof data.created === 'string' ? data.created : new Date().toISOString(),
+            duration: data.duration,
+            start: data.start,
+            events: data.events
+        };
+        playhead = 0;
+        updateUI();
+        console.log(`Recording loaded: ${recording.events.length} events in ${formatTime(recording.duration)} s`);
+        return { ok: true, events: recording.events.length };
+    }
+
+    // ========================================================================
+    // UI
+    // ========================================================================
+
+    function formatTime(ms) {
+        return (ms / 1000).toFixed(1);
+    }
+
+    function updateUI() {
+        const timeline = document.getElementById('recordingTimeline');
+        const timeLabel = document.getElementById('recordingTime');
+        if (!timeline || !timeLabel) return;
+
+        const recordBtn = document.getElementById('recordMotion');
+        recordBtn.disabled = isRecording;
+        recordBtn.classList.toggle('active', isRecording);
+        document.getElementById('playRecording').disabled = isRecording || playing || !recording;
+        document.getElementById('pauseRecording').disabled = !playing;
+        document.getElementById('saveRecording').disabled = isRecording || !recording;
+
+        if (isRecording) {
+            const elapsed = performance.now() - recordStart;
+            timeline.max = 0;
+            timeline.value = 0;
+            timeline.disabled = true;
+            timeLabel.textContent = `● ${formatTime(elapsed)} s, ${recording.events.length} events`;
+            return;
+        }
+
+        const duration = recording ? recording.duration : 0;
+        timeline.disabled = !recording;
+        timeline.max = duration;
+        timeline.value = playhead;
+        timeLabel.textContent = `${formatTime(playhead)} / ${formatTime(duration)} s`;
+    }
+
+    // Public API
+    return {
+        init: init,
+        startRecording: startRecording,
+        stopRecording: stopRecording,
+        play: play,
+        pause: pause,
+        seek: seek,
+        setSpeed: setSpeed,
+        setLoop: setLoop,
+        exportJSON: exportJSON,
+        importJSON: importJSON,
+        getRecording: () => recording,
+        getPlayhead: () => playhead,
+        isRecording: () => isRecording,
+        isPlaying: () => playing
+    };
+})();
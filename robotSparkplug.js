@@ -0,0 +1,354 @@
+/**
+ * Robot Sparkplug B Module
+ * Topic namespace, metrics and protobuf payloads of Sparkplug B (spBv1.0) for robotMQTT.js
+ *
+ * The twin is an edge node with one device, the robot:
+ *   spBv1.0/<group>/NBIRTH|NDEATH|NCMD/<edge node>
+ *   spBv1.0/<group>/DBIRTH|DDEATH|DDATA|DCMD/<edge node>/<device>
+ * The payload codec covers the Payload and Metric messages of sparkplug_b.proto for
+ * scalar metrics (no datasets, templates or metadata), which is all the twin publishes.
+ */
+
+const RobotSparkplug = (function() {
+    const namespace = 'spBv1.0';
+    const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+
+    // Sparkplug B data types (sparkplug_b.proto, DataType)
+    const DataType = {
+        Int8: 1, Int16: 2, Int32: 3, Int64: 4,
+        UInt8: 5, UInt16: 6, UInt32: 7, UInt64: 8,
+        Float: 9, Double: 10, Boolean: 11, String: 12,
+        DateTime: 13, Text: 14
+    };
+
+    // Metric value field number by data type
+    function valueField(datatype) {
+        if (datatype <= DataType.Int32 || (datatype >= DataType.UInt8 && datatype <= DataType.UInt32)) return 10;
+        if (datatype === DataType.Int64 || datatype === DataType.UInt64 || datatype === DataType.DateTime) return 11;
+        if (datatype === DataType.Float) return 12;
+        if (datatype === DataType.Double) return 13;
+        if (datatype === DataType.Boolean) return 14;
+        return 15;
+    }
+
+    // ========================================================================
+    // Protobuf Encoding
+    // ========================================================================
+
+    /**
+     * Varint of a non-negative integer up to 2^53 (uint64 timestamps do not fit in 32 bit operators)
+     */
+    function varint(value) {
+        const bytes = [];
+        let remaining = Math.floor(value);
+        while (remaining >= 0x80) {
+            bytes.push((remaining % 0x80) | 0x80);
+            remaining = Math.floor(remaining / 0x80);
+        }
+        bytes.push(remaining);
+        return bytes;
+    }
+
+    function key(field, wireType) {
+        return varint(field * 8 + wireType);
+    }
+
+    function varintField(field, value) {
+        return key(field, 0).concat(varint(value));
+    }
+
+    function bytesField(field, bytes) {
+        return key(field, 2).concat(varint(bytes.length), Array.from(bytes));
+    }
+
+    function stringField(field, text) {
+        return bytesField(field, new TextEncoder().encode(text));
+    }
+
+    function fixedField(field, value, size) {
+        const view = new DataView(new ArrayBuffer(size));
+        if (size === 8) view.setFloat64(0, value, true);
+        else view.setFloat32(0, value, true);
+        return key(field, size === 8 ? 1 : 5).concat(Array.from(new Uint8Array(view.buffer)));
+    }
+
+    /**
+     * PropertySet with string properties, e.g. { engUnit: 'deg' }
+     */
+    function encodeProperties(properties) {
+        let keys = [];
+        let values = [];
+        Object.keys(properties).forEach(name => {
+            keys = keys.concat(stringField(1, name));
+            // PropertyValue: type = String, string_value
+            values = values.concat(bytesField(2, varintField(1, DataType.String).concat(stringField(8, String(properties[name])))));
+        });
+        return keys.concat(values);
+    }
+
+    function encodeMetric(metric) {
+        let bytes = stringField(1, metric.name);
+        if (metric.timestamp !== undefined) bytes = bytes.concat(varintField(3, metric.timestamp));
+        bytes = bytes.concat(varintField(4, metric.datatype));
+
+        if (metric.value === null || metric.value === undefined) {
+            return bytes.concat(varintField(7, 1));
+        }
+        if (metric.properties) {
+            bytes = bytes.concat(bytesField(9, encodeProperties(metric.properties)));
+        }
+
+        const field = valueField(metric.datatype);
+        if (field === 10) return bytes.concat(varintField(10, metric.value >>> 0));
+        if (field === 11) return bytes.concat(varintField(11, metric.value));
+        if (field === 12) return bytes.concat(fixedField(12, metric.value, 4));
+        if (field === 13) return bytes.concat(fixedField(13, metric.value, 8));
+        if (field === 14) return bytes.concat(varintField(14, metric.value ? 1 : 0));
+        return bytes.concat(stringField(15, String(metric.value)));
+    }
+
+    /**
+     * Encode a Sparkplug B payload
+     * @param {Object} payload - { timestamp, seq, metrics: [{ name, datatype, value, timestamp, properties }] }
+     * @returns {Uint8Array} Protobuf bytes
+     */
+    function encodePayload(payload) {
+        let bytes = varintField(1, payload.timestamp !== undefined ? payload.timestamp : Date.now());
+        (payload.metrics || []).forEach(metric => {
+            bytes = bytes.concat(bytesField(2, encodeMetric(metric)));
+        });
+        if (payload.seq !== undefined) bytes = bytes.concat(varintField(3, payload.seq));
+        return new Uint8Array(bytes);
+    }
+
+    // ========================================================================
+    // Protobuf Decoding
+    // ========================================================================
+
+    /**
+     * Split a protobuf message into its fields
+     * @returns {Array} [{ field, wireType, value }] with varints as numbers and other types as byte arrays
+     */
+    function readFields(bytes) {
+        const fields = [];
+        let position = 0;
+
+        function readVarint() {
+            let value = 0;
+            let scale = 1;
+            let byte;
+            do {
+                if (position >= bytes.length) throw new Error('Truncated Sparkplug payload');
+                byte = bytes[position++];
+                value += (byte & 0x7f) * scale;
+                scale *= 0x80;
+            } while (byte & 0x80);
+            return value;
+        }
+
+        function take(length) {
+            if (position + length > bytes.length) throw new Error('Truncated Sparkplug payload');
+            const slice = bytes.subarray(position, position + length);
+            position += length;
+            return slice;
+        }
+
+        while (position < bytes.length) {
+            const tag = readVarint();
+            const field = Math.floor(tag / 8);
+            const wireType = tag % 8;
+            let value;
+            if (wireType === 0) value = readVarint();
+            else if (wireType === 1) value = take(8);
+            else if (wireType === 2) value = take(readVarint());
+            else if (wireType === 5) value = take(4);
+            else throw new Error('Unsupported protobuf wire type ' + wireType);
+            fields.push({ field: field, wireType: wireType, value: value });
+        }
+        return fields;
+    }
+
+    function readFixed(bytes, size) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, size);
+        return size === 8 ? view.getFloat64(0, true) : view.getFloat32(0, true);
+    }
+
+    function signed(value, datatype) {
+        if (datatype === DataType.Int8) return (value << 24) >> 24;
+        if (datatype === DataType.Int16) return (value << 16) >> 16;
+        if (datatype === DataType.Int32) return value | 0;
+        return value;
+    }
+
+    function decodeMetric(bytes) {
+        const metric = { name: undefined, alias: undefined, datatype: undefined, value: undefined };
+        readFields(bytes).forEach(({ field, value }) => {
+            switch (field) {
+                case 1: metric.name = new TextDecoder().decode(value); break;
+                case 2: metric.alias = value; break;
+                case 3: metric.timestamp = value; break;
+                case 4: metric.datatype = value; break;
+                case 7: if (value) metric.value = null; break;
+                case 10: metric.value = value; break;
+                case 11: metric.value = value; break;
+                case 12: metric.value = readFixed(value, 4); break;
+                case 13: metric.value = readFixed(value, 8); break;
+                case 14: metric.value = value !== 0; break;
+                case 15: metric.value = new TextDecoder().decode(value); break;
+            }
+        });
+        if (typeof metric.value === 'number') metric.value = signed(metric.value, metric.datatype);
+        return metric;
+    }
+
+    /**
+     * Decode a Sparkplug B payload
+     * @param {Uint8Array} bytes - Protobuf bytes
+     * @returns {Object} { timestamp, seq, metrics: [{ name, alias, datatype, value, timestamp }] }
+     */
+    function decodePayload(bytes) {
+        const payload = { timestamp: undefined, seq: undefined, metrics: [] };
+        readFields(bytes).forEach(({ field, value }) => {
+            if (field === 1) payload.timestamp = value;
+            else if (field === 2) payload.metrics.push(decodeMetric(value));
+            else if (field === 3) payload.seq = value;
+        });
+        return payload;
+    }
+
+    // ========================================================================
+    // Topics and Metrics
+    // ========================================================================
+
+    /**
+     * Sparkplug topic for a message type
+     * @param {Object} ids - { groupId, edgeNodeId, deviceId }
+     * @param {string} messageType - NBIRTH, NDEATH, NCMD, DBIRTH, DDEATH, DDATA or DCMD
+     */
+    function topic(ids, messageType) {
+        const nodeTopic = `${namespace}/${ids.groupId}/${messageType}/${ids.edgeNodeId}`;
+        return messageType.charAt(0) === 'N' ? nodeTopic : `${nodeTopic}/${ids.deviceId}`;
+    }
+
+    /**
+     * Parse a Sparkplug topic
+     * @returns {Object|null} { groupId, messageType, edgeNodeId, deviceId } or null for other topics
+     */
+    function parseTopic(text) {
+        const parts = text.split('/');
+        if (parts[0] !== namespace || parts.length < 4) return null;
+        return { groupId: parts[1], messageType: parts[2], edgeNodeId: parts[3], deviceId: parts[4] };
+    }
+
+    /**
+     * Edge node metrics for NBIRTH
+     * @param {number} bdSeq - Birth/death sequence of this connection (also in the NDEATH will)
+     */
+    function nodeBirthMetrics(bdSeq) {
+        return [
+            { name: 'bdSeq', datatype: DataType.Int64, value: bdSeq },
+            { name: 'Node Control/Rebirth', datatype: DataType.Boolean, value: false },
+            { name: 'Properties/Hardware', datatype: DataType.String, value: 'KUKA KR4 R600 digital twin' }
+        ];
+    }
+
+    /**
+     * Robot device metrics from a pose of RobotMQTT (joints, velocities, tcp, frames, gripper, motion)
+     * @param {Object} pose - Current pose
+     * @param {string} lastResult - Outcome of the last DCMD
+     * @param {boolean} birth - Include the engineering units (DBIRTH only)
+     * @returns {Array} Metrics
+     */
+    function deviceMetrics(pose, lastResult, birth = false) {
+        const metrics = [];
+        const add = (name, datatype, value, unit) => {
+            const metric = { name: name, datatype: datatype, value: value, timestamp: pose.timestamp };
+            if (birth && unit) metric.properties = { engUnit: unit };
+            metrics.push(metric);
+        };
+
+        axisNames.forEach(name => {
+            add(`Axes/${name}/Angle`, DataType.Double, pose.joints[name], 'deg');
+            add(`Axes/${name}/Velocity`, DataType.Double, pose.velocities ? pose.velocities[name] : 0, 'deg/s');
+        });
+        if (pose.tcp) {
+            ['x', 'y', 'z'].forEach(axis => add('TCP/' + axis.toUpperCase(), DataType.Double, pose.tcp[axis], 'mm'));
+            ['a', 'b', 'c'].forEach(axis => add('TCP/' + axis.toUpperCase(), DataType.Double, pose.tcp[axis], 'deg'));
+        }
+        if (pose.frames) {
+            add('Frames/Tool/Number', DataType.Int32, pose.frames.tool.number);
+            add('Frames/Tool/Name', DataType.String, pose.frames.tool.name);
+            add('Frames/Base/Number', DataType.Int32, pose.frames.base.number);
+            add('Frames/Base/Name', DataType.String, pose.frames.base.name);
+        }
+        if (pose.gripper) {
+            add('Gripper/Width', DataType.Double, pose.gripper.width, 'mm');
+            add('Gripper/State', DataType.String, pose.gripper.state);
+        }
+
+        const motion = pose.motion || { state: 'idle' };
+        add('Motion/State', DataType.String, motion.state);
+        add('Alarms/Active', DataType.Boolean, motion.state === 'error');
+        add('Alarms/Message', DataType.String, motion.error || '');
+        add('Commands/Home', DataType.Boolean, false);
+        add('Commands/Last Result', DataType.String, lastResult || '');
+        return metrics;
+    }
+
+    /**
+     * Metrics whose value differs from the last reported one (report by exception)
+     * @param {Object} reported - Last reported value by metric name, updated in place
+     * @param {Array} metrics - Current metrics
+     * @returns {Array} Changed metrics
+     */
+    function changedMetrics(reported, metrics) {
+        return metrics.filter(metric => {
+            if (reported[metric.name] === metric.value) return false;
+            reported[metric.name] = metric.value;
+            return true;
+        });
+    }
+
+    /**
+     * Translate DCMD metric writes into JSON commands of robotMQTT.js
+     * Axes/An/Angle writes become one move, Gripper/Width a gripper_width, Commands/Home a home
+     * @param {Array} metrics - Decoded DCMD metrics
+     * @returns {Object} { commands, errors } with a message per metric that cannot be written
+     */
+    function commandsFromMetrics(metrics) {
+        const commands = [];
+        const errors = [];
+        const joints = {};
+
+        metrics.forEach(metric => {
+            const axis = /^Axes\/(A[1-6])\/Angle$/.exec(metric.name || '');
+            if (axis && typeof metric.value === 'number') {
+                joints[axis[1]] = metric.value;
+            } else if (metric.name === 'Gripper/Width' && typeof metric.value === 'number') {
+                commands.push({ type: 'gripper_width', width: metric.value });
+            } else if (metric.name === 'Commands/Home' && metric.value === true) {
+                commands.push({ type: 'home' });
+            } else if (metric.name === 'Commands/Home' && metric.value === false) {
+                // Writing false resets the button, nothing to do
+            } else {
+                errors.push(`${metric.name || 'alias ' + metric.alias} is not writable with ${JSON.stringify(metric.value)}`);
+            }
+        });
+
+        if (Object.keys(joints).length > 0) commands.unshift({ type: 'move', joints: joints });
+        return { commands: commands, errors: errors };
+    }
+
+    // Public API
+    return {
+        DataType: DataType,
+        encodePayload: encodePayload,
+        decodePayload: decodePayload,
+        topic: topic,
+        parseTopic: parseTopic,
+        nodeBirthMetrics: nodeBirthMetrics,
+        deviceMetrics: deviceMetrics,
+        changedMetrics: changedMetrics,
+        commandsFromMetrics: commandsFromMetrics
+    };
+})();
@@ -0,0 +1,311 @@
+/**
+ * Robot Trajectory Module
+ * Time-optimal, axis-synchronized joint trajectories for the KR4 R600
+ *
+ * Every axis follows the same normalized velocity profile (trapezoid or S-curve),
+ * so all axes start and stop together. The duration is the shortest one that keeps
+ * every axis within its velocity and acceleration limit; a longer requested duration
+ * is honoured, a shorter one is stretched. The program override ($OV_PRO) then slows
+ * the whole motion down in time.
+ */
+
+const RobotTrajectory = (function() {
+    const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+
+    // Axis accelerations (degrees/second²) from robot-description.json. KUKA does not publish
+    // these for the KR4, the values are estimates giving ramps of roughly 0.25 s to full speed.
+    let axisMaxAcceleration = {};
+
+    const sampleInterval = 10;        // ms between trajectory samples
+    const defaultRampFraction = 0.25; // Share of the motion spent accelerating when there is time to spare
+
+    let override = 100;               // $OV_PRO in %
+    let profile = 'trapezoid';        // 'trapezoid' or 'scurve'
+
+    /**
+     * Take the axis accelerations from the robot description
+     * @param {Object} description - Validated robot-description.json (see RobotDescription)
+     */
+    function configure(description) {
+        axisMaxAcceleration = {};
+        description.joints.forEach(joint => { axisMaxAcceleration[joint.name] = joint.maxAcceleration; });
+    }
+
+    /**
+     * Initialize the override and profile controls
+     */
+    function init() {
+        const slider = document.getElementById('overrideSlider');
+        const select = document.getElementById('motionProfile');
+
+        if (slider) {
+            slider.value = override;
+            slider.addEventListener('input', () => setOverride(parseFloat(slider.value)));
+        }
+        if (select) {
+            select.value = profile;
+            select.addEventListener('change', () => setProfile(select.value));
+        }
+        updateDisplay();
+        console.log('Robot Trajectory Module initialized');
+    }
+
+    // ========================================================================
+    // Velocity Profiles
+    // ========================================================================
+
+    /**
+     * Peak acceleration of a profile relative to a trapezoid with the same ramp time
+     * (the S-curve's sine-shaped ramp peaks at π/2 times the constant ramp acceleration)
+     */
+    function accelerationFactor(type) {
+        return type === 'scurve' ? Math.PI / 2 : 1;
+    }
+
+    /**
+     * Normalized position (0..1) at normalized time tau (0..1)
+     * @param {number} tau - Normalized time
+     * @param {number} ramp - Ramp time as a fraction of the motion (0..0.5)
+     * @param {string} type - 'trapezoid' or 'scurve'
+     */
+    function profilePosition(tau, ramp, type) {
+        if (tau <= 0) return 0;
+        if (tau >= 1) return 1;
+        if (ramp <= 0) return tau;
+
+        const peak = 1 / (1 - ramp);
+        const rampDistance = (t) => type === 'scurve'
+            ? peak / 2 * (t - ramp / Math.PI * Math.sin(Math.PI * t / ramp))
+            : peak * t * t / (2 * ramp);
+
+        if (tau < ramp) return rampDistance(tau);
+        if (tau > 1 - ramp) return 1 - rampDistance(1 - tau);
+        return peak * (tau - ramp / 2);
+    }
+
+    /**
+     * Find the shortest duration and its ramp time that keep all axes within limits
+     * @param {Array} distances - Absolute joint travel per axis in degrees
+     * @param {Array} velocities - Velocity limit per axis in degrees/s
+     * @param {Array} accelerations - Acceleration limit per axis in degrees/s²
+     * @returns {Object} { time, limitingAxis } with time in seconds
+     */
+    function minimumTime(distances, velocities, accelerations) {
+        let lower = 0;
+        let limitingAxis = null;
+        distances.forEach((d, i) => {
+            if (d <= 1e-9) return;
+            const v = velocities[i];
+            const a = accelerations[i];
+            const t = d >= v * v / a ? d / v + v / a : 2 * Math.sqrt(d / a);
+            if (t > lower) {
+                lower = t;
+                limitingAxis = axisNames[i];
+            }
+        });
+        if (lower === 0) return { time: 0, limitingAxis: null };
+
+        // Each axis may need a different ramp on its own, find the shortest time with a common one
+        let upper = lower;
+        while (rampRange(upper, distances, velocities, accelerations) === null) upper *= 2;
+        for (let i = 0; i < 50 && upper - lower > 1e-6; i++) {
+            const middle = (lower + upper) / 2;
+            if (rampRange(middle, distances, velocities, accelerations) === null) lower = middle;
+            else upper = middle;
+        }
+        return { time: upper, limitingAxis: limitingAxis };
+    }
+
+    /**
+     * Range of common ramp times that fits every axis for a total time T (seconds)
+     * @returns {Object|null} { min, max } or null if no ramp works
+     */
+    function rampRange(T, distances, velocities, accelerations) {
+        let min = 0;
+        let max = T / 2;
+        for (let i = 0; i < distances.length; i++) {
+            const d = distances[i];
+            if (d <= 1e-9) continue;
+
+            // Peak velocity d / (T - ramp) must not exceed the limit
+            max = Math.min(max, T - d / velocities[i]);
+
+            // Ramp acceleration d / ((T - ramp) * ramp) must not exceed the limit; at the
+            // minimum time the discriminant is zero up to round-off
+            const discriminant = T * T - 4 * d / accelerations[i];
+            if (discriminant < -1e-9 * T * T) return null;
+            min = Math.max(min, (T - Math.sqrt(Math.max(discriminant, 0))) / 2);
+        }
+        return min <= max + 1e-9 ? { min: min, max: Math.max(min, max) } : null;
+    }
+
+    // ========================================================================
+    // Planning
+    // ========================================================================
+
+    /**
+     * Plan a synchronized point-to-point joint motion
+     * @param {Object} from - Start joint angles in degrees
+     * @param {Object} to - Target joint angles in degrees (missing axes stay where they are)
+     * @param {Object} options - { duration (ms, requested), velocityScale, accelerationScale
+     *        ([A1..A6] in %, like $VEL_AXIS/$ACC_AXIS), profile }
+     * @returns {Object} { samples, duration, minimumDuration, requestedDuration, stretched, limitingAxis }
+     */
+    function planPTP(from, to, options = {}) {
+        const type = options.profile || profile;
+        const target = {};
+        axisNames.forEach(name => {
+            target[name] = to[name] !== undefined ? to[name] : from[name];
+        });
+
+        const maxSpeed = RobotKinematics.getAxisMaxSpeed();
+        const distances = axisNames.map(name => Math.abs(target[name] - from[name]));
+        const velocities = axisNames.map((name, i) => maxSpeed[name] * (options.velocityScale ? options.velocityScale[i] : 100) / 100);
+        const accelerations = axisNames.map((name, i) => axisMaxAcceleration[name] *
+            (options.accelerationScale ? options.accelerationScale[i] : 100) / 100 / accelerationFactor(type));
+
+        const minimum = minimumTime(distances, velocities, accelerations);
+        const minimumDuration = minimum.time * 1000;
+        const requestedDuration = options.duration !== undefined ? options.duration : 0;
+        const baseDuration = Math.max(minimumDuration, requestedDuration);
+
+        // Ramp time for the chosen duration, as close to the default share as the limits allow.
+        // Every time from the minimum on has a ramp range, the minimum itself is used unconverted.
+        let ramp = 0;
+        if (baseDuration > 0) {
+            const T = Math.max(minimum.time, requestedDuration / 1000);
+            const range = rampRange(T, distances, velocities, accelerations);
+            if (!range) throw new Error(`No ramp fits the PTP motion in ${T.toFixed(3)} s`);
+            ramp = Math.min(Math.max(T * defaultRampFraction, range.min), range.max) / T;
+        }
+
+        // Override stretches the motion in time: speeds scale with it, accelerations with its square
+        const duration = baseDuration * 100 / override;
+        const count = Math.max(1, Math.ceil(duration / sampleInterval));
+        const samples = [];
+        for (let i = 0; i <= count; i++) {
+            const s = profilePosition(i / count, ramp, type);
+            // Every axis must stay between its start and goal, a broken ramp would overshoot
+            if (!(s >= -1e-9 && s <= 1 + 1e-9)) {
+                throw new Error(`PTP profile left the start-goal range (s = ${s}, ramp ${ramp})`);
+            }
+            const angles = {};
+            axisNames.forEach(name => {
+                angles[name] = from[name] + (target[name] - from[name]) * s;
+            });
+            samples.push({ time: duration * i / count, angles: angles });
+        }
+
+        return {
+            samples: samples,
+            duration: duration,
+            minimumDuration: minimumDuration,
+            requestedDuration: requestedDuration,
+            stretched: requestedDuration > 0 && requestedDuration < minimumDuration - 0.5,
+            limitingAxis: minimum.limitingAxis
+        };
+    }
+
+    /**
+     * Re-time a constant-speed path so it accelerates and decelerates smoothly
+     * @param {Array} samples - [{ time, angles }] timed for constant path speed
+     * @param {number} rampTime - Time to reach path speed in milliseconds (speed / acceleration)
+     * @returns {Array} New samples with the velocity profile and override applied
+     */
+    function applyProfile(samples, rampTime) {
+        const total = samples[samples.length - 1].time;
+        if (total <= 0) return samples;
+
+        // Same cruise speed as before, plus the time lost while ramping up and down
+        const profiled = rampTime <= total ? total + rampTime : 2 * Math.sqrt(total * rampTime);
+        const ramp = Math.min(rampTime, profiled / 2) / profiled;
+        const duration = profiled * 100 / override;
+
+        return samples.map(sample => {
+            // Invert the profile: find the time at which the path has progressed this far
+            const progress = sample.time / total;
+            let low = 0;
+            let high = 1;
+            for (let i = 0; i < 30; i++) {
+                const middle = (low + high) / 2;
+                if (profilePosition(middle, ramp, profile) < progress) low = middle;
+                else high = middle;
+            }
+            return { time: duration * (low + high) / 2, angles: sample.angles };
+        });
+    }
+
+    /**
+     * Play a planned trajectory on the robot
+     * @returns {Promise<boolean>} True when the target was reached, false if stopped
+     */
+    function execute(plan) {
+        return SliderControlledX3DElement.playTrajectory(plan.samples);
+    }
+
+    /**
+     * Plan and play a joint move from the current position
+     * @returns {Promise<boolean>} True when the target was reached, false if stopped
+     */
+    function moveJoints(angles, options = {}) {
+        return execute(planPTP(RobotKinematics.getJointAngles(), angles, options));
+    }
+
+    // ========================================================================
+    // Override and Profile
+    // ========================================================================
+
+    /**
+     * Set the program override $OV_PRO
+     * @param {number} percent - 1 to 100
+     * @returns {boolean} True if the value was accepted
+     */
+    function setOverride(percent) {
+        if (typeof percent !== 'number' || isNaN(percent) || percent < 1 || percent > 100) {
+            console.error('Override must be between 1 and 100 %');
+            return false;
+        }
+        override = percent;
+        updateDisplay();
+        return true;
+    }
+
+    /**
+     * Select the velocity profile for new motions
+     * @param {string} type - 'trapezoid' or 'scurve'
+     * @returns {boolean} True if the profile is known
+     */
+    function setProfile(type) {
+        if (type !== 'trapezoid' && type !== 'scurve') {
+            console.error('Unknown velocity profile:', type);
+            return false;
+        }
+        profile = type;
+        updateDisplay();
+        return true;
+    }
+
+    function updateDisplay() {
+        const slider = document.getElementById('overrideSlider');
+        const value = document.getElementById('overrideValue');
+        const select = document.getElementById('motionProfile');
+        if (slider && parseFloat(slider.value) !== override) slider.value = override;
+        if (value) value.textContent = override + '%';
+        if (select && select.value !== profile) select.value = profile;
+    }
+
+    // Public API
+    return {
+        init: init,
+        configure: configure,
+        planPTP: planPTP,
+        applyProfile: applyProfile,
+        execute: execute,
+        moveJoints: moveJoints,
+        setOverride: setOverride,
+        getOverride: () => override,
+        setProfile: setProfile,
+        getProfile: () => profile,
+        getAxisMaxAcceleration: () => axisMaxAcceleration
+    };
+})();
@@ -0,0 +1,514 @@
+/**
+ * Robot URDF Module
+ * Exports the loaded scene as a URDF (or xacro macro) and builds the slider set from a URDF
+ *
+ * The exporter walks the RobotJoint PROTO instances below A1: joints with a slider become
+ * revolute joints (axis and limits from the slider), the gripper fingers prismatic joints
+ * (FINGER2 mimics FINGER), everything else fixed joints. Visuals are the Inline files of
+ * the scene; ROS tools cannot read VRML, so convert them to STL/DAE in the meshes folder
+ * of the description package and adjust the extension. Lengths are in m, angles in rad.
+ * Joint names (joint_a1..joint_a6) match the ROS 2 bridge.
+ */
+
+const RobotURDF = (function() {
+    const robotName = 'kr4r600';
+    const rootJoint = 'A1';
+    const baseInline = 'Base';
+    const mmToM = 0.001;
+
+    const config = {
+        meshPackage: 'kr4r600_description'   // ROS package holding meshes/ with the converted geometry
+    };
+
+    // Geometry of the PROTOs that load their Inline internally instead of from a field
+    const protoGeometry = {
+        AdapterFlanch2gripper: 'AdapterFlanch2gripper.wrl',
+        SchunkGripper: 'SCHUNK-0310940 EGP 40-N-N-B, 00ohne.wrl'
+    };
+
+    /**
+     * Bind the export and import buttons
+     */
+    function init() {
+        const exportBtn = document.getElementById('exportURDF');
+        const exportXacroBtn = document.getElementById('exportXacro');
+        const importBtn = document.getElementById('importURDF');
+        const fileInput = document.getElementById('urdfFileInput');
+
+        if (exportBtn) exportBtn.addEventListener('click', () => download(exportURDF(), robotName + '.urdf'));
+        if (exportXacroBtn) exportXacroBtn.addEventListener('click', () => download(exportURDF({ xacro: true }), robotName + '_macro.xacro'));
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text().then(text => {
+                    const result = importURDF(text);
+                    setStatus(result.ok
+                        ? `Status: ${result.joints.length} sliders built from ${file.name}`
+                        : 'Status: URDF import failed - ' + result.error, !result.ok);
+                });
+                fileInput.value = '';
+            });
+        }
+        console.log('Robot URDF Module initialized');
+    }
+
+    // ========================================================================
+    // Math
+    // ========================================================================
+
+    function rotationMatrix(axis, angle) {
+        const length = Math.hypot(axis[0], axis[1], axis[2]) || 1;
+        const [x, y, z] = axis.map(v => v / length);
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        const t = 1 - c;
+
+        return [
+            [t * x * x + c,     t * x * y - s * z, t * x * z + s * y],
+            [t * x * y + s * z, t * y * y + c,     t * y * z - s * x],
+            [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+        ];
+    }
+
+    function multiply(a, b) {
+        return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+    }
+
+    function transformVector(m, v) {
+        return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+    }
+
+    function transpose(m) {
+        return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+    }
+
+    const identity = () => [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+    /**
+     * URDF roll/pitch/yaw of a rotation matrix (R = Rz(yaw) Ry(pitch) Rx(roll), the KUKA C/B/A order)
+     */
+    function matrixToRPY(m) {
+        const pitch = Math.atan2(-m[2][0], Math.hypot(m[0][0], m[1][0]));
+        if (Math.abs(Math.cos(pitch)) < 1e-9) {
+            return [0, pitch, Math.atan2(-m[0][1], m[1][1])];
+        }
+        return [Math.atan2(m[2][1], m[2][2]), pitch, Math.atan2(m[1][0], m[0][0])];
+    }
+
+    function rpyToMatrix(rpy) {
+        return multiply(multiply(rotationMatrix([0, 0, 1], rpy[2]), rotationMatrix([0, 1, 0], rpy[1])),
+            rotationMatrix([1, 0, 0], rpy[0]));
+    }
+
+    // ========================================================================
+    // Scene
+    // ========================================================================
+
+    function getScene() {
+        const browser = X3D.getBrowser('.X3D');
+        return browser ? browser.currentScene : null;
+    }
+
+    function vector(field) {
+        return [field.x, field.y, field.z];
+    }
+
+    function nodeName(node) {
+        return node.getNodeName ? node.getNodeName() : '';
+    }
+
+    function typeName(node) {
+        return node.getNodeTypeName ? node.getNodeTypeName() : '';
+    }
+
+    /**
+     * A frame offset in the parent frame: rotation matrix, translation in mm and uniform scale
+     */
+    function frame(translation = [0, 0, 0], rotation = identity(), scale = 1) {
+        return { translation: translation, rotation: rotation, scale: scale };
+    }
+
+    function compose(parent, child) {
+        return frame(
+            parent.translation.map((v, i) => v + transformVector(parent.rotation, child.translation)[i] * parent.scale),
+            multiply(parent.rotation, child.rotation),
+            parent.scale * child.scale
+        );
+    }
+
+    function nodeFrame(node) {
+        const translation = node.translation ? vector(node.translation) : [0, 0, 0];
+        const rotation = node.rotation ? rotationMatrix(vector(node.rotation), node.rotation.angle) : identity();
+        const scale = node.scale ? node.scale.x : 1;
+        return frame(translation, rotation, scale);
+    }
+
+    /**
+     * Collect links and joints below a node
+     * @param {Object} node - X3D node
+     * @param {Object} link - Link the node's geometry belongs to ({ name, visuals })
+     * @param {Object} offset - Frame of the node's parent relative to the link
+     * @param {Object} model - { links, joints } being built
+     */
+    function visit(node, link, offset, model) {
+        const type = typeName(node);
+        const name = nodeName(node);
+
+        if (type === 'RobotJoint') {
+            const child = { name: 'link_' + name.toLowerCase(), visuals: [] };
+            model.links.push(child);
+            model.joints.push(robotJoint(node, link, offset));
+
+            const urls = node.geometryUrl;
+            if (urls && urls.length > 0) {
+                child.visuals.push({ frame: frame(vector(node.geometryOffset)), url: urls[0], scale: 1 });
+            }
+            visitChildren(node, child, frame(), model);
+        } else if (protoGeometry[type]) {
+            const child = { name: 'link_' + name.toLowerCase(), visuals: [] };
+            const placement = compose(offset, nodeFrame(node));
+            model.links.push(child);
+            model.joints.push({
+                name: 'joint_' + name.toLowerCase(),
+                type: 'fixed',
+                parent: link.name,
+                child: child.name,
+                origin: frame(placement.translation, placement.rotation)
+            });
+            child.visuals.push({ frame: frame(), url: protoGeometry[type], scale: placement.scale });
+            visitChildren(node, child, frame([0, 0, 0], identity(), placement.scale), model);
+        } else if (type === 'Transform') {
+            visitChildren(node, link, compose(offset, nodeFrame(node)), model);
+        } else if (type === 'Group' || type === 'Collision') {
+            visitChildren(node, link, offset, model);
+        } else if (type === 'Inline' && node.url && node.url.length > 0) {
+            link.visuals.push({ frame: offset, url: node.url[0], scale: offset.scale });
+        }
+        // Sensors, viewpoints, workpieces and coordinate systems are not part of the model
+    }
+
+    function visitChildren(node, link, offset, model) {
+        const children = node.children;
+        if (!children) return;
+        for (let i = 0; i < children.length; i++) {
+            if (children[i]) visit(children[i], link, offset, model);
+        }
+    }
+
+    /**
+     * The URDF joint of a RobotJoint: revolute with a slider, prismatic for a gripper finger,
+     * fixed otherwise. Its rotation (and a finger's translation) is the current joint value,
+     * so the origin is taken at joint value zero.
+     */
+    function robotJoint(node, parentLink, offset) {
+        const name = nodeName(node);
+        const base = {
+            name: 'joint_' + name.toLowerCase(),
+            parent: parentLink.name,
+            child: 'link_' + name.toLowerCase()
+        };
+        const translation = vector(node.translation);
+        const instance = SliderControlledX3DElement.findByNodeName(name);
+
+        if (instance && instance.slider) {
+            const axis = instance.Rot ? [instance.Rot[0], instance.Rot[1], instance.Rot[2]] : vector(node.rotation);
+            const speed = typeof RobotKinematics !== 'undefined' ? RobotKinematics.getAxisMaxSpeed()[name] : undefined;
+            return Object.assign(base, {
+                type: 'revolute',
+                origin: compose(offset, frame(translation)),
+                axis: axis,
+                lower: (parseFloat(instance.slider.min) - instance.homeOffset) * Math.PI / 180,
+                upper: (parseFloat(instance.slider.max) - instance.homeOffset) * Math.PI / 180,
+                velocity: speed !== undefined ? speed * Math.PI / 180 : undefined
+            });
+        }
+
+        const rotation = rotationMatrix(vector(node.rotation), node.rotation.angle);
+        const fingers = typeof RobotGripper !== 'undefined' ? RobotGripper.getFingerNames() : [];
+        if (fingers.includes(name)) {
+            // Both jaws move along the A6 Y axis; the origin is the closed position
+            const gripper = RobotGripper.getState();
+            const side = Math.sign(translation[1]) || 1;
+            const closed = [translation[0], translation[1] - side * gripper.width / 2, translation[2]];
+            const index = fingers.indexOf(name);
+            return Object.assign(base, {
+                type: 'prismatic',
+                origin: compose(offset, frame(closed, rotation)),
+                axis: transformVector(transpose(rotation), [0, side, 0]),
+                lower: 0,
+                upper: gripper.maxWidth / 2 * mmToM,
+                velocity: undefined,
+                mimic: index > 0 ? 'joint_' + fingers[0].toLowerCase() : null
+            });
+        }
+
+        return Object.assign(base, { type: 'fixed', origin: compose(offset, frame(translation, rotation)) });
+    }
+
+    /**
+     * Build the link/joint model of the loaded scene
+     * @returns {Object} { links, joints } or null if the scene is not loaded
+     */
+    function buildModel() {
+        const scene = getScene();
+        if (!scene) return null;
+
+        const baseLink = { name: 'base_link', visuals: [] };
+        const model = { links: [baseLink], joints: [] };
+        try {
+            const base = scene.getNamedNode(baseInline);
+            if (base.url && base.url.length > 0) baseLink.visuals.push({ frame: frame(), url: base.url[0], scale: 1 });
+        } catch (error) {
+            console.warn('URDF: no base geometry:', error.message);
+        }
+        visit(scene.getNamedNode(rootJoint), baseLink, frame(), model);
+
+        // ROS-Industrial tool frame at the TCP used by the kinematics
+        const flange = model.links.find(link => link.name === 'link_a6');
+        if (flange && typeof RobotKinematics !== 'undefined') {
+            model.links.push({ name: 'tool0', visuals: [] });
+            model.joints.push({
+                name: 'joint_tool0',
+                type: 'fixed',
+                parent: flange.name,
+                child: 'tool0',
+                origin: frame(RobotKinematics.getTcpOffset().slice())
+            });
+        }
+        return model;
+    }
+
+    // ========================================================================
+    // Export
+    // ========================================================================
+
+    function number(value) {
+        const rounded = Math.round(value * 1e6) / 1e6;
+        return String(Object.is(rounded, -0) ? 0 : rounded);
+    }
+
+    function triple(values) {
+        return values.map(number).join(' ');
+    }
+
+    function escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function originXml(placement) {
+        return `<origin xyz="${triple(placement.translation.map(v => v * mmToM))}" rpy="${triple(matrixToRPY(placement.rotation))}"/>`;
+    }
+
+    /**
+     * Write the scene as URDF
+     * @param {Object} options - { xacro: true } wraps it in a macro with a name prefix parameter
+     * @returns {string} URDF/xacro XML, or '' if the scene is not loaded
+     */
+    function exportURDF(options = {}) {
+        const model = buildModel();
+        if (!model) {
+            console.error('URDF export: the scene is not loaded');
+            return '';
+        }
+
+        const prefix = options.xacro ? '${prefix}' : '';
+        const indent = options.xacro ? '    ' : '  ';
+        const lines = [];
+
+        model.links.forEach(link => {
+            if (link.visuals.length === 0) {
+                lines.push(`<link name="${prefix}${link.name}"/>`);
+                return;
+            }
+            lines.push(`<link name="${prefix}${link.name}">`);
+            link.visuals.forEach(visual => {
+                const scale = visual.scale * mmToM;
+                lines.push('  <visual>');
+                lines.push('    ' + originXml(visual.frame));
+                lines.push('    <geometry>');
+                lines.push(`      <mesh filename="package://${config.meshPackage}/meshes/${escapeXml(visual.url)}" scale="${triple([scale, scale, scale])}"/>`);
+                lines.push('    </geometry>');
+                lines.push('  </visual>');
+            });
+            lines.push('</link>');
+        });
+
+        model.joints.forEach(joint => {
+            lines.push(`<joint name="${prefix}${joint.name}" type="${joint.type}">`);
+            lines.push(`  <parent link="${prefix}${joint.parent}"/>`);
+            lines.push(`  <child link="${prefix}${joint.child}"/>`);
+            lines.push('  ' + originXml(joint.origin));
+            if (joint.type !== 'fixed') {
+                lines.push(`  <axis xyz="${triple(joint.axis)}"/>`);
+                // No effort data for the twin; velocity from the datasheet, the gripper jaw speed for the fingers
+                const velocity = joint.velocity !== undefined ? joint.velocity : 0.03;
+                lines.push(`  <limit lower="${number(joint.lower)}" upper="${number(joint.upper)}" effort="0" velocity="${number(velocity)}"/>`);
+            }
+            if (joint.mimic) lines.push(`  <mimic joint="${prefix}${joint.mimic}" multiplier="1" offset="0"/>`);
+            lines.push('</joint>');
+        });
+
+        const body = lines.map(line => indent + line).join('\n');
+        const header = '<?xml version="1.0"?>\n<!-- KUKA KR4 R600 with SCHUNK EGP 40, exported from the digital twin scene -->\n';
+        if (options.xacro) {
+            return header +
+                `<robot xmlns:xacro="http://www.ros.org/wiki/xacro" name="${robotName}_macro">\n` +
+                `  <xacro:macro name="${robotName}" params="prefix">\n${body}\n  </xacro:macro>\n</robot>\n`;
+        }
+        return header + `<robot name="${robotName}">\n${body}\n</robot>\n`;
+    }
+
+    function download(text, fileName) {
+        if (!text) {
+            setStatus('Status: URDF export failed - the scene is not loaded', true);
+            return;
+        }
+        const blob = new Blob([text], { type: 'application/xml' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = fileName;
+        a.click();
+        setStatus('Status: exported ' + fileName);
+    }
+
+    // ========================================================================
+    // Import
+    // ========================================================================
+
+    /**
+     * Scene node of a URDF joint name: joint_a1, a1 and A1 all map to A1
+     */
+    function sceneNodeName(jointName) {
+        return jointName.replace('${prefix}', '').replace(/^joint_/i, '').toUpperCase();
+    }
+
+    /**
+     * Build the slider set from the revolute joints of a URDF (or a xacro exported here)
+     * Each joint needs a RobotJoint of the same name in the scene and a zero rpy origin,
+     * since the slider drives the node's rotation. The URDF limits are measured from the URDF
+     * zero pose, the homeOffset of the joint's slider is added to get slider angles (the
+     * inverse of the export). Limits and axes go into RobotDescription, so tooltips, kinematics and the
+     * scene limits follow. Angles that fit the new limits are kept.
+     * @param {string} text - URDF XML
+     * @returns {Object} { ok: true, joints: [names] } or { ok: false, error }
+     */
+    function importURDF(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            return { ok: false, error: 'Not valid XML' };
+        }
+
+        const scene = getScene();
+        const current = SliderControlledX3DElement.saveAllAngles();
+        const sliders = [];
+
+        for (const element of Array.from(doc.getElementsByTagName('joint'))) {
+            const type = element.getAttribute('type');
+            if (type !== 'revolute' && type !== 'continuous') continue;
+
+            const name = sceneNodeName(element.getAttribute('name') || '');
+            let node = null;
+            try {
+                node = scene ? scene.getNamedNode(name) : null;
+            } catch (error) {
+                node = null;
+            }
+            if (!node || typeName(node) !== 'RobotJoint') {
+                return { ok: false, error: `Joint ${element.getAttribute('name')} has no RobotJoint ${name} in the scene` };
+            }
+
+            const origin = element.getElementsByTagName('origin')[0];
+            const rpy = origin && origin.getAttribute('rpy') ? origin.getAttribute('rpy').trim().split(/\s+/).map(parseFloat) : [0, 0, 0];
+            const originRotation = rpyToMatrix(rpy);
+            if (rpy.some(v => Math.abs(v) > 1e-6)) {
+                console.warn(`URDF import: ${name} has a rotated origin, its axis is applied in the parent frame`);
+            }
+
+            const axisElement = element.getElementsByTagName('axis')[0];
+            const axis = axisElement ? axisElement.getAttribute('xyz').trim().split(/\s+/).map(parseFloat) : [1, 0, 0];
+            if (axis.length !== 3 || axis.some(isNaN) || Math.hypot(...axis) < 1e-9) {
+                return { ok: false, error: `Joint ${name} has an invalid axis` };
+            }
+            const sceneAxis = transformVector(originRotation, axis);
+            const axisLength = Math.hypot(...sceneAxis);
+
+            // The joint keeps the home offset of its current slider
+            const existing = SliderControlledX3DElement.findByNodeName(name);
+            const homeOffset = existing ? existing.homeOffset : 0;
+
+            let min = -180;
+            let max = 180;
+            const limit = element.getElementsByTagName('limit')[0];
+            if (type === 'revolute') {
+                if (!limit) return { ok: false, error: `Revolute joint ${name} needs a <limit>` };
+                min = parseFloat(limit.getAttribute('lower')) * 180 / Math.PI + homeOffset;
+                max = parseFloat(limit.getAttribute('upper')) * 180 / Math.PI + homeOffset;
+                if (isNaN(min) || isNaN(max) || min > max) {
+                    return { ok: false, error: `Joint ${name} has invalid limits` };
+                }
+            }
+
+            sliders.push({
+                name: name,
+                min: Math.round(min * 100) / 100,
+                max: Math.round(max * 100) / 100,
+                axis: sceneAxis.map(v => v / axisLength),
+                homeOffset: homeOffset
+            });
+        }
+
+        if (sliders.length === 0) return { ok: false, error: 'No revolute joints found' };
+
+        if (typeof RobotDescription !== 'undefined' && RobotDescription.get()) {
+            const changes = {};
+            sliders.forEach(cfg => { changes[cfg.name] = { min: cfg.min, max: cfg.max, axis: cfg.axis }; });
+            const errors = RobotDescription.updateJoints(changes);
+            if (errors.length > 0) return { ok: false, error: errors[0] };
+
+            // The kinematics take the new axes; the active tool is kept
+            if (typeof RobotKinematics !== 'undefined') {
+                const tool = RobotKinematics.getTool();
+                RobotKinematics.configure(RobotDescription.get());
+                RobotKinematics.setTool(tool);
+            }
+        }
+
+        SliderControlledX3DElement.removeAll();
+        sliders.forEach(cfg => {
+            const angle = current[cfg.name] !== undefined ? Math.max(cfg.min, Math.min(cfg.max, current[cfg.name])) : 0;
+            const instance = new SliderControlledX3DElement({
+                nodeName: cfg.name,
+                minAngle: cfg.min,
+                maxAngle: cfg.max,
+                initialValue: angle,
+                label: cfg.name,
+                parentContainerId: 'slider-list',
+                rotationAxis: cfg.axis,
+                homeOffset: cfg.homeOffset
+            });
+            // The scene is already loaded, its initialized event will not fire again
+            if (scene) instance.initEAI();
+            instance.rotate(angle);
+        });
+
+        console.log('URDF import: sliders built for ' + sliders.map(cfg => cfg.name).join(', '));
+        return { ok: true, joints: sliders.map(cfg => cfg.name) };
+    }
+
+    function setStatus(text, isError = false) {
+        const status = document.getElementById('status');
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    // Public API
+    return {
+        init: init,
+        exportURDF: exportURDF,
+        importURDF: importURDF,
+        getConfig: () => config
+    };
+})();
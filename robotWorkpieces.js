@@ -0,0 +1,430 @@
+/**
+ * Robot Workpieces Module
+ * Boxes and cylinders that can be spawned into the scene and picked with the gripper
+ *
+ * Workpiece poses are in millimetres in the robot base frame (like the TCP), with the
+ * orientation as KUKA A/B/C angles. Closing the gripper with the TCP inside a part
+ * reparents the part to the A6 flange so it follows the robot; opening the gripper
+ * puts it back into the cell at the world pose it has at that moment.
+ */
+
+const RobotWorkpieces = (function() {
+    const gripTolerance = 5;          // mm the TCP may be outside a part and still pick it
+    const colors = {
+        box: [0.9, 0.6, 0.1],
+        cylinder: [0.2, 0.5, 0.9]
+    };
+
+    const parts = [];
+    const listeners = [];
+    let nextId = 1;
+    let cellFrame = null;             // X3D Transform matching the robot root (world Z = -400)
+
+    /**
+     * Initialize the workpiece panel and hook into the gripper
+     */
+    function init() {
+        if (typeof RobotGripper !== 'undefined') {
+            RobotGripper.addListener(onGripperEvent);
+        } else {
+            console.warn('RobotGripper not loaded - workpieces cannot be picked');
+        }
+        setupUI();
+        updateList();
+        console.log('Robot Workpieces Module initialized');
+    }
+
+    /**
+     * Bind the spawn form in the controls panel
+     */
+    function setupUI() {
+        const spawnBtn = document.getElementById('spawnWorkpiece');
+        if (!spawnBtn) return;
+
+        spawnBtn.addEventListener('click', () => {
+            const value = (id) => parseFloat(document.getElementById(id).value);
+            const result = spawn({
+                shape: document.getElementById('workpieceShape').value,
+                size: [value('workpieceSizeX'), value('workpieceSizeY'), value('workpieceSizeZ')],
+                position: [value('workpieceX'), value('workpieceY'), value('workpieceZ')],
+                orientation: { a: value('workpieceA'), b: value('workpieceB'), c: value('workpieceC') }
+            });
+            if (result.ok) {
+                RobotKinematics.setStatus(`Spawned ${result.workpiece.shape} ${result.workpiece.id}`);
+            } else {
+                RobotKinematics.setStatus('Spawn rejected: ' + result.error, true);
+            }
+        });
+
+        document.getElementById('clearWorkpieces').addEventListener('click', () => {
+            parts.slice().forEach(part => remove(part.id));
+        });
+    }
+
+    // ========================================================================
+    // Pose Helpers
+    // ========================================================================
+
+    function multiply(a, b) {
+        return a.map((row, i) => [0, 1, 2].map(j => a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j]));
+    }
+
+    function transpose(m) {
+        return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+    }
+
+    function transformVector(m, v) {
+        return [0, 1, 2].map(i => m[i][0] * v[0] + m[i][1] * v[1] + m[i][2] * v[2]);
+    }
+
+    /**
+     * Rotation matrix as an X3D SFRotation (axis and angle)
+     */
+    function matrixToRotation(m) {
+        const angle = Math.acos(Math.max(-1, Math.min(1, (m[0][0] + m[1][1] + m[2][2] - 1) / 2)));
+        if (angle < 1e-9) return new X3D.SFRotation(0, 0, 1, 0);
+
+        let axis;
+        if (Math.PI - angle > 1e-6) {
+            axis = [m[2][1] - m[1][2], m[0][2] - m[2][0], m[1][0] - m[0][1]];
+        } else {
+            // Half turn: the axis comes from the diagonal of (R + I) / 2
+            const diagonal = [0, 1, 2].map(i => Math.sqrt(Math.max(0, (m[i][i] + 1) / 2)));
+            const k = diagonal.indexOf(Math.max(...diagonal));
+            axis = [0, 1, 2].map(i => i === k ? diagonal[k] : (m[i][k] + m[k][i]) / (4 * diagonal[k]));
+        }
+        const length = Math.hypot(axis[0], axis[1], axis[2]);
+        return new X3D.SFRotation(axis[0] / length, axis[1] / length, axis[2] / length, angle);
+    }
+
+    /**
+     * The A6 flange frame for the current joint angles
+     */
+    function flangeFrame() {
+        const frames = RobotKinematics.forwardKinematics(RobotKinematics.getJointAngles()).frames;
+        return frames[frames.length - 1];
+    }
+
+    /**
+     * World pose (robot base frame) of a part, following the flange while it is gripped
+     */
+    function worldPose(part) {
+        if (!part.attached) return { position: part.position, rotation: part.rotation };
+
+        const flange = flangeFrame();
+        return {
+            position: flange.position.map((p, i) => p + transformVector(flange.rotation, part.position)[i]),
+            rotation: multiply(flange.rotation, part.rotation)
+        };
+    }
+
+    /**
+     * Whether a point in the robot base frame lies inside a part (plus the grip tolerance)
+     */
+    function contains(part, point) {
+        const pose = worldPose(part);
+        const local = transformVector(transpose(pose.rotation), point.map((p, i) => p - pose.position[i]));
+        const [x, y, z] = part.size.map(s => s / 2 + gripTolerance);
+
+        if (part.shape === 'cylinder') {
+            return Math.hypot(local[0], local[1]) <= x && Math.abs(local[2]) <= z;
+        }
+        return Math.abs(local[0]) <= x && Math.abs(local[1]) <= y && Math.abs(local[2]) <= z;
+    }
+
+    // ========================================================================
+    // Spawning
+    // ========================================================================
+
+    /**
+     * Spawn a workpiece into the cell
+     * @param {Object} spec - { shape: 'box' | 'cylinder', size: [x, y, z] in mm (a cylinder
+     *        uses x as its diameter and z as its height, standing on Z), position: [x, y, z]
+     *        of its center, orientation: { a, b, c } in degrees, id (optional) }
+     * @returns {Object} { ok: true, workpiece } or { ok: false, error }
+     */
+    function spawn(spec) {
+        const shape = spec.shape || 'box';
+        if (!colors[shape]) {
+            return { ok: false, error: `Unknown workpiece shape '${shape}' (box or cylinder)` };
+        }
+
+        const size = spec.size || [20, 20, 20];
+        const position = spec.position;
+        const orientation = spec.orientation || {};
+        if (!Array.isArray(size) || size.length !== 3 || size.some(s => typeof s !== 'number' || !(s > 0))) {
+            return { ok: false, error: 'Workpiece size must be three positive numbers in mm' };
+        }
+        if (!Array.isArray(position) || position.length !== 3 || position.some(p => typeof p !== 'number' || isNaN(p))) {
+            return { ok: false, error: 'Workpiece position must be [x, y, z] in mm' };
+        }
+        const abc = ['a', 'b', 'c'].map(key => orientation[key] || 0);
+        if (abc.some(isNaN)) {
+            return { ok: false, error: 'Workpiece orientation A, B and C must be numbers' };
+        }
+
+        const id = spec.id !== undefined ? String(spec.id) : 'wp' + nextId++;
+        if (find(id)) {
+            return { ok: false, error: `Workpiece '${id}' already exists` };
+        }
+
+        const part = {
+            id: id,
+            shape: shape,
+            size: size.slice(),
+            position: position.slice(),
+            rotation: RobotKinematics.abcToMatrix(...abc),
+            attached: false,
+            node: null
+        };
+
+        try {
+            part.node = createNode(part);
+            getCellFrame().children.push(part.node);
+        } catch (error) {
+            console.error('Workpiece could not be added to the scene:', error);
+            return { ok: false, error: 'Scene not ready' };
+        }
+
+        parts.push(part);
+        changed();
+        return { ok: true, workpiece: describe(part) };
+    }
+
+    /**
+     * Remove a workpiece from the cell (or the gripper)
+     * @returns {boolean} True if the workpiece existed
+     */
+    function remove(id) {
+        const part = find(id);
+        if (!part) return false;
+
+        detachNode(part);
+        parts.splice(parts.indexOf(part), 1);
+        changed();
+        return true;
+    }
+
+    function find(id) {
+        return parts.find(part => part.id === String(id));
+    }
+
+    // ========================================================================
+    // Scene
+    // ========================================================================
+
+    function getScene() {
+        const scene = X3D.getBrowser('.X3D').currentScene;
+        if (!scene) throw new Error('X3D scene not loaded');
+        return scene;
+    }
+
+    /**
+     * Transform for loose parts, placed like the robot root Transform in the WRL
+     */
+    function getCellFrame() {
+        if (!cellFrame) {
+            const scene = getScene();
+            cellFrame = scene.createNode('Transform');
+            cellFrame.translation = new X3D.SFVec3f(0, 0, -400);
+            scene.addRootNode(cellFrame);
+        }
+        return cellFrame;
+    }
+
+    function createNode(part) {
+        const scene = getScene();
+
+        const material = scene.createNode('Material');
+        material.diffuseColor = new X3D.SFColor(...colors[part.shape]);
+        const appearance = scene.createNode('Appearance');
+        appearance.material = material;
+
+        let geometry;
+        const shapeTransform = scene.createNode('Transform');
+        if (part.shape === 'cylinder') {
+            // X3D cylinders stand on Y, turn them onto Z like the rest of the cell
+            geometry = scene.createNode('Cylinder');
+            geometry.radius = part.size[0] / 2;
+            geometry.height = part.size[2];
+            shapeTransform.rotation = new X3D.SFRotation(1, 0, 0, Math.PI / 2);
+        } else {
+            geometry = scene.createNode('Box');
+            geometry.size = new X3D.SFVec3f(...part.size);
+        }
+
+        const shape = scene.createNode('Shape');
+        shape.appearance = appearance;
+        shape.geometry = geometry;
+        shapeTransform.children.push(shape);
+
+        const transform = scene.createNode('Transform');
+        transform.children.push(shapeTransform);
+        placeNode(transform, part);
+        return transform;
+    }
+
+    function placeNode(node, part) {
+        node.translation = new X3D.SFVec3f(...part.position);
+        node.rotation = matrixToRotation(part.rotation);
+    }
+
+    /**
+     * Take a part's node out of whichever parent holds it
+     */
+    function detachNode(part) {
+        const parent = part.attached ? getScene().getNamedNode('A6') : getCellFrame();
+        const remaining = [];
+        for (let i = 0; i < parent.children.length; i++) {
+            if (parent.children[i] !== part.node) remaining.push(parent.children[i]);
+        }
+        parent.children = new X3D.MFNode(...remaining);
+    }
+
+    // ========================================================================
+    // Gripping
+    // ========================================================================
+
+    /**
+     * Pick the part between the jaws when they close, drop gripped parts when they open
+     */
+    function onGripperEvent(event) {
+        if (event === 'close') {
+            // Between the jaws, wherever the active tool frame is
+            const flange = flangeFrame();
+            const jaws = flange.position.map((p, i) => p + transformVector(flange.rotation, RobotKinematics.getTcpOffset())[i]);
+            const part = parts.find(p => !p.attached && contains(p, jaws));
+            if (part) attach(part);
+        } else if (event === 'open') {
+            parts.filter(p => p.attached).forEach(drop);
+        }
+    }
+
+    /**
+     * Reparent a part to the A6 flange, keeping its world pose
+     */
+    function attach(part) {
+        const flange = flangeFrame();
+        const inverse = transpose(flange.rotation);
+
+        detachNode(part);
+        part.position = transformVector(inverse, part.position.map((p, i) => p - flange.position[i]));
+        part.rotation = multiply(inverse, part.rotation);
+        part.attached = true;
+        placeNode(part.node, part);
+        getScene().getNamedNode('A6').children.push(part.node);
+
+        console.log(`Workpiece ${part.id} gripped`);
+        changed();
+    }
+
+    /**
+     * Put a gripped part back into the cell at its current world pose
+     */
+    function drop(part) {
+        const pose = worldPose(part);
+
+        detachNode(part);
+        part.position = pose.position;
+        part.rotation = pose.rotation;
+        part.attached = false;
+        placeNode(part.node, part);
+        getCellFrame().children.push(part.node);
+
+        const [x, y, z] = pose.position.map(p => p.toFixed(1));
+        console.log(`Workpiece ${part.id} released at X=${x}, Y=${y}, Z=${z}`);
+        changed();
+    }
+
+    // ========================================================================
+    // State
+    // ========================================================================
+
+    function round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * Public description of a part with its current world pose
+     */
+    function describe(part) {
+        const pose = worldPose(part);
+        const abc = RobotKinematics.matrixToABC(pose.rotation);
+        return {
+            id: part.id,
+            shape: part.shape,
+            size: part.size.slice(),
+            attached: part.attached,
+            pose: {
+                x: round(pose.position[0]),
+                y: round(pose.position[1]),
+                z: round(pose.position[2]),
+                a: round(abc.a),
+                b: round(abc.b),
+                c: round(abc.c)
+            }
+        };
+    }
+
+    /**
+     * All workpieces with their world poses
+     * @returns {Array} [{ id, shape, size, attached, pose: { x, y, z, a, b, c } }]
+     */
+    function getState() {
+        return parts.map(describe);
+    }
+
+    /**
+     * Register a callback for spawned, removed, gripped and released workpieces
+     * @param {Function} callback - Called with the new state (see getState)
+     */
+    function addChangeListener(callback) {
+        if (typeof callback !== 'function') {
+            console.error('Workpiece listener must be a function');
+            return;
+        }
+        listeners.push(callback);
+    }
+
+    function changed() {
+        updateList();
+        const state = getState();
+        listeners.forEach(callback => {
+            try {
+                callback(state);
+            } catch (error) {
+                console.error('Error in workpiece listener:', error);
+            }
+        });
+    }
+
+    function updateList() {
+        const list = document.getElementById('workpieceList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        getState().forEach(part => {
+            const item = document.createElement('div');
+            item.className = 'workpiece-item' + (part.attached ? ' attached' : '');
+            item.textContent = `${part.id} ${part.shape} ${part.attached ? '(gripped) ' : ''}` +
+                `X=${part.pose.x.toFixed(1)} Y=${part.pose.y.toFixed(1)} Z=${part.pose.z.toFixed(1)}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove';
+            removeBtn.addEventListener('click', () => remove(part.id));
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    // Public API
+    return {
+        init: init,
+        spawn: spawn,
+        remove: remove,
+        getState: getState,
+        addChangeListener: addChangeListener
+    };
+})();
@@ -0,0 +1,298 @@
+/**
+ * Robot Workspace Module
+ * Reachable workspace from random samples of the joint space within the axis limits
+ *
+ * Like the datasheet envelope, the workspace is that of the wrist point (where the A4, A5
+ * and A6 axes meet), or that of the TCP of the active tool when "Tool" is checked. It is
+ * shown as a translucent point cloud in the scene and in a side view (XZ slice through A1,
+ * each sample turned back by its A1 angle into the arm plane) or a top view (XY) with the
+ * current point marked. Self-collisions and the floor are not taken into account.
+ */
+
+const RobotWorkspace = (function() {
+    const axisNames = ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'];
+    const wristFrame = 4;             // Index of the A5 frame, its origin is the wrist point
+    const sceneRoot = [0, 0, -400];   // Robot root Transform in the WRL (world Z = -400)
+    const cloudColor = [0.2, 0.5, 0.9];
+    const gridSpacing = 100;          // mm between the view grid lines
+
+    let envelope = null;              // { tool, samples, points, side, reach, zMin, zMax }
+    let view = 'xz';                  // 'xz' side view or 'xy' top view
+    let visible = false;
+    let cloudNode = null;             // X3D Switch holding the point cloud
+    let updatePending = false;
+
+    /**
+     * Initialize the workspace panel and follow the robot in the view
+     */
+    function init() {
+        SliderControlledX3DElement.addAngleChangeListener(scheduleDraw);
+        setupUI();
+        console.log('Robot Workspace Module initialized');
+    }
+
+    function setupUI() {
+        const computeBtn = document.getElementById('computeWorkspace');
+        if (!computeBtn) return;
+
+        const options = () => ({
+            samples: parseInt(document.getElementById('workspaceSamples').value, 10),
+            tool: document.getElementById('workspaceTool').checked
+        });
+        const run = () => {
+            const result = compute(options());
+            if (result.ok) {
+                RobotKinematics.setStatus(`Workspace of the ${describe(envelope)}: reach ${envelope.reach.toFixed(0)} mm, ` +
+                    `Z ${envelope.zMin.toFixed(0)} to ${envelope.zMax.toFixed(0)} mm (${envelope.samples} samples)`);
+            } else {
+                RobotKinematics.setStatus('Workspace not computed: ' + result.error, true);
+            }
+        };
+
+        computeBtn.addEventListener('click', run);
+        document.getElementById('workspaceTool').addEventListener('change', () => {
+            if (envelope) run();
+        });
+        document.getElementById('workspaceView').addEventListener('change', (event) => setView(event.target.value));
+        document.getElementById('showWorkspace').addEventListener('change', (event) => setVisible(event.target.checked));
+        draw();
+    }
+
+    function describe(result) {
+        if (!result.tool) return 'wrist point';
+        if (typeof RobotFrames === 'undefined') return 'TCP';
+        const tool = RobotFrames.getActive('tool');
+        return tool.number > 0 ? `TCP of TOOL_DATA[${tool.number}]` + (tool.name ? ` (${tool.name})` : '') : 'TCP';
+    }
+
+    // ========================================================================
+    // Sampling
+    // ========================================================================
+
+    /**
+     * Sample the joint space and keep the reached points
+     * @param {Object} options - { samples: 1000-200000 (default 20000), tool: TCP instead of the wrist point }
+     * @returns {Object} { ok: true, envelope } or { ok: false, error }
+     */
+    function compute(options = {}) {
+        const samples = options.samples === undefined ? 20000 : options.samples;
+        if (!Number.isInteger(samples) || samples < 1000 || samples > 200000) {
+            return { ok: false, error: 'Samples must be a whole number from 1000 to 200000' };
+        }
+
+        const limits = RobotKinematics.getJointLimits();
+        const points = [];
+        const side = [];
+        let reach = 0;
+        let zMin = Infinity;
+        let zMax = -Infinity;
+
+        for (let i = 0; i < samples; i++) {
+            const angles = {};
+            axisNames.forEach(name => {
+                const limit = limits[name];
+                angles[name] = limit.min + Math.random() * (limit.max - limit.min);
+            });
+
+            const fk = RobotKinematics.forwardKinematics(angles);
+            const point = options.tool ? fk.position : fk.frames[wristFrame].position;
+            points.push(point);
+
+            // Turn the point back about A1 into the XZ plane of the arm
+            side.push([armDistance(fk, point), point[2]]);
+
+            reach = Math.max(reach, Math.hypot(point[0], point[1]));
+            zMin = Math.min(zMin, point[2]);
+            zMax = Math.max(zMax, point[2]);
+        }
+
+        envelope = { tool: !!options.tool, samples: samples, points: points, side: side, reach: reach, zMin: zMin, zMax: zMax };
+        updateScene();
+        draw();
+        console.log(`Workspace computed: ${samples} samples, reach ${reach.toFixed(1)} mm`);
+        return { ok: true, envelope: envelope };
+    }
+
+    /**
+     * Distance of a point along the arm plane, i.e. along the X axis of the A1 frame
+     */
+    function armDistance(fk, point) {
+        const a1 = fk.frames[0].rotation;
+        return point[0] * a1[0][0] + point[1] * a1[1][0];
+    }
+
+    /**
+     * The point the envelope refers to, for the current joint angles
+     * @returns {Object} { point, side: [arm distance, z] }
+     */
+    function currentPoint() {
+        const fk = RobotKinematics.forwardKinematics(RobotKinematics.getJointAngles());
+        const point = envelope && envelope.tool ? fk.position : fk.frames[wristFrame].position;
+        return { point: point, side: [armDistance(fk, point), point[2]] };
+    }
+
+    // ========================================================================
+    // Scene
+    // ========================================================================
+
+    /**
+     * Put the point cloud into the scene (replacing the previous one) and show or hide it
+     */
+    function updateScene() {
+        if (!envelope) return;
+
+        let scene;
+        try {
+            scene = X3D.getBrowser('.X3D').currentScene;
+            if (!cloudNode) {
+                cloudNode = scene.createNode('Switch');
+                const cell = scene.createNode('Transform');
+                cell.translation = new X3D.SFVec3f(...sceneRoot);
+                cell.children.push(cloudNode);
+                scene.addRootNode(cell);
+            }
+
+            const coordinate = scene.createNode('Coordinate');
+            coordinate.point = new X3D.MFVec3f(...envelope.points.map(point => new X3D.SFVec3f(...point)));
+            const pointSet = scene.createNode('PointSet');
+            pointSet.coord = coordinate;
+
+            // Points are unlit, they take the emissive color
+            const material = scene.createNode('Material');
+            material.emissiveColor = new X3D.SFColor(...cloudColor);
+            material.transparency = 0.6;
+            const appearance = scene.createNode('Appearance');
+            appearance.material = material;
+
+            const shape = scene.createNode('Shape');
+            shape.appearance = appearance;
+            shape.geometry = pointSet;
+            cloudNode.children = new X3D.MFNode(shape);
+        } catch (error) {
+            console.error('Workspace point cloud could not be added to the scene:', error);
+            return;
+        }
+        cloudNode.whichChoice = visible ? 0 : -1;
+    }
+
+    /**
+     * Show or hide the point cloud in the scene
+     */
+    function setVisible(show) {
+        visible = !!show;
+        const checkbox = document.getElementById('showWorkspace');
+        if (checkbox) checkbox.checked = visible;
+        if (cloudNode) cloudNode.whichChoice = visible ? 0 : -1;
+    }
+
+    // ========================================================================
+    // Slice View
+    // ========================================================================
+
+    /**
+     * Choose the view
+     * @param {string} name - 'xz' (side view) or 'xy' (top view)
+     */
+    function setView(name) {
+        if (name !== 'xz' && name !== 'xy') {
+            console.error('Workspace view must be xz or xy');
+            return false;
+        }
+        view = name;
+        const select = document.getElementById('workspaceView');
+        if (select) select.value = name;
+        draw();
+        return true;
+    }
+
+    function scheduleDraw() {
+        if (updatePending || !envelope) return;
+        updatePending = true;
+        requestAnimationFrame(() => {
+            updatePending = false;
+            draw();
+        });
+    }
+
+    /**
+     * Draw the envelope of the chosen view with a grid, the robot base and the current point
+     */
+    function draw() {
+        const canvas = document.getElementById('workspaceCanvas');
+        const context = canvas ? canvas.getContext('2d') : null;
+        if (!context) return;
+
+        const width = canvas.width;
+        const height = canvas.height;
+        context.clearRect(0, 0, width, height);
+        if (!envelope) {
+            context.fillStyle = '#888';
+            context.fillText('Compute the workspace to see the envelope', 10, height / 2);
+            return;
+        }
+
+        // Side view: horizontal is the distance in the arm plane; top view: X right, Y up
+        const points = view === 'xz' ? envelope.side : envelope.points.map(point => [point[0], point[1]]);
+        const margin = 50;
+        const minU = -envelope.reach - margin;
+        const maxU = envelope.reach + margin;
+        const minV = view === 'xz' ? envelope.zMin - margin : minU;
+        const maxV = view === 'xz' ? envelope.zMax + margin : maxU;
+        const scale = Math.min(width / (maxU - minU), height / (maxV - minV));
+        const offsetX = (width - (maxU - minU) * scale) / 2;
+        const offsetY = (height - (maxV - minV) * scale) / 2;
+        const toCanvas = (u, v) => [offsetX + (u - minU) * scale, height - offsetY - (v - minV) * scale];
+
+        context.strokeStyle = '#eee';
+        context.lineWidth = 1;
+        for (let u = Math.ceil(minU / gridSpacing) * gridSpacing; u <= maxU; u += gridSpacing) {
+            const [x] = toCanvas(u, 0);
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, height);
+            context.stroke();
+        }
+        for (let v = Math.ceil(minV / gridSpacing) * gridSpacing; v <= maxV; v += gridSpacing) {
+            const [, y] = toCanvas(0, v);
+            context.beginPath();
+            context.moveTo(0, y);
+            context.lineTo(width, y);
+            context.stroke();
+        }
+
+        context.fillStyle = `rgba(${cloudColor.map(c => Math.round(c * 255)).join(', ')}, 0.25)`;
+        points.forEach(([u, v]) => {
+            const [x, y] = toCanvas(u, v);
+            context.fillRect(x - 1, y - 1, 2, 2);
+        });
+
+        // Robot base (A1 axis) and the current point
+        context.strokeStyle = '#333';
+        const [baseX, baseY] = toCanvas(0, 0);
+        context.strokeRect(baseX - 4, baseY - 4, 8, 8);
+
+        const current = currentPoint();
+        const [x, y] = view === 'xz' ? toCanvas(...current.side) : toCanvas(current.point[0], current.point[1]);
+        context.strokeStyle = '#c62828';
+        context.lineWidth = 2;
+        context.beginPath();
+        context.moveTo(x - 6, y);
+        context.lineTo(x + 6, y);
+        context.moveTo(x, y - 6);
+        context.lineTo(x, y + 6);
+        context.stroke();
+
+        context.fillStyle = '#333';
+        context.fillText(view === 'xz' ? 'Side view (XZ, arm plane)' : 'Top view (XY)', 5, 12);
+        context.fillText(`Reach ${envelope.reach.toFixed(0)} mm, grid ${gridSpacing} mm`, 5, height - 5);
+    }
+
+    // Public API
+    return {
+        init: init,
+        compute: compute,
+        setView: setView,
+        setVisible: setVisible,
+        getEnvelope: () => envelope
+    };
+})();
@@ -0,0 +1,74 @@
+/**
+ * Publish a trajectory_msgs/JointTrajectory to the twin through rosbridge (or the stand-in)
+ * and print the /joint_states it reports while executing it
+ *
+ *   node send-trajectory.js [--url ws://localhost:9090] [--topic /joint_trajectory] [trajectory.json]
+ *
+ * Without a file a demo trajectory is sent: A1 to 30°, A2 to -20°, A1 to -30° and back to
+ * zero, 1.5 s per point. Positions are in radians from the URDF zero pose, as in ROS (the
+ * twin adds the home offset of each joint to get its slider angles).
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index >= 0 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const url = option('--url', 'ws://localhost:9090');
+const topic = option('--topic', '/joint_trajectory');
+const file = process.argv.slice(2).find((arg, i, args) => !arg.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+
+function demoTrajectory() {
+    const rad = degrees => degrees * Math.PI / 180;
+    const points = [[30, 0], [30, -20], [-30, -20], [0, 0]].map(([a1, a2], i) => ({
+        positions: [rad(a1), rad(a2), 0, 0, 0, 0],
+        velocities: [],
+        accelerations: [],
+        effort: [],
+        time_from_start: { sec: Math.floor(1.5 * (i + 1)), nanosec: ((i + 1) % 2) * 500000000 }
+    }));
+    return {
+        header: { stamp: { sec: 0, nanosec: 0 }, frame_id: '' },
+        joint_names: ['joint_a1', 'joint_a2', 'joint_a3', 'joint_a4', 'joint_a5', 'joint_a6'],
+        points: points
+    };
+}
+
+const trajectory = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : demoTrajectory();
+const last = trajectory.points[trajectory.points.length - 1];
+const duration = last ? (last.time_from_start.sec + last.time_from_start.nanosec / 1e9) * 1000 : 0;
+
+const socket = new WebSocket(url);
+
+socket.on('open', () => {
+    socket.send(JSON.stringify({ op: 'subscribe', topic: '/joint_states', type: 'sensor_msgs/msg/JointState' }));
+    socket.send(JSON.stringify({ op: 'advertise', topic: topic, type: 'trajectory_msgs/msg/JointTrajectory' }));
+    socket.send(JSON.stringify({ op: 'publish', topic: topic, msg: trajectory }));
+    console.log(`Sent ${trajectory.points.length} points on ${topic} (${(duration / 1000).toFixed(1)} s)`);
+
+    setTimeout(() => socket.close(), duration + 1000);
+});
+
+// Print the joint states at 4 Hz, enough to follow the motion
+let lastPrint = 0;
+socket.on('message', data => {
+    const message = JSON.parse(data.toString());
+    if (message.op === 'status') {
+        console.error(`${message.level}: ${message.msg}`);
+        return;
+    }
+    if (message.topic !== '/joint_states' || Date.now() - lastPrint < 250) return;
+    lastPrint = Date.now();
+
+    const state = message.msg;
+    const joints = state.name.map((name, i) => `${name}=${(state.position[i] * 180 / Math.PI).toFixed(1)}°`);
+    console.log(`${state.header.stamp.sec}.${String(state.header.stamp.nanosec).padStart(9, '0').slice(0, 3)} ${joints.join(' ')}`);
+});
+
+socket.on('error', error => {
+    console.error('Cannot reach rosbridge at', url + ':', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,117 @@
+/**
+ * rosbridge stand-in for the KR4 R600 digital twin
+ * A local server speaking the subset of the rosbridge v2 protocol the twin uses, to test
+ * the ROS 2 Bridge section of the connectivity panel without a ROS installation
+ *
+ * Supports advertise, unadvertise, publish, subscribe and unsubscribe: every message
+ * published on a topic is delivered to the clients subscribed to it. Other operations
+ * are answered with an error status, like rosbridge does for unknown ones.
+ *
+ *   npm install
+ *   npm start            (or: node standin.js [--port 9090])
+ *   node send-trajectory.js [trajectory.json]   publishes a JointTrajectory, prints /joint_states
+ */
+
+const { WebSocketServer } = require('ws');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index >= 0 && process.argv[index + 1] ? parseInt(process.argv[index + 1]) : fallback;
+}
+
+const port = option('--port', 9090);
+
+const subscriptions = new Map();   // topic -> Set of sockets
+const topicTypes = new Map();      // topic -> message type from advertise/subscribe
+const publishCounts = new Map();   // topic -> messages published since the last report
+
+function status(socket, message, level, text) {
+    socket.send(JSON.stringify({ op: 'status', level: level, msg: text, id: message.id }));
+}
+
+function handle(socket, message) {
+    switch (message.op) {
+        case 'advertise':
+        case 'subscribe':
+            if (typeof message.topic !== 'string') {
+                status(socket, message, 'error', `${message.op} needs a topic`);
+                return;
+            }
+            if (message.type) {
+                const known = topicTypes.get(message.topic);
+                if (known && known !== message.type) {
+                    status(socket, message, 'error', `${message.topic} already has type ${known}`);
+                    return;
+                }
+                topicTypes.set(message.topic, message.type);
+            }
+            if (message.op === 'subscribe') {
+                if (!subscriptions.has(message.topic)) subscriptions.set(message.topic, new Set());
+                subscriptions.get(message.topic).add(socket);
+            }
+            console.log(`${message.op} ${message.topic} (${message.type || topicTypes.get(message.topic) || 'untyped'})`);
+            break;
+
+        case 'unsubscribe':
+            if (subscriptions.has(message.topic)) subscriptions.get(message.topic).delete(socket);
+            console.log('unsubscribe', message.topic);
+            break;
+
+        case 'unadvertise':
+            console.log('unadvertise', message.topic);
+            break;
+
+        case 'publish': {
+            if (typeof message.topic !== 'string' || message.msg === undefined) {
+                status(socket, message, 'error', 'publish needs a topic and a msg');
+                return;
+            }
+            const data = JSON.stringify({ op: 'publish', topic: message.topic, msg: message.msg });
+            (subscriptions.get(message.topic) || []).forEach(subscriber => subscriber.send(data));
+            publishCounts.set(message.topic, (publishCounts.get(message.topic) || 0) + 1);
+            break;
+        }
+
+        default:
+            status(socket, message, 'error', `Operation ${message.op} is not supported by the stand-in`);
+    }
+}
+
+const server = new WebSocketServer({ host: '127.0.0.1', port: port });
+
+server.on('connection', (socket, request) => {
+    console.log('Client connected from', request.socket.remoteAddress);
+
+    socket.on('message', data => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            console.error('Invalid message:', error.message);
+            return;
+        }
+        handle(socket, message);
+    });
+
+    socket.on('close', () => {
+        subscriptions.forEach(subscribers => subscribers.delete(socket));
+        console.log('Client disconnected');
+    });
+});
+
+// Topic rates instead of every message, /joint_states runs at 20 Hz
+setInterval(() => {
+    publishCounts.forEach((count, topic) => {
+        const subscribers = subscriptions.has(topic) ? subscriptions.get(topic).size : 0;
+        console.log(`${topic}: ${count} messages in 5 s, ${subscribers} subscriber(s)`);
+    });
+    publishCounts.clear();
+}, 5000);
+
+console.log(`rosbridge stand-in listening on ws://127.0.0.1:${port}`);
+
+process.on('SIGINT', () => {
+    console.log('Shutting down');
+    server.close();
+    process.exit(0);
+});
@@ -25,6 +25,15 @@
 class SliderControlledX3DElement {
     // Static array to store all instances
     static instances = [];
+
+    // Static array of callbacks notified whenever a joint angle changes
+    static angleChangeListeners = [];
+
+    // Incremented by every load/stop so a running animation knows it was superseded
+    static animationCounter = 0;
+
+    // Set while an already checked target is applied axis by axis
+    static collisionCheckSuspended = false;
     
     /**
      * Note: LoadSensor requires the X3D Full profile.
@@ -40,27 +49,22 @@ class SliderControlledX3DElement {
         minAngle = -180,                  // New parameter: slider min
         maxAngle = 180,                   // New parameter: slider max
         initialValue = 0,                 // New parameter: initial angle
-        label = null                      // New parameter: custom label
+        label = null,                     // New parameter: custom label
+        rotationAxis = [0, 1, 0],         // Rotation axis [x, y, z] (robot-description.json or a URDF)
+        homeOffset = 0                    // Slider angle at which the scene rotation is 0
     }) {
         if (!nodeName) throw new Error("nodeName is required");
         this.browserSelector = browserSelector;
         this.scene = null;
         this.nodeName = nodeName;
         this.axis = null;
+        this.rotationAxis = rotationAxis;
         this.initEAICount = 0;
         this.tooltipRetryCount = 0;  // Track tooltip setup retries
         
-        // HOME position offsets (geometry is modeled at HOME)
-        // When slider shows these values, actual rotation should be 0
-        const homeOffsets = {
-            'A1': 0,
-            'A2': 0,
-            'A3': 0,
-            'A4': 0,
-            'A5': 0,
-            'A6': 0
-        };
-        this.homeOffset = homeOffsets[nodeName] || 0;
+        // HOME position offset (geometry is modeled at HOME)
+        // When the slider shows this value, actual rotation should be 0
+        this.homeOffset = homeOffset;
         
         // Store configuration
         this.config = {
@@ -127,7 +131,7 @@ class SliderControlledX3DElement {
         slider.title = 'angleSlider';
         slider.min = this.config.minAngle;
         slider.max = this.config.maxAngle;
-        slider.step = '1';
+        slider.step = '0.01';  // Fine steps so IK solutions are not snapped to whole degrees
         slider.value = this.config.initialValue;
 
         // Create angle value span
@@ -162,90 +166,8 @@ class SliderControlledX3DElement {
             return;
         }
 
-        // Comprehensive specifications for all robot components
-        const componentSpecs = {
-            'A1': {
-                description: 'Base Swivel',
-                axis: 'Z-axis (0, 0, 1)',
-                range: '±165°',
-                minAngle: '-165°',
-                maxAngle: '+165°',
-                maxSpeed: '312°/s',
-                home: '0°',
-                function: 'Rotates entire arm horizontally',
-                type: 'Rotary Joint',
-                payload: 'Full robot payload'
-            },
-            'A2': {
-                description: 'Shoulder Joint',
-                axis: 'Y-axis (0, 1, 0)',
-                range: '-190° to +35°',
-                minAngle: '-190°',
-                maxAngle: '+35°',
-                maxSpeed: '312°/s',
-                home: '-90°',
-                function: 'Controls arm elevation',
-                type: 'Rotary Joint',
-                payload: 'Arm + end effector'
-            },
-            'A3': {
-                description: 'Elbow Joint',
-                axis: 'Y-axis (0, 1, 0)',
-                range: '-110° to +145°',
-                minAngle: '-110°',
-                maxAngle: '+145°',
-                maxSpeed: '312°/s',
-                home: '+90°',
-                function: 'Extends/retracts forearm',
-                type: 'Rotary Joint',
-                payload: 'Forearm + wrist'
-            },
-            'A4': {
-                description: 'Wrist Rotation',
-                axis: 'X-axis (1, 0, 0)',
-                range: '±180°',
-                minAngle: '-180°',
-                maxAngle: '+180°',
-                maxSpeed: '540°/s',
-                home: '0°',
-                function: 'Rotates wrist assembly',
-                type: 'Rotary Joint',
-                payload: 'Wrist + tool'
-            },
-            'A5': {
-                description: 'Wrist Bend',
-                axis: 'Y-axis (0, 1, 0)',
-                range: '±115°',
-                minAngle: '-115°',
-                maxAngle: '+115°',
-                maxSpeed: '540°/s',
-                home: '0°',
-                function: 'Bends end effector up/down',
-                type: 'Rotary Joint',
-                payload: 'End effector'
-            },
-            'A6': {
-                description: 'Flange Rotation',
-                axis: 'X-axis (1, 0, 0)',
-                range: '±345°',
-                minAngle: '-345°',
-                maxAngle: '+345°',
-                maxSpeed: '810°/s',
-                home: '0°',
-                function: 'Rotates tool flange',
-                type: 'Rotary Joint',
-                payload: 'Tool/gripper'
-            },
-            'FINGER': {
-                description: 'Gripper Finger',
-                type: 'End Effector Component',
-                function: 'Gripping surface for workpiece',
-                material: 'Hardened steel',
-                customizable: 'Yes'
-            }
-        };
-
-        const spec = componentSpecs[this.nodeName];
+        // Joint and component specifications from robot-description.json
+        const spec = typeof RobotDescription !== 'undefined' ? RobotDescription.getComponentSpec(this.nodeName) : undefined;
         if (!spec) {
             console.warn(`No spec found for ${this.nodeName}`);
             return;
@@ -403,26 +325,7 @@ class SliderControlledX3DElement {
 
         console.log('Setting up tooltips for Gripper, AdapterFlange, and Base...');
 
-        // Component specs
-        const componentSpecs = {
-            'Gripper': {
-                description: 'SCHUNK EGP 40 Gripper',
-                type: 'Parallel Gripper',
-                stroke: '40mm',
-                gripForce: '140N',
-                weight: '0.45kg',
-                function: 'Pneumatic parallel gripper for parts handling',
-                manufacturer: 'SCHUNK'
-            },
-            'AdapterFlange': {
-                description: 'Adapter Flange',
-                type: 'Mechanical Interface',
-                function: 'Connects robot flange to gripper',
-                material: 'Aluminum alloy',
-                weight: '0.2kg'
-            }
-        };
-
+        // Specs come from robot-description.json
         const componentSensors = {
             'Gripper': 'Gripper_TouchSensor',
             'AdapterFlange': 'AdapterFlange_TouchSensor',
@@ -525,7 +428,7 @@ class SliderControlledX3DElement {
                 if (touchSensor && touchSensor.isOver) {
                     console.log(`✓ Found TouchSensor for ${componentName}`);
                     
-                    const spec = componentSpecs[componentName];
+                    const spec = typeof RobotDescription !== 'undefined' ? RobotDescription.getComponentSpec(componentName) : undefined;
                     touchSensor.isOver.addFieldCallback(`hover_${componentName}`, (isOver) => {
                         if (isOver && spec) {
                             let tooltipContent = `<div class="link-title">${componentName} - ${spec.description}</div><div class="link-info">`;
@@ -686,23 +589,8 @@ class SliderControlledX3DElement {
                 // This is the actual Transform inside the PROTO
                 this.axis = protoInstance;
                 
-                // Define rotation axes for each KUKA axis based on the WRL file
-                // A1: Z-axis (0, 0, 1) - base swivel
-                // A2: Y-axis (0, 1, 0) - shoulder
-                // A3: Y-axis (0, 1, 0) - elbow  
-                // A4: X-axis (1, 0, 0) - wrist rotation
-                // A5: Y-axis (0, 1, 0) - wrist roll
-                // A6: X-axis (1, 0, 0) - end effector rotation
-                const axisMap = {
-                    'A1': [0, 0, 1],  // Z-axis
-                    'A2': [0, 1, 0],  // Y-axis (default)
-                    'A3': [0, 1, 0],  // Y-axis
-                    'A4': [1, 0, 0],  // X-axis
-                    'A5': [0, 1, 0],  // Y-axis
-                    'A6': [1, 0, 0]   // X-axis
-                };
-                
-                const axis = axisMap[this.nodeName] || [0, 1, 0];
+                // Rotation axis from the constructor (robot-description.json)
+                const axis = this.rotationAxis;
                 this.Rot = new X3D.SFRotation(axis[0], axis[1], axis[2], 0);
                 
                 console.log(`${this.nodeName} rotation axis: (${axis[0]}, ${axis[1]}, ${axis[2]})`);
@@ -751,14 +639,24 @@ class SliderControlledX3DElement {
                 const maxLimit = parseFloat(this.slider.max);
                 sliderValue = Math.max(minLimit, Math.min(maxLimit, sliderValue));
                 
+                // Dragged into a collision: put the link back where the slider still is
+                if (Math.abs(sliderValue - parseFloat(this.slider.value)) > 1e-6 &&
+                    !SliderControlledX3DElement.isMoveAllowed(this.nodeName, sliderValue)) {
+                    this.rotate(this.slider.value);
+                    return;
+                }
+                
                 // Update slider and display
                 const oldValue = this.slider.value;
                 this.slider.value = Math.round(sliderValue);
+                // The swept collision check of the next slider input starts from here
+                this.lastAllowedValue = this.slider.value;
                 
                 // Only update display if value actually changed
                 if (Math.abs(parseFloat(oldValue) - parseFloat(this.slider.value)) > 0.5) {
                     this.angleValue.textContent = Math.round(sliderValue) + '°';
                     console.debug(`${this.nodeName} sensor updated slider to ${Math.round(sliderValue)}°`);
+                    SliderControlledX3DElement.notifyAngleChange(this.nodeName, parseFloat(this.slider.value), 'sensor');
                 }
             });
             
@@ -773,10 +671,21 @@ class SliderControlledX3DElement {
             console.error("Slider or angle value element not found for node:", this.nodeName);
             return;
         }
+        this.lastAllowedValue = this.slider.value;
         this.slider.addEventListener('input', (event) => {
+            // Block the move if it runs into a collision, this also halts a running animation
+            if (!SliderControlledX3DElement.isMoveAllowed(this.nodeName, parseFloat(event.target.value), parseFloat(this.lastAllowedValue))) {
+                SliderControlledX3DElement.stopAnimation();
+                event.target.value = this.lastAllowedValue;
+                return;
+            }
+            this.lastAllowedValue = event.target.value;
+
             const value = event.target.value;
             this.angleValue.innerHTML = this.nodeName + "=" + value + "°";
             this.rotate(value);
+            // Input events dispatched by the load and trajectory animations are not trusted
+            SliderControlledX3DElement.notifyAngleChange(this.nodeName, parseFloat(value), event.isTrusted ? 'slider' : 'motion');
         });
     }
 
@@ -853,6 +762,66 @@ class SliderControlledX3DElement {
         return SliderControlledX3DElement.instances.length;
     }
 
+    /**
+     * Remove all instances and their slider elements, e.g. before building a new slider set
+     * The scene nodes keep their current rotation.
+     */
+    static removeAll() {
+        SliderControlledX3DElement.stopAnimation();
+        SliderControlledX3DElement.instances.forEach(instance => {
+            if (instance.sliderContainer) instance.sliderContainer.remove();
+        });
+        SliderControlledX3DElement.instances = [];
+    }
+
+    /**
+     * Register a callback for joint angle changes (slider input, 3D sensor drag or animated move)
+     * @param {Function} callback - Function called with (nodeName, angle, source), source is
+     *        'slider', 'sensor' or 'motion' (loadAllAngles/playTrajectory, e.g. MQTT and KRL moves)
+     */
+    static addAngleChangeListener(callback) {
+        if (typeof callback !== 'function') {
+            console.error('Angle change listener must be a function');
+            return;
+        }
+        SliderControlledX3DElement.angleChangeListeners.push(callback);
+    }
+
+    /**
+     * Notify all registered angle change listeners
+     * @param {string} nodeName - The name of the node that changed
+     * @param {number} angle - The new slider angle in degrees
+     * @param {string} source - 'slider', 'sensor' or 'motion'
+     */
+    static notifyAngleChange(nodeName, angle, source = 'motion') {
+        SliderControlledX3DElement.angleChangeListeners.forEach(callback => {
+            try {
+                callback(nodeName, angle, source);
+            } catch (error) {
+                console.error('Error in angle change listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Check a single-axis move against RobotCollision (if loaded)
+     * @param {string} nodeName - The axis that moves
+     * @param {number} angle - Its new angle in degrees
+     * @param {number} currentAngle - Its current angle (default: the slider value)
+     * @returns {boolean} True if the move may be applied
+     */
+    static isMoveAllowed(nodeName, angle, currentAngle) {
+        if (typeof RobotCollision === 'undefined' || SliderControlledX3DElement.collisionCheckSuspended) return true;
+
+        const from = {};
+        SliderControlledX3DElement.forEachInstance(instance => {
+            if (instance.slider) from[instance.nodeName] = parseFloat(instance.slider.value);
+        });
+        if (currentAngle !== undefined) from[nodeName] = currentAngle;
+        const to = Object.assign({}, from, { [nodeName]: angle });
+        return RobotCollision.guardMove(from, to);
+    }
+
     // ========================================================================
     // Save/Load Methods
     // ========================================================================
@@ -904,63 +873,88 @@ class SliderControlledX3DElement {
      * Load angles and apply to all instances
      * @param {Object} angles - Object with axis names as keys and angles as values
      * @param {boolean} animate - Whether to animate the transition (default: false)
-     * @param {number} duration - Animation duration in milliseconds (default: 1000)
+     * @param {number} duration - Animation duration in milliseconds (default: 1000), stretched
+     *        when the axis limits of RobotTrajectory need more time
+     * @returns {Promise<boolean>} Resolves true when the angles were reached, false if the
+     *          animation was stopped or superseded by another load
      */
     static loadAllAngles(angles, animate = false, duration = 1000) {
         if (!angles || typeof angles !== 'object') {
             console.error('Invalid angles object provided');
-            return;
+            return Promise.resolve(false);
         }
 
-        if (animate) {
-            // Animated load (smooth transition like reset button)
-            const animationDuration = duration;
-            const startTime = Date.now();
-            
-            // Store starting positions
-            const startPositions = {};
-            SliderControlledX3DElement.forEachInstance(instance => {
-                if (instance.slider) {
-                    startPositions[instance.nodeName] = parseFloat(instance.slider.value);
-                }
-            });
+        const animationId = ++SliderControlledX3DElement.animationCounter;
+
+        // The direct and eased paths go straight to the target, check it before moving
+        const startPositions = {};
+        SliderControlledX3DElement.forEachInstance(instance => {
+            if (instance.slider) {
+                startPositions[instance.nodeName] = parseFloat(instance.slider.value);
+            }
+        });
+        if (typeof RobotCollision !== 'undefined' && !(animate && typeof RobotTrajectory !== 'undefined') &&
+            !RobotCollision.guardTrajectory([
+                { time: 0, angles: startPositions },
+                { time: duration, angles: Object.assign({}, startPositions, angles) }
+            ])) {
+            return Promise.resolve(false);
+        }
 
-            function animateLoad() {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / animationDuration, 1);
+        if (animate && typeof RobotTrajectory !== 'undefined') {
+            // Respect the axis speed and acceleration limits, duration is the shortest time allowed
+            return RobotTrajectory.execute(RobotTrajectory.planPTP(startPositions, angles, { duration: duration }));
+        } else if (animate) {
+            return new Promise(resolve => {
+                // Animated load (smooth transition like reset button)
+                const animationDuration = duration;
+                const startTime = Date.now();
+
+                function animateLoad() {
+                    if (animationId !== SliderControlledX3DElement.animationCounter) {
+                        resolve(false);
+                        return;
+                    }
+
+                    const elapsed = Date.now() - startTime;
+                    const progress = Math.min(elapsed / animationDuration, 1);
                 
-                // Ease-in-out function
-                const easeProgress = progress < 0.5
-                    ? 2 * progress * progress
-                    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
-
-                // Update each axis
-                SliderControlledX3DElement.forEachInstance(instance => {
-                    if (instance.slider && angles[instance.nodeName] !== undefined) {
-                        const targetAngle = angles[instance.nodeName];
-                        const startAngle = startPositions[instance.nodeName];
-                        const currentValue = startAngle + (targetAngle - startAngle) * easeProgress;
+                    // Ease-in-out function
+                    const easeProgress = progress < 0.5
+                        ? 2 * progress * progress
+                        : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+
+                    // Update each axis
+                    SliderControlledX3DElement.forEachInstance(instance => {
+                        if (instance.slider && angles[instance.nodeName] !== undefined) {
+                            const targetAngle = angles[instance.nodeName];
+                            const startAngle = startPositions[instance.nodeName];
+                            const currentValue = startAngle + (targetAngle - startAngle) * easeProgress;
                         
-                        instance.slider.value = currentValue;
-                        instance.slider.dispatchEvent(new Event('input'));
+                            instance.slider.value = currentValue;
+                            instance.slider.dispatchEvent(new Event('input'));
                         
-                        if (instance.angleValue) {
-                            instance.angleValue.textContent = Math.round(currentValue) + '°';
+                            if (instance.angleValue) {
+                                instance.angleValue.textContent = Math.round(currentValue) + '°';
+                            }
                         }
-                    }
-                });
+                    });
 
-                // Continue animation if not complete
-                if (progress < 1) {
-                    requestAnimationFrame(animateLoad);
-                } else {
-                    console.log('Loaded angles:', angles);
+                    // Continue animation if not complete
+                    if (progress < 1) {
+                        requestAnimationFrame(animateLoad);
+                    } else {
+                        console.log('Loaded angles:', angles);
+                        resolve(true);
+                    }
                 }
-            }
 
-            animateLoad();
+                animateLoad();
+            });
         } else {
-            // Instant load (no animation)
+            // Instant load (no animation). The target was checked as a whole, the axes
+            // in between are skipped by the collision check
+            SliderControlledX3DElement.collisionCheckSuspended = true;
             SliderControlledX3DElement.forEachInstance(instance => {
                 if (angles[instance.nodeName] !== undefined && instance.slider) {
                     const angle = angles[instance.nodeName];
@@ -972,10 +966,96 @@ class SliderControlledX3DElement {
                     }
                 }
             });
+            SliderControlledX3DElement.collisionCheckSuspended = false;
             console.log('Loaded angles:', angles);
+            return Promise.resolve(true);
         }
     }
 
+    /**
+     * Stop any running loadAllAngles animation where it is
+     */
+    static stopAnimation() {
+        SliderControlledX3DElement.animationCounter++;
+    }
+
+    /**
+     * Move the sliders to a joint set as slider input would (collision checked per axis)
+     * Axes that are missing or already at their angle are left alone.
+     * @param {Object} angles - Angles in degrees keyed by axis name
+     */
+    static applyAngles(angles) {
+        SliderControlledX3DElement.forEachInstance(instance => {
+            const angle = angles[instance.nodeName];
+            if (!instance.slider || angle === undefined || Math.abs(parseFloat(instance.slider.value) - angle) < 1e-6) return;
+
+            instance.slider.value = angle;
+            instance.slider.dispatchEvent(new Event('input'));
+            if (instance.angleValue) {
+                instance.angleValue.textContent = Math.round(angle) + '°';
+            }
+        });
+    }
+
+    /**
+     * Play a timed joint trajectory, interpolating linearly between samples
+     * @param {Array} samples - [{ time, angles }] with time in milliseconds from the start
+     * @returns {Promise<boolean>} Resolves true when the last sample was reached, false if the
+     *          trajectory was stopped or superseded by another load
+     */
+    static playTrajectory(samples) {
+        if (!Array.isArray(samples) || samples.length === 0) {
+            console.error('Invalid trajectory provided');
+            return Promise.resolve(false);
+        }
+
+        const animationId = ++SliderControlledX3DElement.animationCounter;
+        const totalTime = samples[samples.length - 1].time;
+
+        // Refuse trajectories that run into a collision before the first step is taken
+        if (typeof RobotCollision !== 'undefined' && !RobotCollision.guardTrajectory(samples)) {
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            const startTime = Date.now();
+            let segment = 0;
+
+            function animateTrajectory() {
+                if (animationId !== SliderControlledX3DElement.animationCounter) {
+                    resolve(false);
+                    return;
+                }
+
+                const elapsed = Math.min(Date.now() - startTime, totalTime);
+                while (segment < samples.length - 2 && samples[segment + 1].time <= elapsed) {
+                    segment++;
+                }
+
+                const from = samples[segment];
+                const to = samples[Math.min(segment + 1, samples.length - 1)];
+                const span = to.time - from.time;
+                const progress = span > 0 ? Math.min((elapsed - from.time) / span, 1) : 1;
+
+                const angles = {};
+                Object.keys(from.angles).forEach(name => {
+                    if (to.angles[name] !== undefined) {
+                        angles[name] = from.angles[name] + (to.angles[name] - from.angles[name]) * progress;
+                    }
+                });
+                SliderControlledX3DElement.applyAngles(angles);
+
+                if (elapsed < totalTime) {
+                    requestAnimationFrame(animateTrajectory);
+                } else {
+                    resolve(true);
+                }
+            }
+
+            animateTrajectory();
+        });
+    }
+
     /**
      * Load angles from browser's localStorage
      * @param {string} key - Storage key name (default: 'robotAngles')
@@ -1158,35 +1238,7 @@ class SliderControlledX3DElement {
             return;
         }
 
-        // Component specs for tooltips
-        const componentSpecs = {
-            'Gripper': {
-                description: 'SCHUNK EGP 40 Gripper',
-                type: 'Parallel Gripper',
-                stroke: '40mm',
-                gripForce: '140N',
-                weight: '0.45kg',
-                function: 'Pneumatic parallel gripper for parts handling',
-                manufacturer: 'SCHUNK'
-            },
-            'AdapterFlange': {
-                description: 'Adapter Flange',
-                type: 'Mechanical Interface',
-                function: 'Connects robot flange to gripper',
-                material: 'Aluminum alloy',
-                weight: '0.2kg'
-            },
-            'Base': {
-                description: 'Robot Base',
-                type: 'Mounting Platform',
-                function: 'Provides stable mounting surface for the robot',
-                weight: '12kg',
-                material: 'Cast iron',
-                mountingHoles: 'ISO 9409-1'
-            }
-        };
-
-        // Component TouchSensor names (external TouchSensors)
+        // Component TouchSensor names (external TouchSensors), specs come from robot-description.json
         const componentSensors = {
             'Gripper': 'Gripper_TouchSensor',
             'AdapterFlange': 'AdapterFlange_TouchSensor',
@@ -1266,7 +1318,7 @@ class SliderControlledX3DElement {
                 if (touchSensor && touchSensor.isOver) {
                     console.log(`✓ Found TouchSensor for ${componentName}`);
                     
-                    const spec = componentSpecs[componentName];
+                    const spec = typeof RobotDescription !== 'undefined' ? RobotDescription.getComponentSpec(componentName) : undefined;
                     touchSensor.isOver.addFieldCallback(`hover_${componentName}`, (isOver) => {
                         if (isOver && spec) {
                             let tooltipContent = `<div class="link-title">${componentName} - ${spec.description}</div><div class="link-info">`;